@@ -1,5 +1,3 @@
-import { Matrix } from './Matrix.js';
-
 /**
  * Converts raw stroke points to smooth Bezier curves
  * Based on B-spline to Bezier conversion algorithm
@@ -44,6 +42,39 @@ export class BezierConverter {
         return 3 * u * u * (p1 - p0) + 6 * u * t * (p2 - p1) + 3 * t * t * (p3 - p2);
     }
 
+    /**
+     * Solve a constant tridiagonal system for several right-hand sides (Thomas algorithm)
+     * O(n) time and memory; the system is diagonally dominant, so no pivoting is needed
+     * 
+     * @param {Array<Float64Array>} rhs - Right-hand sides, each of length n
+     * @param {number} diagonal - Value on the main diagonal
+     * @param {number} offDiagonal - Value on the sub- and super-diagonal
+     * @returns {Array<Float64Array>} Solutions, one per right-hand side
+     */
+    static solveTridiagonal(rhs, diagonal, offDiagonal) {
+        const n = rhs[0].length;
+        const modified = new Float64Array(n); // Eliminated super-diagonal
+        const solutions = rhs.map(values => Float64Array.from(values));
+        
+        // Forward sweep
+        let pivot = diagonal;
+        modified[0] = offDiagonal / pivot;
+        solutions.forEach(x => { x[0] /= pivot; });
+        
+        for (let i = 1; i < n; i++) {
+            pivot = diagonal - offDiagonal * modified[i - 1];
+            modified[i] = offDiagonal / pivot;
+            solutions.forEach(x => { x[i] = (x[i] - offDiagonal * x[i - 1]) / pivot; });
+        }
+        
+        // Back substitution
+        for (let i = n - 2; i >= 0; i--) {
+            solutions.forEach(x => { x[i] -= modified[i] * x[i + 1]; });
+        }
+        
+        return solutions;
+    }
+
     /**
      * Convert array of points to Bezier curve segments
      * Requires at least 4 points
@@ -60,88 +91,54 @@ export class BezierConverter {
         }
 
         try {
-            // Create the tridiagonal matrix C (n-2 × n-2)
-            const C = new Matrix(n - 2, n - 2);
+            // B-spline nodes B solve C * B = S, where C is the (n-2 × n-2) tridiagonal
+            // matrix with 4's on the diagonal and 1's next to it
+            const m = n - 2;
+            const axes = ['x', 'y', 'z'];
+            const S = axes.map(() => new Float64Array(m));
             
-            // Fill in the constant matrix: 4's on diagonal, 1's adjacent
-            for (let i = 0; i < n - 2; i++) {
-                for (let j = 0; j < n - 2; j++) {
-                    if (i === j) {
-                        C.data[i][j] = 4;
-                        if (i + 1 < n - 2) {
-                            C.data[i + 1][j] = 1;
-                            C.data[i][j + 1] = 1;
-                        }
-                    }
+            axes.forEach((axis, a) => {
+                // First row: 6*P[1] - P[0]
+                S[a][0] = 6 * points[1][axis] - points[0][axis];
+                
+                // Middle rows: 6*P[i+1]
+                for (let i = 0; i < n - 4; i++) {
+                    S[a][i + 1] = 6 * points[i + 2][axis];
                 }
-            }
-
-            // Invert the matrix
-            C.inverse();
-
-            // Create coefficient matrix S (n-2 × 2) for x and y coordinates
-            const S = new Matrix(n - 2, 2);
-            
-            // First row: 6*P[1] - P[0]
-            S.data[0][0] = 6 * points[1].x - points[0].x;
-            S.data[0][1] = 6 * points[1].y - points[0].y;
-            
-            // Middle rows: 6*P[i+1]
-            for (let i = 0; i < n - 4; i++) {
-                S.data[i + 1][0] = 6 * points[i + 2].x;
-                S.data[i + 1][1] = 6 * points[i + 2].y;
-            }
-            
-            // Last row: 6*P[n-2] - P[n-1]
-            S.data[n - 3][0] = 6 * points[n - 2].x - points[n - 1].x;
-            S.data[n - 3][1] = 6 * points[n - 2].y - points[n - 1].y;
+                
+                // Last row: 6*P[n-2] - P[n-1]
+                S[a][m - 1] = 6 * points[n - 2][axis] - points[n - 1][axis];
+            });
 
-            // Calculate B-spline nodes: B = C^-1 * S
-            const B = Matrix.multiply(C, S);
+            // All three axes are fitted, so strokes drawn in the air are smooth in depth too;
+            // strokes on the board plane (constant z) solve to that same z
+            const B = this.solveTridiagonal(S, 4, 1);
 
             // Generate control points D by splitting B-spline segments
             const D = [];
             const onethird = 1 / 3;
             const twothirds = 2 / 3;
+            const lerpPoint = (from, to, t) => ({
+                x: this.lerp(from.x, to.x, t),
+                y: this.lerp(from.y, to.y, t),
+                z: this.lerp(from.z, to.z, t)
+            });
+            const node = (i) => ({ x: B[0][i], y: B[1][i], z: B[2][i] });
 
             // First control points (from P[0] to B[0])
-            D.push({
-                x: this.lerp(points[0].x, B.data[0][0], onethird),
-                y: this.lerp(points[0].y, B.data[0][1], onethird),
-                z: points[0].z
-            });
-            D.push({
-                x: this.lerp(points[0].x, B.data[0][0], twothirds),
-                y: this.lerp(points[0].y, B.data[0][1], twothirds),
-                z: points[0].z
-            });
+            D.push(lerpPoint(points[0], node(0), onethird));
+            D.push(lerpPoint(points[0], node(0), twothirds));
 
             // Middle control points (between B-spline nodes)
             for (let i = 2; i < (n - 2) * 2; i += 2) {
                 const idx = Math.floor(i / 2);
-                D.push({
-                    x: this.lerp(B.data[idx - 1][0], B.data[idx][0], onethird),
-                    y: this.lerp(B.data[idx - 1][1], B.data[idx][1], onethird),
-                    z: points[idx].z
-                });
-                D.push({
-                    x: this.lerp(B.data[idx - 1][0], B.data[idx][0], twothirds),
-                    y: this.lerp(B.data[idx - 1][1], B.data[idx][1], twothirds),
-                    z: points[idx].z
-                });
+                D.push(lerpPoint(node(idx - 1), node(idx), onethird));
+                D.push(lerpPoint(node(idx - 1), node(idx), twothirds));
             }
 
             // Last control points (from B[n-3] to P[n-1])
-            D.push({
-                x: this.lerp(B.data[n - 3][0], points[n - 1].x, onethird),
-                y: this.lerp(B.data[n - 3][1], points[n - 1].y, onethird),
-                z: points[n - 1].z
-            });
-            D.push({
-                x: this.lerp(B.data[n - 3][0], points[n - 1].x, twothirds),
-                y: this.lerp(B.data[n - 3][1], points[n - 1].y, twothirds),
-                z: points[n - 1].z
-            });
+            D.push(lerpPoint(node(n - 3), points[n - 1], onethird));
+            D.push(lerpPoint(node(n - 3), points[n - 1], twothirds));
 
             // Create bezier segments
             const bezierSegments = [];
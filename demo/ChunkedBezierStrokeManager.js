@@ -1,10 +1,12 @@
 import * as THREE from 'three';
-import { BezierConverter } from './BezierConverter.js';
-import { strokeVertexShader, strokeFragmentShader } from './shaders/strokeShader.js';
+import { StrokeGeometryWorkerPool } from './StrokeGeometryWorkerPool.js';
+import { StrokeBatchRenderer } from './StrokeBatchRenderer.js';
 
 /**
  * Manages chunked Bezier stroke processing for progressive rendering
- * Processes strokes in smaller chunks to avoid blocking and provide real-time feedback
+ * Fitting and vertex generation run in a worker pool; a stroke's geometry is
+ * swapped into the batch renderer when its build arrives, so long strokes never
+ * block the page and all strokes are drawn with a few draw calls
  */
 export class ChunkedBezierStrokeManager {
     constructor(scene, strokeMaterial, camera, parent = null) {
@@ -15,18 +17,28 @@ export class ChunkedBezierStrokeManager {
         this.activeStrokes = []; // Strokes being built progressively
         
         // Chunking parameters
-        this.chunkSize = 12; // Points per chunk
-        this.chunkOverlap = 3; // Overlap between chunks for continuity
+        this.chunkSize = 12; // Bezier segments per chunk
         
-        // Subdivision parameters
-        this.baseSubdivisions = 20; // Minimum subdivisions at default zoom
-        this.maxSubdivisions = 200; // Maximum subdivisions when fully zoomed in
+        // Tessellation parameters: steps along a curve stay below a fraction of the view height,
+        // rounded to power-of-two levels so strokes are only rebuilt when the zoom crosses one
+        this.stepsPerViewHeight = 600; // About 2 px per step on a 1200 px high view
+        this.minSubdivisions = 2; // Per segment (its two end points)
+        this.maxSubdivisions = 200; // Per segment
+        this.tessellationLevel = null; // Level of the current view
+        this.isTessellationStale = false; // Some strokes may not match the current level yet
+        this.maxPendingBuilds = 8; // Re-tessellation waits while this many builds are in flight
+        
+        this.workerPool = new StrokeGeometryWorkerPool();
+        this.pendingBuilds = new Set(); // Builds not yet swapped in
+        this.batchRenderer = new StrokeBatchRenderer(this.parent);
     }
 
     /**
      * Create a stroke from points, processing in chunks
      * @param {Array<THREE.Vector3>} points - All stroke points
-     * @param {Object} options - Stroke options (width, color)
+     * @param {Object} options - Stroke options (width, color, widthScales, isAirStroke)
+     *   widthScales: optional per-point width multipliers (pen pressure), aligned with points
+     *   isAirStroke: drawn in mid-air in VR rather than on the board plane
      * @returns {Object} Stroke object with mesh and metadata
      */
     createStroke(points, options = {}) {
@@ -37,53 +49,25 @@ export class ChunkedBezierStrokeManager {
 
         const {
             width = 0.01,
-            color = new THREE.Color(Math.random(), Math.random(), Math.random())
+            color = new THREE.Color(Math.random(), Math.random(), Math.random()),
+            widthScales = null,
+            isAirStroke = false
         } = options;
 
         const stroke = {
             points: points,
-            chunks: [],
-            meshes: [],
+            chunkCount: 0,
             segmentCount: 0,
             isComplete: false,
             width: width,
+            widthScales: widthScales, // null = uniform width
             color: color,
+            isAirStroke: isAirStroke, // Camera-facing ribbon off the board plane, shown only in VR
             debugPoints: [] // Store debug point meshes
         };
 
-        // Create material for this stroke with its specific color and width
-        const material = this.createStrokeMaterial(color, width);
-
-        // Process all chunks immediately (can be made progressive later)
-        const chunks = this.createChunks(points);
-        
-        chunks.forEach((chunk, index) => {
-            const chunkSegments = BezierConverter.createSegment(chunk.points);
-            
-            if (chunkSegments.length > 0) {
-                // Include end caps only for the first and last chunk
-                const includeStartCap = index === 0;
-                const includeEndCap = index === chunks.length - 1;
-                const startCapPosition = includeStartCap ? points[0] : null;
-                const endCapPosition = includeEndCap ? points[points.length - 1] : null;
-                
-                const chunkMesh = this.createChunkMesh(
-                    chunkSegments, 
-                    material, 
-                    startCapPosition, 
-                    endCapPosition,
-                    width
-                );
-                if (chunkMesh) {
-                    this.parent.add(chunkMesh);
-                    stroke.meshes.push(chunkMesh);
-                    stroke.segmentCount += chunkSegments.length;
-                }
-            }
-        });
-
-        stroke.isComplete = true;
-        stroke.material = material;
+        // Geometry arrives asynchronously; the stroke's points are usable right away
+        this.buildStrokeGeometry(stroke);
         
         // Add debug points if requested
         if (options.debugMode) {
@@ -111,7 +95,7 @@ export class ChunkedBezierStrokeManager {
         stroke.points.forEach(point => {
             const sphere = new THREE.Mesh(geometry, material);
             sphere.position.copy(point);
-            sphere.renderOrder = zIndex + 0.1;
+            sphere.renderOrder = stroke.zIndex + 0.1;
             this.parent.add(sphere);
             stroke.debugPoints.push(sphere);
         });
@@ -125,7 +109,7 @@ export class ChunkedBezierStrokeManager {
         if (!stroke.debugPoints) return;
         
         stroke.debugPoints.forEach(sphere => {
-            this.scene.remove(sphere);
+            this.parent.remove(sphere);
             sphere.geometry.dispose();
             sphere.material.dispose();
         });
@@ -149,222 +133,107 @@ export class ChunkedBezierStrokeManager {
     }
 
     /**
-     * Split points into overlapping chunks
-     * @param {Array<THREE.Vector3>} points - All points
-     * @returns {Array} Array of chunk objects
+     * (Re)build a stroke's geometry from its points in the worker pool
+     * The current geometry stays until the new one replaces it; a build that was
+     * superseded by a newer one, or whose stroke was deleted, is discarded. Deleted
+     * strokes are not built until they are restored (see restoreStroke)
+     * @param {Object} stroke - Stroke object
+     * @returns {Promise<boolean>} Resolves once the build was swapped in (true) or discarded (false);
+     *   also available as stroke.ready
      */
-    createChunks(points) {
-        const chunks = [];
-        let startIdx = 0;
-
-        while (startIdx < points.length) {
-            const endIdx = Math.min(startIdx + this.chunkSize, points.length);
-            const chunkPoints = points.slice(startIdx, endIdx);
-
-            // Only create chunk if it has enough points
-            if (chunkPoints.length >= 4) {
-                chunks.push({
-                    startIndex: startIdx,
-                    endIndex: endIdx,
-                    points: chunkPoints
-                });
-            }
-
-            // Move to next chunk, accounting for overlap
-            // Last chunk doesn't need overlap
-            if (endIdx >= points.length) {
-                break;
-            }
+    buildStrokeGeometry(stroke) {
+        if (stroke.isDeleted) return Promise.resolve(false);
+        
+        const buildId = (stroke.buildId || 0) + 1;
+        stroke.buildId = buildId;
+        stroke.tessellationLevel = this.getTessellationLevel();
+        this.batchRenderer.addStroke(stroke);
+        
+        const build = this.workerPool.build(
+            stroke.points,
+            stroke.widthScales,
+            this.chunkSize,
+            this.getTessellation(stroke.tessellationLevel)
+        ).then(chunks => {
+            if (stroke.buildId !== buildId) return false;
             
-            startIdx = endIdx - this.chunkOverlap;
-        }
-
-        return chunks;
+            this.batchRenderer.setStrokeGeometry(stroke, chunks);
+            stroke.chunkCount = chunks.length;
+            stroke.segmentCount = chunks.reduce((sum, chunk) => sum + chunk.segmentCount, 0);
+            stroke.isComplete = true;
+            return true;
+        }).catch(error => {
+            console.error('Failed to build stroke geometry:', error);
+            return false;
+        }).finally(() => {
+            this.pendingBuilds.delete(build);
+        });
+        
+        this.pendingBuilds.add(build);
+        stroke.ready = build;
+        return build;
     }
-
+    
     /**
-     * Create a mesh for a single chunk of bezier segments
-     * @param {Array<BezierQuadruple>} segments - Bezier segments for this chunk
-     * @param {THREE.ShaderMaterial} material - Material for this stroke
-     * @param {THREE.Vector3|null} startCapPosition - Position for start cap (or null)
-     * @param {THREE.Vector3|null} endCapPosition - Position for end cap (or null)
-     * @param {number} width - Stroke width for caps
-     * @returns {THREE.Mesh} Mesh for the chunk
+     * Wait until every requested stroke build has been applied (e.g. before rendering an export)
      */
-    createChunkMesh(segments, material, startCapPosition = null, endCapPosition = null, width = 0.01) {
-        const geometry = this.createChunkGeometry(segments, startCapPosition, endCapPosition, width);
-        if (!geometry) return null;
-
-        const mesh = new THREE.Mesh(geometry, material);
-        
-        // Disable frustum culling because the bezier curve is computed in the shader
-        // The bounding box is based on control points, not the actual curve
-        mesh.frustumCulled = false;
-        
-        return mesh;
+    async whenIdle() {
+        while (this.pendingBuilds.size > 0) {
+            await Promise.all(this.pendingBuilds);
+        }
     }
 
     /**
-     * Create shader material for a stroke with specific color and width
-     * @param {THREE.Color} color - Stroke color
-     * @param {number} width - Stroke width
-     * @returns {THREE.ShaderMaterial} Shader material
+     * Tessellation level of the current view: steps along curves are at most 2^level world units
+     * @returns {number} Level (lower = finer)
      */
-    createStrokeMaterial(color, width) {
-        return new THREE.ShaderMaterial({
-            uniforms: {
-                strokeColor: { value: color },
-                strokeWidth: { value: width }
-            },
-            vertexShader: strokeVertexShader,
-            fragmentShader: strokeFragmentShader,
-            side: THREE.DoubleSide,
-            transparent: true,
-            depthWrite: false,  // Disable depth writing for transparent objects
-            depthTest: true,
-            polygonOffset: true,
-            polygonOffsetFactor: -1,
-            polygonOffsetUnits: -1
-        });
+    getTessellationLevel() {
+        const defaultViewHeight = 3; // The initial view size from WhiteboardScene.js
+        const viewHeight = this.camera && this.camera.isOrthographicCamera
+            ? (this.camera.top - this.camera.bottom) / this.camera.zoom
+            : defaultViewHeight;
+        
+        return Math.floor(Math.log2(viewHeight / this.stepsPerViewHeight));
     }
-
+    
     /**
-     * Calculate subdivision count based on camera zoom level
-     * @returns {number} Number of subdivisions per segment
+     * Subdivision settings of a tessellation level (see StrokeGeometryBuilder.getSubdivisions)
+     * @param {number} level - Tessellation level
+     * @returns {Object} { stepLength, minSubdivisions, maxSubdivisions }
      */
-    calculateSubdivisions() {
-        if (!this.camera) return this.baseSubdivisions;
-        
-        // For orthographic camera, use the view height as zoom indicator
-        // Smaller view height = more zoomed in
-        const viewHeight = this.camera.top - this.camera.bottom;
-        const defaultViewHeight = 3; // The initial view size from main.js
-        
-        // Calculate zoom factor (1 = default, >1 = zoomed in, <1 = zoomed out)
-        const zoomFactor = defaultViewHeight / viewHeight;
-        
-        // Scale subdivisions based on zoom
-        // At default zoom (1x): baseSubdivisions
-        // At 10x zoom: maxSubdivisions
-        const subdivisions = Math.round(
-            this.baseSubdivisions * Math.min(zoomFactor, this.maxSubdivisions / this.baseSubdivisions)
-        );
-        
-        return Math.max(this.baseSubdivisions, Math.min(subdivisions, this.maxSubdivisions));
+    getTessellation(level) {
+        return {
+            stepLength: Math.pow(2, level),
+            minSubdivisions: this.minSubdivisions,
+            maxSubdivisions: this.maxSubdivisions
+        };
     }
-
+    
     /**
-     * Generate GPU-optimized geometry for a chunk of bezier segments with end caps
-     * @param {Array<BezierQuadruple>} segments - Bezier segments
-     * @param {THREE.Vector3|null} startCapPosition - Position for start cap
-     * @param {THREE.Vector3|null} endCapPosition - Position for end cap
-     * @param {number} width - Stroke width for caps
-     * @returns {THREE.BufferGeometry} Geometry for the chunk
+     * Re-tessellate strokes whose level no longer suits the view (called every frame)
+     * Strokes too coarse for the view are rebuilt right away, strokes more than twice
+     * as fine as needed only after zooming out two levels, so small zoom changes cost
+     * nothing. Builds are throttled; the rest are picked up on later frames.
+     * @param {Array<Object>} strokes - Strokes on the board
      */
-    createChunkGeometry(segments, startCapPosition = null, endCapPosition = null, width = 0.01) {
-        // Dynamic subdivisions based on zoom level
-        const subdivisionsPerSegment = this.calculateSubdivisions();
-        
-        const positions = [];
-        const cp1Array = [];
-        const cp2Array = [];
-        const endArray = [];
-        const segmentTArray = [];
-        const isEndCapArray = [];
-        const uvs = [];
-        const indices = [];
-        
-        let vertexIndex = 0;
-        
-        segments.forEach((segment) => {
-            for (let i = 0; i < subdivisionsPerSegment; i++) {
-                const t = i / (subdivisionsPerSegment - 1);
-                
-                // Create two vertices per subdivision (for width)
-                for (let side = 0; side < 2; side++) {
-                    // Start point
-                    positions.push(segment.p0.x, segment.p0.y, segment.p0.z);
-                    
-                    // Control points
-                    cp1Array.push(segment.p1.x, segment.p1.y, segment.p1.z);
-                    cp2Array.push(segment.p2.x, segment.p2.y, segment.p2.z);
-                    
-                    // End point
-                    endArray.push(segment.p3.x, segment.p3.y, segment.p3.z);
-                    
-                    // T value along curve
-                    segmentTArray.push(t);
-                    
-                    // Mark as stroke body (not end cap)
-                    isEndCapArray.push(0.0);
-                    
-                    // UV coordinates (x: 0 or 1 for width, y: t for length)
-                    uvs.push(side, t);
-                }
-                
-                // Create quad indices (two triangles)
-                if (i < subdivisionsPerSegment - 1) {
-                    const base = vertexIndex + i * 2;
-                    // Triangle 1
-                    indices.push(base, base + 1, base + 2);
-                    // Triangle 2
-                    indices.push(base + 1, base + 3, base + 2);
-                }
-            }
-            
-            vertexIndex += subdivisionsPerSegment * 2;
-        });
+    updateTessellation(strokes) {
+        const level = this.getTessellationLevel();
+        if (level !== this.tessellationLevel) {
+            this.tessellationLevel = level;
+            this.isTessellationStale = true;
+        }
+        if (!this.isTessellationStale) return;
         
-        // Add end cap geometry if needed
-        const addEndCap = (capPosition) => {
-            if (!capPosition) return;
-            
-            // Create a quad (2 triangles) for the cap
-            // The shader will use UV to determine offset from center
-            const baseIndex = vertexIndex;
+        for (const stroke of strokes) {
+            const isTooCoarse = stroke.tessellationLevel > level;
+            const isTooFine = stroke.tessellationLevel < level - 1;
+            if (!isTooCoarse && !isTooFine) continue;
             
-            // Four corners of the cap quad
-            for (let i = 0; i < 4; i++) {
-                // Position is the cap center
-                positions.push(capPosition.x, capPosition.y, capPosition.z);
-                
-                // Control points (not used for caps, but required by shader)
-                cp1Array.push(0, 0, 0);
-                cp2Array.push(0, 0, 0);
-                endArray.push(0, 0, 0);
-                segmentTArray.push(0);
-                
-                // Mark as end cap
-                isEndCapArray.push(1.0);
-                
-                // UV coordinates for the four corners
-                // These will be used to offset from center in the shader
-                const u = (i === 1 || i === 2) ? 1 : 0;
-                const v = (i >= 2) ? 1 : 0;
-                uvs.push(u, v);
-            }
-            
-            // Two triangles for the quad
-            indices.push(baseIndex, baseIndex + 1, baseIndex + 2);
-            indices.push(baseIndex, baseIndex + 2, baseIndex + 3);
-            
-            vertexIndex += 4;
-        };
-        
-        addEndCap(startCapPosition);
-        addEndCap(endCapPosition);
-        
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.setAttribute('controlPoint1', new THREE.Float32BufferAttribute(cp1Array, 3));
-        geometry.setAttribute('controlPoint2', new THREE.Float32BufferAttribute(cp2Array, 3));
-        geometry.setAttribute('endPoint', new THREE.Float32BufferAttribute(endArray, 3));
-        geometry.setAttribute('segmentT', new THREE.Float32BufferAttribute(segmentTArray, 1));
-        geometry.setAttribute('isEndCap', new THREE.Float32BufferAttribute(isEndCapArray, 1));
-        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-        geometry.setIndex(indices);
+            if (this.pendingBuilds.size >= this.maxPendingBuilds) return;
+            this.buildStrokeGeometry(stroke);
+        }
         
-        return geometry;
+        this.isTessellationStale = false;
     }
 
     /**
@@ -377,21 +246,20 @@ export class ChunkedBezierStrokeManager {
         // Remove debug points if any
         this.removeDebugPoints(stroke);
 
-        // Remove and dispose all chunk meshes from their parent
-        stroke.meshes.forEach(mesh => {
-            if (mesh.parent) {
-                mesh.parent.remove(mesh);
-            }
-            if (mesh.geometry) mesh.geometry.dispose();
-        });
-
-        // Dispose material
-        if (stroke.material) {
-            stroke.material.dispose();
-        }
+        // Discard any build still in flight, then free the stroke's buffer ranges
+        stroke.buildId = (stroke.buildId || 0) + 1;
+        this.batchRenderer.removeStroke(stroke);
 
-        stroke.meshes = [];
         stroke.isComplete = false;
+        stroke.isDeleted = true;
+    }
+
+    /**
+     * Allow a deleted stroke to be built again (it is being put back on the board)
+     * @param {Object} stroke - Stroke object
+     */
+    restoreStroke(stroke) {
+        stroke.isDeleted = false;
     }
 
     /**
@@ -404,10 +272,10 @@ export class ChunkedBezierStrokeManager {
 
         return {
             totalPoints: stroke.points.length,
-            chunkCount: stroke.meshes.length,
+            chunkCount: stroke.chunkCount,
             totalSegments: stroke.segmentCount,
-            avgPointsPerChunk: (stroke.points.length / stroke.meshes.length).toFixed(1),
-            avgSegmentsPerChunk: (stroke.segmentCount / stroke.meshes.length).toFixed(1)
+            avgPointsPerChunk: (stroke.points.length / stroke.chunkCount).toFixed(1),
+            avgSegmentsPerChunk: (stroke.segmentCount / stroke.chunkCount).toFixed(1)
         };
     }
 }
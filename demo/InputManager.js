@@ -28,19 +28,32 @@ export class InputManager {
     }
 
     setupEventListeners() {
-        this.domElement.addEventListener('mousedown', (e) => this.onMouseDown(e));
-        this.domElement.addEventListener('mousemove', (e) => this.onMouseMove(e));
-        this.domElement.addEventListener('mouseup', (e) => this.onMouseUp(e));
-        this.domElement.addEventListener('mouseleave', (e) => this.onMouseUp(e));
+        // Pointer Events cover mouse, touch and pen (with pressure and tilt)
+        this.domElement.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.domElement.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.domElement.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.domElement.addEventListener('pointerleave', (e) => this.onPointerUp(e));
+        this.domElement.addEventListener('pointercancel', (e) => this.onPointerUp(e));
         this.domElement.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
         
         // Prevent context menu on right click
         this.domElement.addEventListener('contextmenu', (e) => e.preventDefault());
 
-        // Touch support for mobile/tablet testing
-        this.domElement.addEventListener('touchstart', (e) => this.onTouchStart(e));
-        this.domElement.addEventListener('touchmove', (e) => this.onTouchMove(e));
-        this.domElement.addEventListener('touchend', (e) => this.onTouchEnd(e));
+        // Keep touch and pen input from scrolling/zooming the page
+        this.domElement.style.touchAction = 'none';
+    }
+
+    /**
+     * Extract per-point pen data from a pointer event
+     * @returns {Object} { pointerType, pressure (0-1), tiltX, tiltY (degrees) }
+     */
+    getPointerInput(event) {
+        return {
+            pointerType: event.pointerType,
+            pressure: event.pressure,
+            tiltX: event.tiltX || 0,
+            tiltY: event.tiltY || 0
+        };
     }
 
     updateMousePosition(clientX, clientY) {
@@ -51,7 +64,7 @@ export class InputManager {
 
     getWhiteboardIntersection() {
         this.raycaster.setFromCamera(this.mouse, this.camera);
-        const intersects = this.raycaster.intersectObject(this.whiteboard);
+        const intersects = this.raycaster.intersectObject(this.whiteboard, false); // The board itself, not the content on it
         
         if (intersects.length > 0) {
             return intersects[0].point;
@@ -59,10 +72,11 @@ export class InputManager {
         return null;
     }
 
-    onMouseDown(event) {
-        event.preventDefault();
+    onPointerDown(event) {
+        // Only the primary pointer draws (ignore extra fingers)
+        if (!event.isPrimary) return;
         
-        // Left mouse button (0) - drawing (if enabled)
+        // Left mouse button / pen tip / touch (0) - drawing (if enabled)
         if (event.button === 0 && this.drawingEnabled) {
             this.updateMousePosition(event.clientX, event.clientY);
             
@@ -70,7 +84,7 @@ export class InputManager {
             if (point) {
                 this.isDrawing = true;
                 if (this.onDrawStart) {
-                    this.onDrawStart(point);
+                    this.onDrawStart(point, this.getPointerInput(event));
                 }
             }
         }
@@ -81,37 +95,44 @@ export class InputManager {
         }
     }
 
-    onMouseMove(event) {
-        event.preventDefault();
+    onPointerMove(event) {
+        if (!event.isPrimary) return;
         
         // Always update mouse position for zoom-to-cursor
         this.updateMousePosition(event.clientX, event.clientY);
         
         // Handle drawing
         if (this.isDrawing) {
-            const point = this.getWhiteboardIntersection();
+            // Pens report more samples than animation frames; use all of them
+            const samples = event.getCoalescedEvents ? event.getCoalescedEvents() : [];
+            if (samples.length === 0) samples.push(event);
             
-            // If cursor left the whiteboard, end the stroke
-            if (!point) {
-                // Check if we're still over the canvas element (not over UI)
-                const rect = this.domElement.getBoundingClientRect();
-                const isOverCanvas = event.clientX >= rect.left && 
-                                    event.clientX <= rect.right && 
-                                    event.clientY >= rect.top && 
-                                    event.clientY <= rect.bottom;
+            for (const sample of samples) {
+                this.updateMousePosition(sample.clientX, sample.clientY);
+                const point = this.getWhiteboardIntersection();
                 
-                // Only end stroke if we truly left the canvas (not just hovering over UI)
-                if (isOverCanvas) {
-                    this.isDrawing = false;
-                    if (this.onDrawEnd) {
-                        this.onDrawEnd(true); // Pass flag indicating cursor left canvas
+                // If cursor left the whiteboard, end the stroke
+                if (!point) {
+                    // Check if we're still over the canvas element (not over UI)
+                    const rect = this.domElement.getBoundingClientRect();
+                    const isOverCanvas = sample.clientX >= rect.left && 
+                                        sample.clientX <= rect.right && 
+                                        sample.clientY >= rect.top && 
+                                        sample.clientY <= rect.bottom;
+                    
+                    // Only end stroke if we truly left the canvas (not just hovering over UI)
+                    if (isOverCanvas) {
+                        this.isDrawing = false;
+                        if (this.onDrawEnd) {
+                            this.onDrawEnd(true); // Pass flag indicating cursor left canvas
+                        }
                     }
+                    return;
+                }
+                
+                if (this.onDrawMove) {
+                    this.onDrawMove(point, this.getPointerInput(sample));
                 }
-                return;
-            }
-            
-            if (this.onDrawMove) {
-                this.onDrawMove(point);
             }
         }
         // Handle panning
@@ -136,8 +157,8 @@ export class InputManager {
         }
     }
 
-    onMouseUp(event) {
-        event.preventDefault();
+    onPointerUp(event) {
+        if (!event.isPrimary) return;
         
         if (this.isDrawing) {
             this.isDrawing = false;
@@ -151,50 +172,6 @@ export class InputManager {
         }
     }
 
-    // Touch events (for future mobile/VR compatibility)
-    onTouchStart(event) {
-        event.preventDefault();
-        if (event.touches.length > 0) {
-            const touch = event.touches[0];
-            this.updateMousePosition(touch.clientX, touch.clientY);
-            
-            const point = this.getWhiteboardIntersection();
-            if (point) {
-                this.isDrawing = true;
-                if (this.onDrawStart) {
-                    this.onDrawStart(point);
-                }
-            }
-        }
-    }
-
-    onTouchMove(event) {
-        event.preventDefault();
-        
-        if (!this.isDrawing) return;
-        
-        if (event.touches.length > 0) {
-            const touch = event.touches[0];
-            this.updateMousePosition(touch.clientX, touch.clientY);
-            const point = this.getWhiteboardIntersection();
-            
-            if (point && this.onDrawMove) {
-                this.onDrawMove(point);
-            }
-        }
-    }
-
-    onTouchEnd(event) {
-        event.preventDefault();
-        
-        if (this.isDrawing) {
-            this.isDrawing = false;
-            if (this.onDrawEnd) {
-                this.onDrawEnd();
-            }
-        }
-    }
-
     onWheel(event) {
         event.preventDefault();
         
@@ -0,0 +1,878 @@
+import * as THREE from 'three';
+import { strokeVertexShader, strokeFragmentShader } from './shaders/strokeShader.js';
+
+/**
+ * Vertex attributes of batched stroke geometry and their item sizes
+ * (all but strokeSlot come from StrokeGeometryBuilder)
+ */
+const ATTRIBUTES = {
+    position: 3,
+    controlPoint1: 3,
+    controlPoint2: 3,
+    endPoint: 3,
+    segmentT: 1,
+    isEndCap: 1,
+    widthScale: 1,
+    uv: 2,
+    strokeSlot: 1
+};
+
+/**
+ * Texels per row of the stroke style texture
+ */
+const STROKE_DATA_WIDTH = 1024;
+
+const chunkBox = new THREE.Box3(); // Scratch box for chunk bounds
+
+/**
+ * Paint order of batch entries: z-index, then ID for ties
+ */
+function compareEntries(a, b) {
+    if (a.stroke.zIndex !== b.stroke.zIndex) return a.stroke.zIndex - b.stroke.zIndex;
+    if (a.stroke.id === b.stroke.id) return 0;
+    return a.stroke.id < b.stroke.id ? -1 : 1;
+}
+
+/**
+ * One draw call worth of strokes: shared, growable vertex and index buffers
+ *
+ * Each stroke owns a contiguous vertex range and a contiguous index range, and
+ * index ranges are kept in paint order, so one indexed draw paints the strokes
+ * in z-order. Removing a stroke only clears its index range; new strokes on top
+ * are appended. Freed space is reclaimed once it outweighs the used space.
+ *
+ * Chunks outside the view are culled by drawing from a second index buffer that
+ * holds only the chunks in view; it is rebuilt when the view or the batch changes.
+ */
+export class StrokeBatch {
+    constructor(material) {
+        this.entries = []; // In index buffer (paint) order
+        this.vertexCount = 0; // End of the used vertex range, including freed space
+        this.indexCount = 0; // End of the used index range, including freed space
+        this.wastedVertices = 0;
+        this.wastedIndices = 0;
+        this.isOrderDirty = false; // Index ranges need re-sorting
+
+        this.arrays = null; // Attribute name -> Float32Array
+        this.index = null;
+        this.indexAttribute = null; // Every stroke, in paint order
+        this.drawIndexAttribute = null; // Chunks in view only (while some are culled)
+        this.isCullingDirty = true; // Index or bounds changed since the last cull
+        this.drawnChunks = 0;
+        this.culledChunks = 0;
+
+        // Three.js culls the whole batch with the bounds computed in updateBounds;
+        // the position attribute only holds segment start points, so it cannot be used
+        this.mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+
+        this.allocate(4096, 16384);
+    }
+
+    /**
+     * Resize the buffers, keeping their contents
+     * The geometry is replaced, since WebGL buffers cannot grow in place
+     */
+    allocate(vertexCapacity, indexCapacity) {
+        const arrays = {};
+        Object.entries(ATTRIBUTES).forEach(([name, size]) => {
+            arrays[name] = new Float32Array(vertexCapacity * size);
+            if (this.arrays) {
+                arrays[name].set(this.arrays[name].subarray(0, this.vertexCount * size));
+            }
+        });
+
+        const index = new Uint32Array(indexCapacity);
+        if (this.index) {
+            index.set(this.index.subarray(0, this.indexCount));
+        }
+
+        this.arrays = arrays;
+        this.index = index;
+        this.vertexCapacity = vertexCapacity;
+        this.indexCapacity = indexCapacity;
+
+        const geometry = new THREE.BufferGeometry();
+        Object.entries(ATTRIBUTES).forEach(([name, size]) => {
+            geometry.setAttribute(name, new THREE.BufferAttribute(arrays[name], size).setUsage(THREE.DynamicDrawUsage));
+        });
+        geometry.setIndex(new THREE.BufferAttribute(index, 1).setUsage(THREE.DynamicDrawUsage));
+        geometry.setDrawRange(0, this.indexCount);
+        geometry.boundingBox = this.mesh.geometry.boundingBox;
+        geometry.boundingSphere = this.mesh.geometry.boundingSphere;
+
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = geometry;
+        this.indexAttribute = geometry.index;
+        this.drawIndexAttribute = null;
+        this.isCullingDirty = true;
+    }
+
+    /**
+     * Make room for more vertices and indices at the end of the buffers
+     */
+    reserve(vertexCount, indexCount) {
+        const neededVertices = this.vertexCount + vertexCount;
+        const neededIndices = this.indexCount + indexCount;
+        if (neededVertices <= this.vertexCapacity && neededIndices <= this.indexCapacity) return;
+
+        // Reclaim freed space first; it may be enough
+        if (this.wastedVertices > 0 || this.wastedIndices > 0) {
+            this.rebuild(true);
+            if (this.vertexCount + vertexCount <= this.vertexCapacity &&
+                this.indexCount + indexCount <= this.indexCapacity) {
+                return;
+            }
+        }
+
+        this.allocate(
+            Math.max(this.vertexCapacity * 2, this.vertexCount + vertexCount),
+            Math.max(this.indexCapacity * 2, this.indexCount + indexCount)
+        );
+    }
+
+    /**
+     * Add a stroke's geometry (appended on top; re-sorted later if it belongs lower)
+     * @param {Object} entry - Renderer entry of the stroke
+     * @param {Array<Object>} chunks - Chunks from StrokeGeometryBuilder.build
+     */
+    add(entry, chunks) {
+        const vertexCount = chunks.reduce((sum, chunk) => sum + chunk.attributes.segmentT.length, 0);
+        const indexCount = chunks.reduce((sum, chunk) => sum + chunk.index.length, 0);
+        this.reserve(vertexCount, indexCount);
+
+        entry.vertexStart = this.vertexCount;
+        entry.vertexCount = vertexCount;
+        entry.indexStart = this.indexCount;
+        entry.indexCount = indexCount;
+        entry.segmentCount = chunks.reduce((sum, chunk) => sum + chunk.segmentCount, 0);
+        this.vertexCount += vertexCount;
+        this.indexCount += indexCount;
+
+        this.writeVertices(entry, chunks);
+        this.writeIndices(entry, chunks);
+
+        const top = this.entries[this.entries.length - 1];
+        if (top && compareEntries(entry, top) < 0) {
+            this.isOrderDirty = true;
+        }
+        this.entries.push(entry);
+    }
+
+    /**
+     * Replace a stroke's geometry; in place when its layout is unchanged (e.g. moved or scaled)
+     */
+    update(entry, chunks) {
+        const vertexCount = chunks.reduce((sum, chunk) => sum + chunk.attributes.segmentT.length, 0);
+        const indexCount = chunks.reduce((sum, chunk) => sum + chunk.index.length, 0);
+
+        // Same sizes fit the stroke's current ranges
+        if (vertexCount === entry.vertexCount && indexCount === entry.indexCount) {
+            entry.segmentCount = chunks.reduce((sum, chunk) => sum + chunk.segmentCount, 0);
+            this.writeVertices(entry, chunks);
+            this.writeIndices(entry, chunks);
+            return;
+        }
+
+        this.remove(entry);
+        this.add(entry, chunks);
+    }
+
+    /**
+     * Remove a stroke: its index range becomes degenerate triangles until the next rebuild
+     */
+    remove(entry) {
+        const position = this.entries.indexOf(entry);
+        if (position === -1) return;
+        this.entries.splice(position, 1);
+
+        this.index.fill(0, entry.indexStart, entry.indexStart + entry.indexCount);
+        this.markIndexUpdate(entry.indexStart, entry.indexCount);
+
+        this.wastedVertices += entry.vertexCount;
+        this.wastedIndices += entry.indexCount;
+
+        if (this.entries.length === 0) {
+            this.vertexCount = 0;
+            this.indexCount = 0;
+            this.wastedVertices = 0;
+            this.wastedIndices = 0;
+            this.isOrderDirty = false;
+            this.mesh.geometry.setDrawRange(0, 0);
+        }
+    }
+
+    /**
+     * React to a changed z-index: a stroke brought to the top just moves its
+     * index range to the end; anything else re-sorts on the next flush
+     */
+    reorder(entry) {
+        if (this.isOrderDirty) return;
+
+        const position = this.entries.indexOf(entry);
+        const others = this.entries.filter(other => other !== entry);
+        const top = others[others.length - 1];
+        const isTop = !top || compareEntries(entry, top) >= 0;
+
+        if (isTop && position === this.entries.length - 1) return;
+
+        const below = this.entries[position - 1];
+        const above = this.entries[position + 1];
+        if (!isTop && (!below || compareEntries(below, entry) <= 0) && (!above || compareEntries(entry, above) <= 0)) {
+            return;
+        }
+
+        if (!isTop) {
+            this.isOrderDirty = true;
+            return;
+        }
+
+        this.reserve(0, entry.indexCount);
+        const indexStart = this.indexCount;
+        this.index.copyWithin(indexStart, entry.indexStart, entry.indexStart + entry.indexCount);
+        this.index.fill(0, entry.indexStart, entry.indexStart + entry.indexCount);
+        this.markIndexUpdate(entry.indexStart, entry.indexCount);
+        this.markIndexUpdate(indexStart, entry.indexCount);
+
+        this.wastedIndices += entry.indexCount;
+        this.indexCount += entry.indexCount;
+        entry.indexStart = indexStart;
+
+        this.entries.splice(this.entries.indexOf(entry), 1);
+        this.entries.push(entry);
+    }
+
+    /**
+     * Copy a stroke's geometry out of the batch (e.g. to move it to another batch)
+     * @returns {Array<Object>} Chunks in StrokeGeometryBuilder's format
+     */
+    extract(entry) {
+        return entry.chunks.map(chunk => {
+            const vertexStart = entry.vertexStart + chunk.vertexOffset;
+            const indexStart = entry.indexStart + chunk.indexOffset;
+
+            const attributes = {};
+            Object.entries(ATTRIBUTES).forEach(([name, size]) => {
+                if (name === 'strokeSlot') return;
+                attributes[name] = this.arrays[name].slice(vertexStart * size, (vertexStart + chunk.vertexCount) * size);
+            });
+
+            const index = this.index.slice(indexStart, indexStart + chunk.indexCount);
+            for (let i = 0; i < index.length; i++) {
+                index[i] -= vertexStart;
+            }
+
+            return { segmentCount: chunk.segmentCount, attributes, index, bounds: chunk.bounds };
+        });
+    }
+
+    /**
+     * Write chunk vertex data into a stroke's vertex range
+     */
+    writeVertices(entry, chunks) {
+        let offset = entry.vertexStart;
+        chunks.forEach(chunk => {
+            Object.entries(chunk.attributes).forEach(([name, array]) => {
+                this.arrays[name].set(array, offset * ATTRIBUTES[name]);
+            });
+            offset += chunk.attributes.segmentT.length;
+        });
+        this.arrays.strokeSlot.fill(entry.slot, entry.vertexStart, entry.vertexStart + entry.vertexCount);
+
+        Object.entries(ATTRIBUTES).forEach(([name, size]) => {
+            const attribute = this.mesh.geometry.getAttribute(name);
+            attribute.addUpdateRange(entry.vertexStart * size, entry.vertexCount * size);
+            attribute.needsUpdate = true;
+        });
+    }
+
+    /**
+     * Write chunk indices into a stroke's index range and remember the chunks'
+     * ranges (relative to the stroke's) and bounds for culling
+     * Chunk indices are local to the chunk; they are offset to the stroke's vertex range
+     */
+    writeIndices(entry, chunks) {
+        let vertexOffset = 0;
+        let indexOffset = 0;
+        entry.chunks = chunks.map(chunk => {
+            const vertexCount = chunk.attributes.segmentT.length;
+            for (let i = 0; i < chunk.index.length; i++) {
+                this.index[entry.indexStart + indexOffset + i] = chunk.index[i] + entry.vertexStart + vertexOffset;
+            }
+
+            const range = {
+                vertexOffset: vertexOffset,
+                vertexCount: vertexCount,
+                indexOffset: indexOffset,
+                indexCount: chunk.index.length,
+                segmentCount: chunk.segmentCount,
+                bounds: chunk.bounds
+            };
+            vertexOffset += vertexCount;
+            indexOffset += chunk.index.length;
+            return range;
+        });
+        this.markIndexUpdate(entry.indexStart, entry.indexCount);
+    }
+
+    /**
+     * Upload part of the index buffer and extend the draw range
+     */
+    markIndexUpdate(start, count) {
+        this.indexAttribute.addUpdateRange(start, count);
+        this.indexAttribute.needsUpdate = true;
+        this.isCullingDirty = true;
+
+        if (this.mesh.geometry.index === this.indexAttribute) {
+            this.mesh.geometry.setDrawRange(0, this.indexCount);
+        }
+    }
+
+    /**
+     * Apply deferred work: re-sort index ranges and reclaim freed space
+     */
+    flush() {
+        const isMostlyWasted = (wasted, used) => wasted > 4096 && wasted > used / 2;
+
+        if (isMostlyWasted(this.wastedVertices, this.vertexCount)) {
+            this.rebuild(true);
+        } else if (this.isOrderDirty || isMostlyWasted(this.wastedIndices, this.indexCount)) {
+            this.rebuild(false);
+        }
+    }
+
+    /**
+     * Rewrite the index buffer in paint order, dropping freed ranges
+     * @param {boolean} compactVertices - Also pack the vertex ranges together
+     */
+    rebuild(compactVertices) {
+        this.entries.sort(compareEntries);
+
+        const oldArrays = this.arrays;
+        const oldIndex = this.index.slice(0, this.indexCount);
+
+        if (compactVertices) {
+            const arrays = {};
+            Object.keys(ATTRIBUTES).forEach(name => {
+                arrays[name] = new Float32Array(oldArrays[name].length);
+            });
+
+            let vertexStart = 0;
+            this.entries.forEach(entry => {
+                Object.entries(ATTRIBUTES).forEach(([name, size]) => {
+                    arrays[name].set(
+                        oldArrays[name].subarray(entry.vertexStart * size, (entry.vertexStart + entry.vertexCount) * size),
+                        vertexStart * size
+                    );
+                });
+                entry.newVertexStart = vertexStart;
+                vertexStart += entry.vertexCount;
+            });
+
+            this.arrays = arrays;
+            this.vertexCount = vertexStart;
+            this.wastedVertices = 0;
+
+            Object.keys(ATTRIBUTES).forEach(name => {
+                const attribute = this.mesh.geometry.getAttribute(name);
+                attribute.array = arrays[name];
+                attribute.clearUpdateRanges();
+                attribute.needsUpdate = true;
+            });
+        }
+
+        let indexStart = 0;
+        this.entries.forEach(entry => {
+            const vertexStart = compactVertices ? entry.newVertexStart : entry.vertexStart;
+            const delta = vertexStart - entry.vertexStart;
+            for (let i = 0; i < entry.indexCount; i++) {
+                this.index[indexStart + i] = oldIndex[entry.indexStart + i] + delta;
+            }
+
+            entry.vertexStart = vertexStart;
+            entry.indexStart = indexStart;
+            delete entry.newVertexStart;
+            indexStart += entry.indexCount;
+        });
+
+        this.index.fill(0, indexStart, this.indexCount);
+        this.indexCount = indexStart;
+        this.wastedIndices = 0;
+        this.isOrderDirty = false;
+
+        this.indexAttribute.clearUpdateRanges();
+        this.indexAttribute.needsUpdate = true;
+        this.isCullingDirty = true;
+        if (this.mesh.geometry.index === this.indexAttribute) {
+            this.mesh.geometry.setDrawRange(0, this.indexCount);
+        }
+    }
+
+    /**
+     * Bounds of a chunk including the stroke's width (in the parent's space)
+     */
+    getChunkBox(entry, chunk, target) {
+        const bounds = chunk.bounds;
+        const padding = entry.stroke.width * bounds[6];
+        target.min.set(bounds[0] - padding, bounds[1] - padding, bounds[2] - padding);
+        target.max.set(bounds[3] + padding, bounds[4] + padding, bounds[5] + padding);
+        return target;
+    }
+
+    /**
+     * Recompute the bounding box and sphere Three.js culls the batch with
+     */
+    updateBounds() {
+        const geometry = this.mesh.geometry;
+        const boundingBox = geometry.boundingBox || new THREE.Box3();
+        const boundingSphere = geometry.boundingSphere || new THREE.Sphere();
+
+        boundingBox.makeEmpty();
+        this.entries.forEach(entry => {
+            entry.chunks.forEach(chunk => {
+                boundingBox.union(this.getChunkBox(entry, chunk, chunkBox));
+            });
+        });
+        boundingBox.getBoundingSphere(boundingSphere);
+
+        geometry.boundingBox = boundingBox;
+        geometry.boundingSphere = boundingSphere;
+    }
+
+    /**
+     * Draw only the chunks intersecting the view
+     * @param {THREE.Frustum|null} frustum - View frustum in the parent's space (null = draw everything)
+     * @param {boolean} isViewChanged - The frustum differs from the previous call
+     * @param {Set<Object>|null} visibleStrokes - Strokes that may be in view (null = test every stroke)
+     */
+    cull(frustum, isViewChanged, visibleStrokes = null) {
+        if (!this.isCullingDirty && !isViewChanged) return;
+
+        if (this.isCullingDirty) {
+            this.updateBounds();
+        }
+        this.isCullingDirty = false;
+
+        // Index ranges of the chunks in view, merging neighbors
+        const ranges = [];
+        let drawnChunks = 0;
+        let culledChunks = 0;
+        this.entries.forEach(entry => {
+            if (visibleStrokes && !visibleStrokes.has(entry.stroke)) {
+                culledChunks += entry.chunks.length;
+                return;
+            }
+
+            entry.chunks.forEach(chunk => {
+                if (frustum && !frustum.intersectsBox(this.getChunkBox(entry, chunk, chunkBox))) {
+                    culledChunks++;
+                    return;
+                }
+
+                drawnChunks++;
+                const start = entry.indexStart + chunk.indexOffset;
+                const last = ranges[ranges.length - 1];
+                if (last && last.end === start) {
+                    last.end += chunk.indexCount;
+                } else {
+                    ranges.push({ start, end: start + chunk.indexCount });
+                }
+            });
+        });
+
+        this.drawnChunks = drawnChunks;
+        this.culledChunks = culledChunks;
+
+        const geometry = this.mesh.geometry;
+        if (culledChunks === 0) {
+            geometry.setIndex(this.indexAttribute);
+            geometry.setDrawRange(0, this.indexCount);
+            return;
+        }
+
+        if (!this.drawIndexAttribute) {
+            this.drawIndexAttribute = new THREE.BufferAttribute(new Uint32Array(this.indexCapacity), 1)
+                .setUsage(THREE.DynamicDrawUsage);
+        }
+
+        const drawIndex = this.drawIndexAttribute.array;
+        let drawCount = 0;
+        ranges.forEach(({ start, end }) => {
+            drawIndex.set(this.index.subarray(start, end), drawCount);
+            drawCount += end - start;
+        });
+
+        this.drawIndexAttribute.clearUpdateRanges();
+        this.drawIndexAttribute.addUpdateRange(0, drawCount);
+        this.drawIndexAttribute.needsUpdate = true;
+        geometry.setIndex(this.drawIndexAttribute);
+        geometry.setDrawRange(0, drawCount);
+    }
+
+    /**
+     * Free the GPU buffers
+     */
+    dispose() {
+        if (this.mesh.parent) {
+            this.mesh.parent.remove(this.mesh);
+        }
+        this.mesh.geometry.dispose();
+    }
+}
+
+/**
+ * Draws all strokes with a handful of draw calls
+ *
+ * Stroke geometry lives in StrokeBatch buffers that share one ShaderMaterial.
+ * Color, width and visibility are per-stroke texels in a data texture, so
+ * changing them never touches vertex data. Images are separate meshes sorted
+ * by renderOrder, so strokes are grouped into one batch per layer between two
+ * images; a board without images draws all its strokes in a single call.
+ */
+export class StrokeBatchRenderer {
+    constructor(parent) {
+        this.parent = parent;
+
+        this.entries = new Map(); // stroke -> { stroke, slot, isVisible, batch, batchKey, vertexStart, ... }
+        this.batches = new Map(); // Z-index of the image below (or -Infinity) -> StrokeBatch
+        this.layerBoundaries = []; // Sorted z-indices of images
+
+        // Slots in the style texture
+        this.freeSlots = [];
+        this.nextSlot = 0;
+        this.strokeData = null;
+        this.strokeDataTexture = null;
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                strokeData: { value: null }
+            },
+            vertexShader: strokeVertexShader,
+            fragmentShader: strokeFragmentShader,
+            side: THREE.DoubleSide,
+            transparent: true,  // Sorted with images by renderOrder
+            depthWrite: false,  // Disable depth writing for transparent objects
+            depthTest: true,
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -1
+        });
+        this.allocateStrokeData(256);
+
+        this.isAirStrokesVisible = false; // Air strokes are only shown in VR
+
+        this.isFlushScheduled = false;
+
+        // Culling
+        this.frustum = new THREE.Frustum();
+        this.viewMatrix = null; // Projection * view * parent matrix of the last cull (null = not culled)
+        this.stats = { drawnChunks: 0, culledChunks: 0 }; // Of the last frame
+
+        // Returns the z-indices of everything strokes must not be batched across (images); set externally
+        this.getLayerBoundaries = null;
+        // Returns the strokes that may intersect a frustum (e.g. from a spatial index); set externally
+        this.getVisibleStrokes = null;
+    }
+
+    /**
+     * Grow the style texture to hold at least slotCount strokes
+     */
+    allocateStrokeData(slotCount) {
+        const rows = Math.ceil(slotCount * 2 / STROKE_DATA_WIDTH);
+        const data = new Float32Array(STROKE_DATA_WIDTH * rows * 4);
+        if (this.strokeData) {
+            data.set(this.strokeData);
+        }
+
+        const texture = new THREE.DataTexture(data, STROKE_DATA_WIDTH, rows, THREE.RGBAFormat, THREE.FloatType);
+        texture.needsUpdate = true;
+
+        if (this.strokeDataTexture) {
+            this.strokeDataTexture.dispose();
+        }
+        this.strokeData = data;
+        this.strokeDataTexture = texture;
+        this.material.uniforms.strokeData.value = texture;
+    }
+
+    /**
+     * Register a stroke (before its geometry arrives) so its style and visibility can be set
+     */
+    addStroke(stroke) {
+        if (this.entries.has(stroke)) return;
+
+        let slot = this.freeSlots.pop();
+        if (slot === undefined) {
+            slot = this.nextSlot++;
+            if (slot * 2 + 2 > this.strokeData.length / 4) {
+                this.allocateStrokeData(this.nextSlot * 2);
+            }
+        }
+
+        const entry = { stroke, slot, isVisible: true, batch: null, batchKey: null };
+        this.entries.set(stroke, entry);
+        this.writeStyle(entry);
+    }
+
+    /**
+     * Put a stroke's built geometry on screen, replacing any previous geometry
+     * @param {Object} stroke - Stroke object
+     * @param {Array<Object>} chunks - Chunks from StrokeGeometryBuilder.build
+     */
+    setStrokeGeometry(stroke, chunks) {
+        this.addStroke(stroke);
+        const entry = this.entries.get(stroke);
+        const batchKey = this.getBatchKey(stroke.zIndex);
+
+        if (entry.batch && entry.batchKey === batchKey) {
+            entry.batch.update(entry, chunks);
+            entry.batch.reorder(entry); // The z-index may have changed with the geometry (undo)
+        } else {
+            if (entry.batch) {
+                entry.batch.remove(entry);
+            }
+            entry.batchKey = batchKey;
+            entry.batch = this.getBatch(batchKey);
+            entry.batch.add(entry, chunks);
+        }
+
+        this.scheduleFlush();
+    }
+
+    /**
+     * Remove a stroke and free its buffer ranges and style slot
+     */
+    removeStroke(stroke) {
+        const entry = this.entries.get(stroke);
+        if (!entry) return;
+
+        if (entry.batch) {
+            entry.batch.remove(entry);
+        }
+        this.entries.delete(stroke);
+        this.freeSlots.push(entry.slot);
+        this.scheduleFlush();
+    }
+
+    /**
+     * Move a stroke in the paint order after its z-index changed
+     */
+    updateStrokeOrder(stroke) {
+        const entry = this.entries.get(stroke);
+        if (!entry || !entry.batch) return;
+
+        const batchKey = this.getBatchKey(stroke.zIndex);
+        if (batchKey === entry.batchKey) {
+            entry.batch.reorder(entry);
+        } else {
+            this.moveToBatch(entry, batchKey);
+        }
+
+        this.scheduleFlush();
+    }
+
+    /**
+     * Show or hide a stroke without touching its geometry
+     */
+    setStrokeVisible(stroke, visible) {
+        const entry = this.entries.get(stroke);
+        if (!entry || entry.isVisible === visible) return;
+
+        entry.isVisible = visible;
+        this.writeStyle(entry);
+    }
+
+    /**
+     * Show or hide every air stroke (independent of each stroke's own visibility)
+     */
+    setAirStrokesVisible(visible) {
+        if (this.isAirStrokesVisible === visible) return;
+
+        this.isAirStrokesVisible = visible;
+        this.entries.forEach(entry => {
+            if (entry.stroke.isAirStroke) this.writeStyle(entry);
+        });
+    }
+
+    /**
+     * Whether a registered stroke is drawn (apart from air strokes being hidden)
+     */
+    isStrokeVisible(stroke) {
+        const entry = this.entries.get(stroke);
+        return entry ? entry.isVisible : false;
+    }
+
+    /**
+     * Write a stroke's color, width, visibility and kind to the style texture
+     */
+    writeStyle(entry) {
+        const offset = entry.slot * 8;
+        const stroke = entry.stroke;
+        const color = stroke.color;
+        const isVisible = entry.isVisible && (!stroke.isAirStroke || this.isAirStrokesVisible);
+
+        this.strokeData[offset] = color.r;
+        this.strokeData[offset + 1] = color.g;
+        this.strokeData[offset + 2] = color.b;
+        this.strokeData[offset + 3] = isVisible ? 1 : 0;
+        this.strokeData[offset + 4] = stroke.width;
+        this.strokeData[offset + 5] = stroke.isAirStroke ? 1 : 0;
+        this.strokeDataTexture.needsUpdate = true;
+    }
+
+    /**
+     * Meshes drawing the strokes (one per batch)
+     */
+    getMeshes() {
+        return [...this.batches.values()].map(batch => batch.mesh);
+    }
+
+    /**
+     * Per-frame update: follow image z-order changes, apply deferred buffer work
+     * and cull chunks outside the camera's view
+     * @param {THREE.Camera|null} camera - Camera about to render (null = draw every chunk, e.g. for exports)
+     */
+    update(camera = null) {
+        if (this.getLayerBoundaries) {
+            const boundaries = [...this.getLayerBoundaries()].sort((a, b) => a - b);
+            const isChanged = boundaries.length !== this.layerBoundaries.length ||
+                boundaries.some((zIndex, i) => zIndex !== this.layerBoundaries[i]);
+
+            if (isChanged) {
+                this.layerBoundaries = boundaries;
+                this.entries.forEach(entry => {
+                    if (!entry.batch) return;
+
+                    const batchKey = this.getBatchKey(entry.stroke.zIndex);
+                    if (batchKey !== entry.batchKey) {
+                        this.moveToBatch(entry, batchKey);
+                    }
+                });
+                this.batches.forEach((batch, batchKey) => {
+                    batch.mesh.renderOrder = this.getBatchRenderOrder(batchKey);
+                });
+            }
+        }
+
+        this.flush();
+        this.cull(camera);
+    }
+
+    /**
+     * Cull every batch against the camera's frustum and total up the chunk counts
+     */
+    cull(camera) {
+        let frustum = null;
+        let isViewChanged = false;
+
+        if (camera) {
+            // XR cameras are updated by the renderer; their previous frame's pose is close enough
+            if (!camera.isArrayCamera) {
+                camera.updateMatrixWorld();
+            }
+            this.parent.updateWorldMatrix(true, false);
+
+            const viewMatrix = new THREE.Matrix4()
+                .multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+                .multiply(this.parent.matrixWorld);
+            isViewChanged = !this.viewMatrix || !viewMatrix.equals(this.viewMatrix);
+            this.viewMatrix = viewMatrix;
+            frustum = this.frustum.setFromProjectionMatrix(viewMatrix);
+        } else {
+            isViewChanged = this.viewMatrix !== null;
+            this.viewMatrix = null;
+        }
+
+        // Strokes the spatial index finds in view; the rest are culled without testing their chunks
+        let visibleStrokes = null;
+        const isCullNeeded = isViewChanged || [...this.batches.values()].some(batch => batch.isCullingDirty);
+        if (frustum && this.getVisibleStrokes && isCullNeeded) {
+            visibleStrokes = new Set(this.getVisibleStrokes(frustum));
+        }
+
+        this.stats.drawnChunks = 0;
+        this.stats.culledChunks = 0;
+        this.batches.forEach(batch => {
+            batch.cull(frustum, isViewChanged, visibleStrokes);
+            this.stats.drawnChunks += batch.drawnChunks;
+            this.stats.culledChunks += batch.culledChunks;
+        });
+    }
+
+    /**
+     * Move a stroke's geometry into another layer's batch
+     */
+    moveToBatch(entry, batchKey) {
+        const chunks = entry.batch.extract(entry);
+        entry.batch.remove(entry);
+
+        entry.batchKey = batchKey;
+        entry.batch = this.getBatch(batchKey);
+        entry.batch.add(entry, chunks);
+    }
+
+    /**
+     * Key of the layer a z-index falls into: the z-index of the closest image below
+     */
+    getBatchKey(zIndex) {
+        let low = 0;
+        let high = this.layerBoundaries.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.layerBoundaries[middle] < zIndex) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low > 0 ? this.layerBoundaries[low - 1] : -Infinity;
+    }
+
+    /**
+     * Render order placing a layer's batch between its images
+     */
+    getBatchRenderOrder(batchKey) {
+        if (batchKey !== -Infinity) return batchKey + 0.5;
+        return this.layerBoundaries.length > 0 ? this.layerBoundaries[0] - 0.5 : 0;
+    }
+
+    /**
+     * Get (or create) the batch of a layer
+     */
+    getBatch(batchKey) {
+        let batch = this.batches.get(batchKey);
+        if (!batch) {
+            batch = new StrokeBatch(this.material);
+            batch.mesh.renderOrder = this.getBatchRenderOrder(batchKey);
+            this.parent.add(batch.mesh);
+            this.batches.set(batchKey, batch);
+        }
+        return batch;
+    }
+
+    /**
+     * Flush once the current burst of changes is over (e.g. a whole selection was rebuilt)
+     */
+    scheduleFlush() {
+        if (this.isFlushScheduled) return;
+
+        this.isFlushScheduled = true;
+        queueMicrotask(() => {
+            this.isFlushScheduled = false;
+            this.flush();
+        });
+    }
+
+    /**
+     * Apply deferred work in every batch and drop empty ones
+     */
+    flush() {
+        this.batches.forEach((batch, batchKey) => {
+            if (batch.entries.length === 0) {
+                batch.dispose();
+                this.batches.delete(batchKey);
+                return;
+            }
+            batch.flush();
+        });
+    }
+}
@@ -0,0 +1,215 @@
+import { BezierConverter } from './BezierConverter.js';
+
+/**
+ * Builds the vertex data for stroke meshes as typed arrays
+ * Has no Three.js or DOM dependencies so it can run inside a Web Worker
+ * (StrokeGeometryWorker.js); StrokeBatchRenderer copies the result into its shared buffers
+ */
+export class StrokeGeometryBuilder {
+    /**
+     * Fit a whole stroke and build the geometry of each chunk
+     * @param {Float64Array} points - Stroke points as x, y, z triples
+     * @param {Float32Array|null} widthScales - Per-point width multipliers (null = uniform width)
+     * @param {number} chunkSize - Bezier segments per chunk
+     * @param {Object} tessellation - { stepLength, minSubdivisions, maxSubdivisions } (see getSubdivisions)
+     * @returns {Array<Object>} Chunks { segmentCount, attributes: { name: Float32Array }, index: Uint32Array, bounds }
+     *   (bounds: see getBounds)
+     */
+    static build(points, widthScales, chunkSize, tessellation) {
+        const pointList = [];
+        for (let i = 0; i + 2 < points.length; i += 3) {
+            pointList.push({ x: points[i], y: points[i + 1], z: points[i + 2] });
+        }
+
+        const chunks = this.createChunks(pointList, chunkSize);
+
+        return chunks.map((chunk, index) => {
+            // Include end caps only for the first and last chunk
+            const startCap = index === 0 ? pointList[0] : null;
+            const endCap = index === chunks.length - 1 ? pointList[pointList.length - 1] : null;
+            const chunkWidthScales = widthScales ? widthScales.subarray(chunk.startIndex, chunk.endIndex) : null;
+
+            return {
+                segmentCount: chunk.segments.length,
+                ...this.buildChunk(chunk.segments, startCap, endCap, chunkWidthScales, tessellation),
+                bounds: this.getBounds(chunk.segments, chunkWidthScales)
+            };
+        });
+    }
+
+    /**
+     * Fit the whole stroke once and split its Bezier segments into chunks
+     * Chunks share their boundary points and control points come from a single
+     * fit, so the curve stays C1-continuous across chunks without overlapping geometry
+     * @param {Array} points - All points (objects with x, y, z)
+     * @param {number} chunkSize - Bezier segments per chunk
+     * @returns {Array} Chunk objects { startIndex, endIndex, segments }; points startIndex..endIndex-1
+     */
+    static createChunks(points, chunkSize) {
+        const segments = BezierConverter.createSegment(points);
+        const chunks = [];
+
+        for (let start = 0; start < segments.length; start += chunkSize) {
+            const end = Math.min(start + chunkSize, segments.length);
+            chunks.push({
+                startIndex: start,
+                endIndex: end + 1, // Segment i ends at point i + 1
+                segments: segments.slice(start, end)
+            });
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Bounding box of a chunk's curves: the control points' box contains every cubic
+     * Bezier curve (it lies in their convex hull). The stroke's width is applied when
+     * culling, so the widest pressure multiplier is stored with the box.
+     * @param {Array<BezierQuadruple>} segments - Bezier segments
+     * @param {Float32Array|null} widthScales - Per-point width multipliers
+     * @returns {Float32Array} minX, minY, minZ, maxX, maxY, maxZ, max width scale
+     */
+    static getBounds(segments, widthScales) {
+        const bounds = new Float32Array([Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity, 1]);
+
+        segments.forEach(segment => {
+            [segment.p0, segment.p1, segment.p2, segment.p3].forEach(point => {
+                bounds[0] = Math.min(bounds[0], point.x);
+                bounds[1] = Math.min(bounds[1], point.y);
+                bounds[2] = Math.min(bounds[2], point.z);
+                bounds[3] = Math.max(bounds[3], point.x);
+                bounds[4] = Math.max(bounds[4], point.y);
+                bounds[5] = Math.max(bounds[5], point.z);
+            });
+        });
+
+        if (widthScales) {
+            bounds[6] = widthScales.reduce((max, scale) => Math.max(max, scale), 0);
+        }
+
+        return bounds;
+    }
+
+    /**
+     * Subdivisions of a segment so that no step along it is longer than stepLength
+     * The control polygon is never shorter than the curve, so its length bounds the steps
+     * @param {BezierQuadruple} segment - Bezier segment
+     * @param {Object} tessellation - { stepLength, minSubdivisions, maxSubdivisions }
+     * @returns {number} Points sampled along the segment (at least 2)
+     */
+    static getSubdivisions(segment, { stepLength, minSubdivisions, maxSubdivisions }) {
+        const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+        const length = distance(segment.p0, segment.p1) + distance(segment.p1, segment.p2) + distance(segment.p2, segment.p3);
+        const subdivisions = Math.ceil(length / stepLength) + 1;
+        return Math.max(2, minSubdivisions, Math.min(subdivisions, maxSubdivisions));
+    }
+
+    /**
+     * Generate GPU-optimized geometry for a chunk of bezier segments with end caps
+     * Every subdivision gets two vertices carrying the whole segment; the shader
+     * evaluates the curve and offsets the vertices by the stroke width
+     * @param {Array<BezierQuadruple>} segments - Bezier segments
+     * @param {Object|null} startCap - Position for start cap
+     * @param {Object|null} endCap - Position for end cap
+     * @param {Float32Array|null} widthScales - Per-point width multipliers, interpolated along each segment
+     * @param {Object} tessellation - Subdivision settings (see getSubdivisions)
+     * @returns {Object} { attributes, index }
+     */
+    static buildChunk(segments, startCap, endCap, widthScales, tessellation) {
+        const capCount = (startCap ? 1 : 0) + (endCap ? 1 : 0);
+        const segmentSubdivisions = segments.map(segment => this.getSubdivisions(segment, tessellation));
+        const totalSubdivisions = segmentSubdivisions.reduce((sum, count) => sum + count, 0);
+        const vertexCount = totalSubdivisions * 2 + capCount * 4;
+
+        const attributes = {
+            position: new Float32Array(vertexCount * 3),
+            controlPoint1: new Float32Array(vertexCount * 3),
+            controlPoint2: new Float32Array(vertexCount * 3),
+            endPoint: new Float32Array(vertexCount * 3),
+            segmentT: new Float32Array(vertexCount),
+            isEndCap: new Float32Array(vertexCount),
+            widthScale: new Float32Array(vertexCount),
+            uv: new Float32Array(vertexCount * 2)
+        };
+        const index = new Uint32Array((totalSubdivisions - segments.length) * 6 + capCount * 6);
+
+        const setVector = (array, vertex, point) => {
+            array[vertex * 3] = point.x;
+            array[vertex * 3 + 1] = point.y;
+            array[vertex * 3 + 2] = point.z;
+        };
+
+        let vertex = 0;
+        let indexOffset = 0;
+
+        segments.forEach((segment, segmentIndex) => {
+            // Segment i runs from point i to point i + 1
+            const startScale = widthScales ? widthScales[segmentIndex] : 1;
+            const endScale = widthScales ? widthScales[segmentIndex + 1] : 1;
+            const segmentStart = vertex;
+            const subdivisions = segmentSubdivisions[segmentIndex];
+
+            for (let i = 0; i < subdivisions; i++) {
+                const t = i / (subdivisions - 1);
+                const widthScale = startScale + (endScale - startScale) * t;
+
+                // Two vertices per subdivision (for width)
+                for (let side = 0; side < 2; side++) {
+                    setVector(attributes.position, vertex, segment.p0);
+                    setVector(attributes.controlPoint1, vertex, segment.p1);
+                    setVector(attributes.controlPoint2, vertex, segment.p2);
+                    setVector(attributes.endPoint, vertex, segment.p3);
+                    attributes.segmentT[vertex] = t;
+                    attributes.widthScale[vertex] = widthScale;
+
+                    // UV coordinates (x: 0 or 1 for width, y: t for length)
+                    attributes.uv[vertex * 2] = side;
+                    attributes.uv[vertex * 2 + 1] = t;
+                    vertex++;
+                }
+
+                // Quad between this subdivision and the next (two triangles)
+                if (i < subdivisions - 1) {
+                    const base = segmentStart + i * 2;
+                    index.set([base, base + 1, base + 2, base + 1, base + 3, base + 2], indexOffset);
+                    indexOffset += 6;
+                }
+            }
+        });
+
+        // Cap quads sit on the cap center; the shader offsets the corners using the UVs
+        const addEndCap = (position, widthScale) => {
+            if (!position) return;
+
+            const base = vertex;
+            for (let i = 0; i < 4; i++) {
+                setVector(attributes.position, vertex, position);
+                attributes.isEndCap[vertex] = 1;
+                attributes.widthScale[vertex] = widthScale;
+                attributes.uv[vertex * 2] = (i === 1 || i === 2) ? 1 : 0;
+                attributes.uv[vertex * 2 + 1] = (i >= 2) ? 1 : 0;
+                vertex++;
+            }
+
+            index.set([base, base + 1, base + 2, base, base + 2, base + 3], indexOffset);
+            indexOffset += 6;
+        };
+
+        addEndCap(startCap, widthScales ? widthScales[0] : 1);
+        addEndCap(endCap, widthScales ? widthScales[widthScales.length - 1] : 1);
+
+        return { attributes, index };
+    }
+
+    /**
+     * Buffers of built chunks, for transferring them out of a worker without copying
+     */
+    static getTransferables(chunks) {
+        const buffers = [];
+        chunks.forEach(chunk => {
+            Object.values(chunk.attributes).forEach(array => buffers.push(array.buffer));
+            buffers.push(chunk.index.buffer, chunk.bounds.buffer);
+        });
+        return buffers;
+    }
+}
@@ -0,0 +1,19 @@
+import { StrokeGeometryBuilder } from './StrokeGeometryBuilder.js';
+
+/**
+ * Web Worker that fits strokes and builds their vertex data off the main thread
+ * (see StrokeGeometryWorkerPool.js)
+ *
+ * Request:  { id, points: Float64Array, widthScales: Float32Array|null, chunkSize, tessellation }
+ * Response: { id, chunks } with the chunks' buffers transferred, or { id, error }
+ */
+self.addEventListener('message', (event) => {
+    const { id, points, widthScales, chunkSize, tessellation } = event.data;
+
+    try {
+        const chunks = StrokeGeometryBuilder.build(points, widthScales, chunkSize, tessellation);
+        self.postMessage({ id, chunks }, StrokeGeometryBuilder.getTransferables(chunks));
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
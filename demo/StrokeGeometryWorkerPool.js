@@ -0,0 +1,142 @@
+import { StrokeGeometryBuilder } from './StrokeGeometryBuilder.js';
+
+/**
+ * Pool of Web Workers running StrokeGeometryBuilder
+ * Requests go to the least busy worker; points are transferred in and vertex
+ * buffers transferred back, so nothing is copied. Where workers are unavailable
+ * (or fail to start) strokes are built on the main thread instead.
+ */
+export class StrokeGeometryWorkerPool {
+    constructor(size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))) {
+        this.size = size;
+        this.workers = []; // { worker, pending: number }
+        this.requests = new Map(); // id -> { resolve, reject, entry, request }
+        this.nextRequestId = 1;
+        this.isSupported = typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Fit a stroke and build its chunk geometry
+     * @param {Array<THREE.Vector3>} points - Stroke points
+     * @param {Array<number>|null} widthScales - Per-point width multipliers
+     * @param {number} chunkSize - Bezier segments per chunk
+     * @param {Object} tessellation - Subdivision settings (see StrokeGeometryBuilder.getSubdivisions)
+     * @returns {Promise<Array<Object>>} Chunks from StrokeGeometryBuilder.build
+     */
+    build(points, widthScales, chunkSize, tessellation) {
+        const request = { points, widthScales, chunkSize, tessellation };
+
+        if (!this.isSupported) {
+            return Promise.resolve(this.buildOnMainThread(request));
+        }
+
+        const message = { id: this.nextRequestId++, ...this.createInput(request) };
+
+        return new Promise((resolve, reject) => {
+            const entry = this.getWorker();
+            entry.pending++;
+            this.requests.set(message.id, { resolve, reject, entry, request });
+
+            const transfer = [message.points.buffer];
+            if (message.widthScales) transfer.push(message.widthScales.buffer);
+            entry.worker.postMessage(message, transfer);
+        });
+    }
+
+    /**
+     * Pack a request into typed arrays for StrokeGeometryBuilder.build
+     */
+    createInput({ points, widthScales, chunkSize, tessellation }) {
+        const flatPoints = new Float64Array(points.length * 3);
+        points.forEach((point, i) => {
+            flatPoints[i * 3] = point.x;
+            flatPoints[i * 3 + 1] = point.y;
+            flatPoints[i * 3 + 2] = point.z;
+        });
+
+        return {
+            points: flatPoints,
+            widthScales: widthScales ? Float32Array.from(widthScales) : null,
+            chunkSize: chunkSize,
+            tessellation: tessellation
+        };
+    }
+
+    /**
+     * Least busy worker, starting a new one while the pool is not full
+     */
+    getWorker() {
+        const idle = this.workers.find(entry => entry.pending === 0);
+        if (idle) return idle;
+
+        if (this.workers.length < this.size) {
+            const worker = new Worker(new URL('./StrokeGeometryWorker.js', import.meta.url), { type: 'module' });
+            const entry = { worker, pending: 0 };
+
+            worker.addEventListener('message', (event) => this.handleResponse(entry, event.data));
+            worker.addEventListener('error', (event) => this.handleWorkerError(event));
+
+            this.workers.push(entry);
+            return entry;
+        }
+
+        return this.workers.reduce((best, entry) => entry.pending < best.pending ? entry : best);
+    }
+
+    /**
+     * Resolve the request a worker answered
+     */
+    handleResponse(entry, data) {
+        const request = this.requests.get(data.id);
+        if (!request) return;
+
+        this.requests.delete(data.id);
+        entry.pending--;
+
+        if (data.error) {
+            request.reject(new Error(data.error));
+        } else {
+            request.resolve(data.chunks);
+        }
+    }
+
+    /**
+     * A worker failed to load or crashed: stop using workers and finish the
+     * outstanding requests on the main thread
+     * (their transferred input is gone, so it is packed again from the request)
+     */
+    handleWorkerError(event) {
+        console.warn('Stroke geometry worker failed, building strokes on the main thread:', event.message);
+        event.preventDefault();
+
+        this.isSupported = false;
+        this.workers.forEach(({ worker }) => worker.terminate());
+        this.workers = [];
+
+        const requests = [...this.requests.values()];
+        this.requests.clear();
+        requests.forEach(({ resolve, reject, request }) => {
+            try {
+                resolve(this.buildOnMainThread(request));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Build synchronously (fallback)
+     */
+    buildOnMainThread(request) {
+        const { points, widthScales, chunkSize, tessellation } = this.createInput(request);
+        return StrokeGeometryBuilder.build(points, widthScales, chunkSize, tessellation);
+    }
+
+    /**
+     * Stop all workers
+     */
+    dispose() {
+        this.workers.forEach(({ worker }) => worker.terminate());
+        this.workers = [];
+    }
+}
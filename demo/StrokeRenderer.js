@@ -8,13 +8,16 @@ export class StrokeRenderer {
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer;
-        this.parent = parent || scene; // Use parent if provided, otherwise scene
+        this.parent = parent || scene; // Preview meshes go here; points are in its coordinates
         this.currentStroke = null;
         this.currentLine = null;
         this.startCap = null;
         this.endCap = null;
         this.points = [];
         this.allPoints = []; // Store all points for preview line
+        this.widthScales = []; // Per-point width multipliers, aligned with points
+        this.allWidthScales = []; // Aligned with allPoints
+        this.isAirStroke = false; // Drawn in mid-air (VR): the preview faces the camera instead of lying on the board
         this.lastScreenPosition = null;
         
         // Minimum distance threshold in screen pixels before adding a point for bezier conversion
@@ -29,6 +32,31 @@ export class StrokeRenderer {
         // Smoothing settings for reducing mouse jitter/jaggedness
         this.smoothingWindowSize = 3; // Number of points to average (odd number recommended)
         this.enableSmoothing = true; // Set to false to disable smoothing
+        
+        // Pen pressure/tilt response
+        this.minWidthScale = 0.15; // Width multiplier at the lightest touch
+        this.maxWidthScale = 2.0; // Width multiplier at full pressure
+        this.tiltWidthFactor = 0.5; // Extra width when the pen lies flat (pencil shading)
+        
+        // Called with the preview points while drawing, and with null when the stroke ends
+        this.onPreviewChange = null;
+    }
+
+    /**
+     * Convert pointer input to a width multiplier
+     * Half pressure draws at the pen width; mouse and touch always draw at the pen width
+     * @param {Object|null} input - { pointerType, pressure, tiltX, tiltY } from InputManager
+     * @returns {number} Width multiplier
+     */
+    getWidthScale(input) {
+        if (!input || input.pointerType !== 'pen') return 1;
+        
+        const pressureScale = Math.min(this.maxWidthScale, Math.max(this.minWidthScale, input.pressure * 2));
+        
+        // Tilt angle from vertical, 0 (upright) to 1 (flat)
+        const tilt = Math.min(1, Math.hypot(input.tiltX, input.tiltY) / 90);
+        
+        return pressureScale * (1 + this.tiltWidthFactor * tilt);
     }
 
     worldToScreen(point) {
@@ -42,9 +70,19 @@ export class StrokeRenderer {
         };
     }
 
-    startStroke(startPoint) {
+    /**
+     * Start a stroke preview
+     * @param {THREE.Vector3} startPoint - First point (in the parent's coordinates)
+     * @param {Object|null} input - Pointer input (see getWidthScale)
+     * @param {Object} options - { isAirStroke: drawn in mid-air rather than on the board }
+     */
+    startStroke(startPoint, input = null, options = {}) {
+        const widthScale = this.getWidthScale(input);
+        this.isAirStroke = options.isAirStroke === true;
         this.points = [startPoint.clone()]; // For bezier conversion
         this.allPoints = [startPoint.clone()]; // For preview line
+        this.widthScales = [widthScale];
+        this.allWidthScales = [widthScale];
         this.lastScreenPosition = this.worldToScreen(startPoint);
         
         // Create mesh-based line with actual width (works on all WebGL systems)
@@ -59,13 +97,35 @@ export class StrokeRenderer {
 
         this.currentLine = new THREE.Mesh(geometry, material);
         this.currentLine.renderOrder = 999; // Ensure it renders last (on top)
-        this.scene.add(this.currentLine);
+        this.parent.add(this.currentLine);
         
         // Create circular end caps
         this.createEndCaps();
         
         // Initial geometry will be updated in addPoint
         this.updateLineGeometry();
+        
+        if (this.onPreviewChange) this.onPreviewChange(this.allPoints);
+    }
+
+    /**
+     * Apply moving average smoothing to per-point width multipliers
+     */
+    smoothValues(values) {
+        if (!this.enableSmoothing || values.length < 3) {
+            return values.slice();
+        }
+        
+        const halfWindow = Math.floor(this.smoothingWindowSize / 2);
+        return values.map((value, i) => {
+            const start = Math.max(0, i - halfWindow);
+            const end = Math.min(values.length - 1, i + halfWindow);
+            let sum = 0;
+            for (let j = start; j <= end; j++) {
+                sum += values[j];
+            }
+            return sum / (end - start + 1);
+        });
     }
 
     /**
@@ -112,11 +172,14 @@ export class StrokeRenderer {
         return smoothed;
     }
 
-    addPoint(point) {
+    addPoint(point, input = null) {
         if (!this.currentLine) return;
 
+        const widthScale = this.getWidthScale(input);
+
         // Always add to allPoints for preview line rendering
         this.allPoints.push(point.clone());
+        this.allWidthScales.push(widthScale);
 
         // Convert point to screen space and check pixel distance for bezier points
         const screenPos = this.worldToScreen(point);
@@ -129,10 +192,12 @@ export class StrokeRenderer {
             // Only add to bezier points if it's far enough from last point
             if (pixelDistance >= this.minPixelDistance) {
                 this.points.push(point.clone());
+                this.widthScales.push(widthScale);
                 this.lastScreenPosition = screenPos;
             }
         } else {
             this.points.push(point.clone());
+            this.widthScales.push(widthScale);
             this.lastScreenPosition = screenPos;
         }
 
@@ -141,6 +206,8 @@ export class StrokeRenderer {
         
         // Update end cap position
         this.updateEndCaps();
+        
+        if (this.onPreviewChange) this.onPreviewChange(this.allPoints);
     }
 
     /**
@@ -164,16 +231,18 @@ export class StrokeRenderer {
         this.startCap.renderOrder = 999;
         if (this.allPoints.length > 0) {
             this.startCap.position.copy(this.allPoints[0]);
+            this.startCap.scale.setScalar(this.allWidthScales[0]);
         }
-        this.scene.add(this.startCap);
+        this.parent.add(this.startCap);
         
         // End cap (shares geometry, clones material)
         this.endCap = new THREE.Mesh(geometry, material.clone());
         this.endCap.renderOrder = 999;
         if (this.allPoints.length > 0) {
             this.endCap.position.copy(this.allPoints[this.allPoints.length - 1]);
+            this.endCap.scale.setScalar(this.allWidthScales[this.allWidthScales.length - 1]);
         }
-        this.scene.add(this.endCap);
+        this.parent.add(this.endCap);
     }
     
     /**
@@ -184,12 +253,21 @@ export class StrokeRenderer {
         
         // Update start cap
         this.startCap.position.copy(this.allPoints[0]);
+        this.startCap.scale.setScalar(this.allWidthScales[0]);
         this.startCap.material.color = this.previewLineColor;
         
         // Update end cap
         this.endCap.position.copy(this.allPoints[this.allPoints.length - 1]);
+        this.endCap.scale.setScalar(this.allWidthScales[this.allWidthScales.length - 1]);
         this.endCap.material.color = this.previewLineColor;
         
+        // Caps of air strokes are discs turned toward the viewer
+        if (this.isAirStroke) {
+            const viewer = this.camera.getWorldPosition(new THREE.Vector3());
+            this.startCap.lookAt(viewer);
+            this.endCap.lookAt(viewer);
+        }
+        
         // Update cap size if width changed
         const radius = this.previewLineWidth;
         if (this.startCap.geometry.parameters.radius !== radius) {
@@ -217,14 +295,15 @@ export class StrokeRenderer {
         // For single point, create a small circle/dot
         if (this.allPoints.length === 1) {
             const point = this.allPoints[0];
+            const radius = halfWidth * this.allWidthScales[0];
             const segments = 8;
             
             // Create circle vertices
             for (let i = 0; i <= segments; i++) {
                 const angle = (i / segments) * Math.PI * 2;
                 positions.push(
-                    point.x + Math.cos(angle) * halfWidth,
-                    point.y + Math.sin(angle) * halfWidth,
+                    point.x + Math.cos(angle) * radius,
+                    point.y + Math.sin(angle) * radius,
                     point.z
                 );
             }
@@ -244,6 +323,11 @@ export class StrokeRenderer {
             return;
         }
 
+        // Viewer position in the parent's coordinates (air strokes face it)
+        const viewer = this.isAirStroke
+            ? this.parent.worldToLocal(this.camera.getWorldPosition(new THREE.Vector3()))
+            : null;
+
         // Create quad strip along the line
         for (let i = 0; i < this.allPoints.length; i++) {
             const point = this.allPoints[i];
@@ -252,42 +336,37 @@ export class StrokeRenderer {
             let tangent;
             if (i === 0) {
                 // First point: use direction to next point
-                const next = this.allPoints[i + 1];
-                tangent = new THREE.Vector2(next.x - point.x, next.y - point.y);
+                tangent = new THREE.Vector3().subVectors(this.allPoints[i + 1], point);
             } else if (i === this.allPoints.length - 1) {
                 // Last point: use direction from previous point
-                const prev = this.allPoints[i - 1];
-                tangent = new THREE.Vector2(point.x - prev.x, point.y - prev.y);
+                tangent = new THREE.Vector3().subVectors(point, this.allPoints[i - 1]);
             } else {
                 // Middle points: average of incoming and outgoing directions
-                const prev = this.allPoints[i - 1];
-                const next = this.allPoints[i + 1];
-                tangent = new THREE.Vector2(
-                    (point.x - prev.x) + (next.x - point.x),
-                    (point.y - prev.y) + (next.y - point.y)
-                );
+                tangent = new THREE.Vector3().subVectors(this.allPoints[i + 1], this.allPoints[i - 1]);
             }
 
-            // Normalize tangent
-            const length = Math.sqrt(tangent.x * tangent.x + tangent.y * tangent.y);
-            if (length > 0) {
-                tangent.x /= length;
-                tangent.y /= length;
+            // Calculate normal (perpendicular to tangent): in the board plane, or
+            // for air strokes across the line as seen from the viewer
+            let normal;
+            if (this.isAirStroke) {
+                normal = tangent.cross(viewer.clone().sub(point)).normalize();
+            } else {
+                tangent.z = 0;
+                tangent.normalize();
+                normal = new THREE.Vector3(-tangent.y, tangent.x, 0);
             }
-
-            // Calculate normal (perpendicular to tangent)
-            const normal = new THREE.Vector2(-tangent.y, tangent.x);
+            const pointHalfWidth = halfWidth * this.allWidthScales[i];
 
             // Create two vertices for this point (left and right side of ribbon)
             positions.push(
-                point.x + normal.x * halfWidth,
-                point.y + normal.y * halfWidth,
-                point.z
+                point.x + normal.x * pointHalfWidth,
+                point.y + normal.y * pointHalfWidth,
+                point.z + normal.z * pointHalfWidth
             );
             positions.push(
-                point.x - normal.x * halfWidth,
-                point.y - normal.y * halfWidth,
-                point.z
+                point.x - normal.x * pointHalfWidth,
+                point.y - normal.y * pointHalfWidth,
+                point.z - normal.z * pointHalfWidth
             );
 
             // Create quad indices (two triangles per segment)
@@ -318,38 +397,48 @@ export class StrokeRenderer {
             if (this.points.length === 0 || 
                 !lastPoint.equals(this.points[this.points.length - 1])) {
                 this.points.push(lastPoint.clone());
+                this.widthScales.push(this.allWidthScales[this.allWidthScales.length - 1]);
             }
         }
         
         // Apply smoothing to reduce mouse jitter/jaggedness
         const smoothedPoints = this.smoothPoints(this.points);
         
-        // Remove the temporary line
-        if (this.currentLine) {
-            this.scene.remove(this.currentLine);
-            this.currentLine.geometry.dispose();
-            this.currentLine.material.dispose();
-            this.currentLine = null;
-        }
+        // Uniform strokes (mouse, touch) carry no per-point widths
+        const isUniform = this.widthScales.every(scale => scale === 1);
+        const widthScales = isUniform ? null : this.smoothValues(this.widthScales);
         
-        // Remove end caps
-        if (this.startCap) {
-            this.scene.remove(this.startCap);
-            this.startCap.geometry.dispose();
-            this.startCap.material.dispose();
-            this.startCap = null;
-        }
-        if (this.endCap) {
-            this.scene.remove(this.endCap);
-            this.endCap.geometry.dispose();
-            this.endCap.material.dispose();
-            this.endCap = null;
-        }
+        // Hand the temporary line and end caps to the caller, who removes them once
+        // the final stroke mesh is on screen (it is built asynchronously)
+        const preview = [this.currentLine, this.startCap, this.endCap].filter(mesh => mesh);
+        this.currentLine = null;
+        this.startCap = null;
+        this.endCap = null;
 
         this.points = [];
         this.allPoints = [];
+        this.widthScales = [];
+        this.allWidthScales = [];
         this.lastScreenPosition = null;
         
-        return smoothedPoints; // Return smoothed points for bezier conversion
+        const isAirStroke = this.isAirStroke;
+        this.isAirStroke = false;
+        
+        if (this.onPreviewChange) this.onPreviewChange(null);
+        
+        // Smoothed points for bezier conversion, with their width multipliers
+        return { points: smoothedPoints, widthScales: widthScales, isAirStroke: isAirStroke, preview: preview };
+    }
+
+    /**
+     * Remove a finished stroke's preview (returned by endStroke)
+     * @param {Array<THREE.Mesh>} preview - Preview line and end caps
+     */
+    removePreview(preview) {
+        preview.forEach(mesh => {
+            if (mesh.parent) mesh.parent.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
     }
 }
@@ -9,11 +9,28 @@ import { SelectionManager } from './managers/SelectionManager.js';
 import { TransformManager } from './managers/TransformManager.js';
 import { UIController } from './managers/UIController.js';
 import { ImageManager } from './managers/ImageManager.js';
+import { EraserManager } from './managers/EraserManager.js';
+import { HistoryManager } from './managers/HistoryManager.js';
+import { CreateStrokeCommand, AddImageCommand, AddContentCommand, DeleteContentCommand, ReplaceStrokesCommand, TransformCommand } from './managers/HistoryCommands.js';
+import { BoardSerializer } from './managers/BoardSerializer.js';
+import { AutosaveManager } from './managers/AutosaveManager.js';
+import { BoardDocumentManager } from './managers/BoardDocumentManager.js';
+import { CollaborationManager } from './managers/CollaborationManager.js';
+import { PresenceManager } from './managers/PresenceManager.js';
+import { SVGExporter } from './managers/SVGExporter.js';
+import { PDFExporter } from './managers/PDFExporter.js';
+import { RasterExporter } from './managers/RasterExporter.js';
+import { SVGImporter } from './managers/SVGImporter.js';
+import { PDFImporter } from './managers/PDFImporter.js';
+import { isItemInRect } from './managers/ContentBounds.js';
 import { VRManager } from './managers/VRManager.js';
 import { VRButton } from './managers/VRButton.js';
 import { VRInputManager } from './managers/VRInputManager.js';
 import { VRLocomotionManager } from './managers/VRLocomotionManager.js';
 import { VRDebugDisplay } from './managers/VRDebugDisplay.js';
+import { VRDrawingManager } from './managers/VRDrawingManager.js';
+import { VRPaletteManager } from './managers/VRPaletteManager.js';
+import { VRGrabManager } from './managers/VRGrabManager.js';
 
 class WhiteboardDemo {
     constructor() {
@@ -27,10 +44,18 @@ class WhiteboardDemo {
         this.vrManager = null;
         this.vrInputManager = null;
         this.vrLocomotionManager = null;
+        this.vrDrawingManager = null;
+        this.vrPaletteManager = null;
+        this.vrGrabManager = null;
+        this.vrClickThreshold = 0.03; // Whiteboard units, for picking content with a controller ray
         this.vrDebugDisplay = null;
         this.isVRMode = false;
         this.lastFrameTime = 0;
         
+        // Recently imported image files, most recent first (offered by the VR palette)
+        this.recentImageFiles = [];
+        this.maxRecentImages = 4;
+        
         this.init();
         this.setupEventListeners();
         this.animate();
@@ -61,16 +86,42 @@ class WhiteboardDemo {
         this.globalZIndex = 0;
         this.strokeManager.getNextZIndex = () => this.globalZIndex++;
         this.imageManager.getNextZIndex = () => this.globalZIndex++;
+        this.imageManager.getBackgroundZIndex = () => this.getLowestZIndex() - 1;
+        
+        // Strokes are batched per layer between images so they still interleave with them by z-index
+        this.chunkedBezierManager.batchRenderer.getLayerBoundaries = () =>
+            this.imageManager.getImages().map(image => image.zIndex);
+        this.chunkedBezierManager.batchRenderer.getVisibleStrokes = (frustum) =>
+            this.strokeManager.getStrokesInFrustum(frustum);
         
-        this.selectionManager = new SelectionManager(scene);
-        this.transformManager = new TransformManager(this.strokeManager, this.selectionManager);
+        this.selectionManager = new SelectionManager(scene, whiteboard);
+        this.transformManager = new TransformManager(this.strokeManager, this.selectionManager, whiteboard);
         this.transformManager.setImageManager(this.imageManager);
+        this.eraserManager = new EraserManager(scene, this.strokeManager);
+        this.historyManager = new HistoryManager();
+        this.pendingTransformState = null; // Snapshot taken when a transform starts
+        this.boardSerializer = new BoardSerializer(this.strokeManager, this.imageManager);
+        this.autosaveManager = new AutosaveManager(this.boardSerializer, this.imageManager);
+        this.documentManager = new BoardDocumentManager(this.strokeManager, this.imageManager, this.boardSerializer);
+        this.autosaveManager.getDocumentClock = () => this.documentManager.getClock();
+        this.collaborationManager = new CollaborationManager(this.documentManager);
+        this.presenceManager = new PresenceManager(scene, whiteboard, this.strokeManager, this.imageManager, this.collaborationManager.clientId);
+        this.svgExporter = new SVGExporter(this.imageManager);
+        this.pdfExporter = new PDFExporter(this.imageManager);
+        this.rasterExporter = new RasterExporter(this.whiteboardScene, this.selectionManager, this.strokeManager);
+        this.svgImporter = new SVGImporter(this.strokeManager);
+        this.pdfImporter = new PDFImporter(this.imageManager);
         this.uiController = new UIController();
 
         // Setup UI
         this.uiController.setupControls();
         this.setupUICallbacks();
         this.setupInputCallbacks();
+        this.setupHistoryCallbacks();
+        this.setupCollaborationCallbacks();
+        
+        // Offer the autosaved board back, then start autosaving
+        this.restorePreviousSession();
         
         // Initialize VR
         this.initVR();
@@ -120,6 +171,10 @@ class WhiteboardDemo {
         // Deselect all strokes (hide selection UI)
         this.selectionManager.deselectAllStrokes();
         
+        // Other VR participants are shown as avatars; the desktop cursor is gone
+        this.presenceManager.setAvatarsVisible(true);
+        this.presenceManager.setCursor(null);
+        
         // Setup VR input manager (controllers already set up in VRManager constructor)
         this.vrInputManager = new VRInputManager(this.vrManager);
         
@@ -129,9 +184,73 @@ class WhiteboardDemo {
         
         // Setup VR locomotion manager
         const dolly = this.vrManager.getDolly();
-        this.vrLocomotionManager = new VRLocomotionManager(dolly, scene, camera);
+        this.vrLocomotionManager = new VRLocomotionManager(dolly, scene, camera, this.whiteboardScene.getFloor());
+        this.applyVRLocomotionSettings(this.uiController.getVRLocomotionSettings());
         this.lastFrameTime = performance.now();
         
+        // Draw with the controller through the same preview and stroke path as the desktop
+        // (the preview measures point spacing and faces air strokes with the headset camera)
+        this.strokeRenderer.camera = camera;
+        this.vrDrawingManager = new VRDrawingManager(scene, this.whiteboardScene.getWhiteboard(), this.vrManager, this.vrInputManager, this.strokeManager);
+        this.vrDrawingManager.onDrawStart = (point, isAirStroke) => this.strokeRenderer.startStroke(point, null, { isAirStroke });
+        this.vrDrawingManager.onDrawMove = (point) => this.strokeRenderer.addPoint(point);
+        this.vrDrawingManager.onDrawEnd = (leftBoard) => this.finishDrawnStroke(leftBoard);
+        this.vrDrawingManager.onDeleteStrokes = (strokes) => {
+            this.strokeManager.deleteStrokes(strokes);
+            this.historyManager.record(new DeleteContentCommand(this.strokeManager, this.imageManager, strokes, []));
+            this.updateContentCount();
+        };
+        this.vrDrawingManager.onEraseStart = () => this.eraserManager.beginErase();
+        this.vrDrawingManager.onEraseAt = (point) => this.eraseAt(point);
+        this.vrDrawingManager.onEraseStroke = (stroke) => {
+            this.eraserManager.removeStroke(stroke);
+            this.updateContentCount();
+        };
+        this.vrDrawingManager.onEraseEnd = () => this.finishErase();
+        this.vrDrawingManager.onSelectStart = (point) => this.beginSelectAt(point, this.vrClickThreshold);
+        this.vrDrawingManager.onSelectMove = (point) => this.updateSelectAt(point);
+        this.vrDrawingManager.onSelectEnd = () => this.endSelectGesture();
+        this.vrDrawingManager.setTool(this.uiController.getCurrentTool());
+        this.vrDrawingManager.setEraserRadius(this.uiController.getEraserSettings().size);
+        
+        // Tool palette on the left wrist, mirroring the desktop controls
+        const penSettings = this.uiController.getPenSettings();
+        this.vrPaletteManager = new VRPaletteManager(this.vrManager, this.vrInputManager, {
+            colors: this.uiController.getPaletteColors(),
+            widthRange: this.uiController.getPenWidthRange()
+        });
+        this.vrPaletteManager.setTool(this.uiController.getCurrentTool());
+        this.vrPaletteManager.setColor(penSettings.color);
+        this.vrPaletteManager.setWidth(penSettings.width);
+        this.vrPaletteManager.setRecentImages(this.recentImageFiles);
+        this.vrPaletteManager.onToolSelect = (tool) => this.uiController.setTool(tool);
+        this.vrPaletteManager.onColorSelect = (colorHex) => this.uiController.setPenColor(colorHex);
+        this.vrPaletteManager.onWidthChange = (width) => this.uiController.setPenWidth(width);
+        this.vrPaletteManager.onImageSelect = async (file) => {
+            try {
+                await this.importImage(file, this.getVRImportPosition());
+            } catch (error) {
+                console.error('Failed to import image:', error.message);
+            }
+        };
+        
+        // Grab board content with the grips (both grips scale); drops commit through the TransformManager
+        this.vrGrabManager = new VRGrabManager(this.whiteboardScene.getWhiteboard(), this.vrManager, this.vrInputManager);
+        this.vrGrabManager.onGrabStart = (point) => this.startGrab(point);
+        this.vrGrabManager.onGrabMove = (point) => this.transformManager.updateDrag(point);
+        this.vrGrabManager.onPinchStart = (pointA, pointB) => this.transformManager.startPinch(pointA, pointB);
+        this.vrGrabManager.onPinchMove = (pointA, pointB) => this.transformManager.updatePinch(pointA, pointB);
+        this.vrGrabManager.onGrabEnd = () => {
+            if (this.transformManager.isPinchingStrokes()) {
+                this.transformManager.stopPinch();
+            } else if (this.transformManager.isDraggingStrokes()) {
+                this.transformManager.stopDragging();
+            }
+        };
+        
+        // Strokes drawn in mid-air are only shown in VR
+        this.strokeManager.setAirStrokesVisible(true);
+        
         // Create VR debug display
         this.vrDebugDisplay = new VRDebugDisplay(scene);
         this.vrDebugDisplay.show();
@@ -145,6 +264,7 @@ class WhiteboardDemo {
                 this.updateVRFrame(frame);
             }
             this.updateFPS();
+            this.strokeManager.updateRendering(renderer.xr.isPresenting ? renderer.xr.getCamera() : camera);
             // Render the scene
             renderer.render(scene, camera);
         });
@@ -164,10 +284,25 @@ class WhiteboardDemo {
             if (this.vrLocomotionManager) {
                 const rightInput = this.vrInputManager.getRightController();
                 const leftInput = this.vrInputManager.getLeftController();
-                this.vrLocomotionManager.update(deltaTime, rightInput, leftInput);
+                const leftIndex = this.vrInputManager.getControllerIndexByHand('left');
+                const aimController = leftIndex !== undefined ? this.vrManager.getController(leftIndex) : null;
+                this.vrLocomotionManager.update(deltaTime, rightInput, leftInput, aimController);
+            }
+            
+            if (this.vrDrawingManager) {
+                // The palette gets the ray first; it ignores it while a stroke is drawn
+                const menuHit = this.vrPaletteManager.update(!this.vrDrawingManager.isDrawing);
+                this.vrDrawingManager.update(menuHit);
+                
+                // Grabs start only while the trigger is not drawing, erasing or selecting
+                const isTriggerBusy = this.vrDrawingManager.isDrawing ||
+                    this.vrDrawingManager.isErasing || this.vrDrawingManager.isSelecting;
+                this.vrGrabManager.update(!isTriggerBusy);
             }
         }
         
+        this.updateVRPresence();
+        
         // Update debug display
         if (this.vrDebugDisplay) {
             const camera = this.whiteboardScene.getCamera();
@@ -195,12 +330,35 @@ class WhiteboardDemo {
         }
     }
     
+    /**
+     * Share head and controller poses with collaborators
+     */
+    updateVRPresence() {
+        if (!this.collaborationManager.isConnected() || !this.vrInputManager) return;
+        
+        const getGrip = (hand) => {
+            const index = this.vrInputManager.getControllerIndexByHand(hand);
+            return index !== undefined ? this.vrManager.getControllerGrip(index) : null;
+        };
+        
+        this.presenceManager.setAvatar({
+            head: this.whiteboardScene.getCamera(),
+            left: getGrip('left'),
+            right: getGrip('right')
+        });
+    }
+    
     exitVRMode() {
         console.log('Exiting VR mode');
         this.isVRMode = false;
         
+        this.presenceManager.setAvatarsVisible(false);
+        this.presenceManager.setAvatar(null);
+        
         // Switch scene back to desktop mode
         this.whiteboardScene.switchToDesktop();
+        this.strokeManager.setAirStrokesVisible(false);
+        this.strokeRenderer.camera = this.whiteboardScene.getCamera();
         
         // Re-enable desktop input if pen tool is selected
         if (this.uiController.getCurrentTool() === 'pen') {
@@ -212,8 +370,23 @@ class WhiteboardDemo {
             this.vrDebugDisplay.dispose();
             this.vrDebugDisplay = null;
         }
+        if (this.vrDrawingManager) {
+            this.vrDrawingManager.dispose();
+            this.vrDrawingManager = null;
+        }
+        if (this.vrPaletteManager) {
+            this.vrPaletteManager.dispose();
+            this.vrPaletteManager = null;
+        }
+        if (this.vrGrabManager) {
+            this.vrGrabManager.dispose();
+            this.vrGrabManager = null;
+        }
+        if (this.vrLocomotionManager) {
+            this.vrLocomotionManager.dispose();
+            this.vrLocomotionManager = null;
+        }
         this.vrInputManager = null;
-        this.vrLocomotionManager = null;
         this.lastFrameTime = 0;
         
         // Switch back to requestAnimationFrame
@@ -226,11 +399,27 @@ class WhiteboardDemo {
         // Pen width changes
         this.uiController.onPenWidthChange((width) => {
             this.strokeRenderer.previewLineWidth = width;
+            if (this.vrPaletteManager) this.vrPaletteManager.setWidth(width);
         });
 
         // Pen color changes
         this.uiController.onPenColorChange((color) => {
             this.strokeRenderer.previewLineColor = color.clone();
+            if (this.vrPaletteManager) this.vrPaletteManager.setColor(color);
+        });
+
+        // Eraser settings
+        this.uiController.onEraserSizeChange((size) => {
+            this.eraserManager.setRadius(size);
+            if (this.vrDrawingManager) this.vrDrawingManager.setEraserRadius(size);
+        });
+
+        this.uiController.onEraserModeChange((mode) => {
+            this.eraserManager.setMode(mode);
+        });
+        
+        this.uiController.onVRLocomotionChange((settings) => {
+            if (this.vrLocomotionManager) this.applyVRLocomotionSettings(settings);
         });
 
         // Debug mode changes
@@ -239,69 +428,306 @@ class WhiteboardDemo {
         });
         // Tool changes
         this.uiController.onToolChange((tool) => {
+            const canvas = this.whiteboardScene.getRenderer().domElement;
+            
+            if (this.vrDrawingManager) this.vrDrawingManager.setTool(tool);
+            if (this.vrPaletteManager) this.vrPaletteManager.setTool(tool);
+            
             if (tool === 'pen') {
-                this.inputManager.setDrawingEnabled(true);
+                // Desktop input stays off while in VR
+                this.inputManager.setDrawingEnabled(!this.isVRMode);
                 this.selectionManager.deselectAllStrokes();
             } else {
                 this.inputManager.setDrawingEnabled(false);
             }
+            
+            if (tool === 'eraser') {
+                // The eraser outline replaces the pointer
+                this.selectionManager.deselectAllStrokes();
+                canvas.style.cursor = 'none';
+            } else {
+                this.eraserManager.hideCursor();
+                canvas.style.cursor = 'default';
+            }
         });
 
-        // Image import
+        // Image/PDF import
         this.uiController.onImageImport(async (file) => {
             try {
-                const camera = this.whiteboardScene.getCamera();
-                // Place image at center of current view
+                // Place at the center of the board
                 const position = new THREE.Vector3(0, 0, 0);
                 
-                const image = await this.imageManager.createImageFromFile(file, position);
-                console.log('Image imported successfully:', file.name);
+                if (this.isPDFFile(file)) {
+                    await this.importPDF(file, position);
+                } else {
+                    await this.importImage(file, position);
+                }
+            } catch (error) {
+                console.error('Failed to import file:', error.message);
+                alert(`Failed to import ${file.name}: ${error.message}`);
+            }
+        });
+
+        // SVG import (as editable strokes)
+        this.uiController.onSVGImport(async (file) => {
+            try {
+                await this.importSVG(file, new THREE.Vector3(0, 0, 0));
+            } catch (error) {
+                console.error('Failed to import SVG:', error.message);
+                alert(`Failed to import SVG: ${error.message}`);
+            }
+        });
+
+        // Files dropped onto the board are placed where they were dropped
+        this.uiController.onFileDrop(async (file, event) => {
+            try {
+                const position = this.getWorldPoint(event) || new THREE.Vector3(0, 0, 0);
                 
-                // Update total content count
-                this.updateContentCount();
+                if (this.isPDFFile(file)) {
+                    await this.importPDF(file, position);
+                } else if (file.type === 'image/svg+xml' || /\.svg$/i.test(file.name)) {
+                    await this.importSVG(file, position);
+                } else {
+                    await this.importImage(file, position);
+                }
             } catch (error) {
-                console.error('Failed to import image:', error.message);
-                alert(`Failed to import image: ${error.message}`);
+                console.error('Failed to import dropped file:', error.message);
+                alert(`Failed to import ${file.name}: ${error.message}`);
+            }
+        });
+
+        // Board save/open
+        this.uiController.onSaveBoard(async () => {
+            try {
+                await this.saveBoard();
+            } catch (error) {
+                console.error('Failed to save board:', error.message);
+                alert(`Failed to save board: ${error.message}`);
+            }
+        });
+
+        this.uiController.onOpenBoard(async (file) => {
+            try {
+                await this.openBoard(file);
+                console.log('Board opened successfully:', file.name);
+            } catch (error) {
+                console.error('Failed to open board:', error.message);
+                alert(`Failed to open board: ${error.message}`);
+            }
+        });
+
+        // Export
+        this.uiController.onExport(async (format, scope) => {
+            try {
+                await this.exportContent(format, scope);
+            } catch (error) {
+                console.error(`Failed to export ${format}:`, error.message);
+                alert(`Failed to export: ${error.message}`);
+            }
+        });
+
+        // Collaboration
+        this.uiController.onCollaborationConnect((url, room) => {
+            try {
+                this.collaborationManager.connect(url, room);
+            } catch (error) {
+                console.error('Failed to connect:', error.message);
+                alert(`Failed to connect: ${error.message}`);
+            }
+        });
+
+        this.uiController.onCollaborationDisconnect(() => {
+            this.collaborationManager.disconnect();
+        });
+
+        this.uiController.onCollaborationNameChange((name) => {
+            if (name) {
+                this.presenceManager.setName(name);
             }
         });
     }
 
     setupInputCallbacks() {
         // Drawing callbacks
-        this.inputManager.onDrawStart = (point) => {
-            this.strokeRenderer.startStroke(point);
+        this.inputManager.onDrawStart = (point, input) => {
+            this.strokeRenderer.startStroke(point, input);
         };
 
-        this.inputManager.onDrawMove = (point) => {
-            this.strokeRenderer.addPoint(point);
+        this.inputManager.onDrawMove = (point, input) => {
+            this.strokeRenderer.addPoint(point, input);
         };
 
         this.inputManager.onDrawEnd = (leftCanvas = false) => {
-            const points = this.strokeRenderer.endStroke(leftCanvas);
-            if (points && points.length >= 4) {
-                const simplifiedPoints = this.filterDensePoints(points, 0.005);
-                
-                console.log(`Point filtering: ${points.length} → ${simplifiedPoints.length} points`);
+            this.finishDrawnStroke(leftCanvas);
+        };
 
-                const penSettings = this.uiController.getPenSettings();
-                const bezierStroke = this.strokeManager.createStroke(simplifiedPoints, {
-                    width: penSettings.width,
-                    color: penSettings.color,
-                    debugMode: penSettings.debugMode
-                });
+        this.inputManager.onCameraUpdate = () => {
+            // Called when camera is updated via zoom/pan
+        };
+    }
+
+    /**
+     * Turn the stroke drawn with the StrokeRenderer preview into a board stroke
+     * (shared by desktop and VR drawing)
+     * @param {boolean} leftCanvas - The pointer left the whiteboard mid-stroke
+     */
+    finishDrawnStroke(leftCanvas = false) {
+        const { points, widthScales, isAirStroke, preview } = this.strokeRenderer.endStroke(leftCanvas);
+        let meshReady = Promise.resolve();
+        
+        if (points && points.length >= 4) {
+            const simplified = this.filterDensePoints(points, 0.005, widthScales);
+            
+            console.log(`Point filtering: ${points.length} → ${simplified.points.length} points`);
+
+            const penSettings = this.uiController.getPenSettings();
+            const bezierStroke = this.strokeManager.createStroke(simplified.points, {
+                width: penSettings.width,
+                color: penSettings.color,
+                widthScales: simplified.widthScales,
+                isAirStroke: isAirStroke,
+                debugMode: penSettings.debugMode
+            });
+            
+            if (bezierStroke) {
+                this.historyManager.record(new CreateStrokeCommand(this.strokeManager, bezierStroke));
+                this.updateContentCount();
                 
-                if (bezierStroke) {
-                    this.updateContentCount();
-                    
+                meshReady = bezierStroke.ready.then(() => {
                     const chunkStats = this.chunkedBezierManager.getStats(bezierStroke);
                     console.log(`Chunking: ${chunkStats.totalPoints} points → ${chunkStats.chunkCount} chunks, ${chunkStats.totalSegments} segments`);
-                }
+                });
             }
+        }
+        
+        // The preview stays until the stroke's mesh has arrived from the worker
+        meshReady.then(() => this.strokeRenderer.removePreview(preview));
+    }
+
+    setupHistoryCallbacks() {
+        // Any recorded, undone or redone action changes the board
+        this.historyManager.onChange(() => {
+            this.autosaveManager.scheduleSave();
+        });
+
+        // Snapshot selection before a move/scale so it can be undone exactly
+        this.transformManager.onTransformStart = (items) => {
+            this.pendingTransformState = TransformCommand.captureState(items);
         };
 
-        this.inputManager.onCameraUpdate = () => {
-            // Called when camera is updated via zoom/pan
+        this.transformManager.onTransformEnd = (items) => {
+            if (!this.pendingTransformState) return;
+            
+            const command = new TransformCommand(
+                this.strokeManager,
+                this.imageManager,
+                this.pendingTransformState,
+                TransformCommand.captureState(items)
+            );
+            this.pendingTransformState = null;
+            
+            if (command.hasChanges()) {
+                this.historyManager.record(command);
+            }
+        };
+    }
+
+    setupCollaborationCallbacks() {
+        // Every local change goes through history, so its commands keep the board document current
+        this.historyManager.onCommand((command, isUndo) => {
+            this.documentManager.recordCommand(command, isUndo);
+        });
+        
+        this.documentManager.onLocalOps = (ops) => {
+            this.collaborationManager.sendOps(ops);
+        };
+
+        this.collaborationManager.onStatusChange = (status, error) => {
+            this.uiController.setCollaborationStatus(status);
+            this.presenceManager.setActive(status === 'connected');
+            if (status === 'connected') {
+                // Let the room know who joined
+                this.presenceManager.publish();
+            }
+            if (error) {
+                console.error('Collaboration error:', error.message);
+            }
+        };
+
+        this.documentManager.onRemoteChange = (change) => {
+            this.handleRemoteChange(change);
+        };
+        
+        this.setupPresenceCallbacks();
+    }
+
+    /**
+     * Share cursor, in-progress stroke, selection and VR poses with collaborators
+     */
+    setupPresenceCallbacks() {
+        this.presenceManager.onPublish = (state) => {
+            this.collaborationManager.sendPresence(state);
+        };
+
+        this.collaborationManager.onPresence = (clientId, state) => {
+            this.presenceManager.applyRemote(clientId, state);
         };
+
+        this.collaborationManager.onPresenceLeave = (clientId) => {
+            if (clientId === null) {
+                this.presenceManager.clear();
+            } else {
+                this.presenceManager.removeRemote(clientId);
+            }
+        };
+
+        this.strokeRenderer.onPreviewChange = (points) => {
+            this.presenceManager.setStroke(
+                points,
+                this.strokeRenderer.previewLineColor,
+                this.strokeRenderer.previewLineWidth
+            );
+        };
+
+        this.selectionManager.onSelectionChange = (selected) => {
+            this.presenceManager.setSelection(selected);
+        };
+
+        // Remote selections outline content that local edits may have moved or deleted
+        this.historyManager.onChange(() => {
+            this.presenceManager.refreshSelections();
+        });
+    }
+
+    /**
+     * Refresh local state after operations from collaborators were applied
+     * Remote changes bypass history, so they are neither undoable nor sent back
+     */
+    handleRemoteChange({ items, added, removed, removedIds, maxZIndex }) {
+        // New local content must stack above remote content
+        this.globalZIndex = Math.max(this.globalZIndex, maxZIndex + 1);
+        
+        // Selection visuals reference content that may have been removed or moved
+        const selected = this.selectionManager.getSelectedStrokes();
+        const isSelectionAffected = selected.some(item =>
+            items.includes(item) || removedIds.includes(item.id)
+        );
+        if (isSelectionAffected) {
+            this.selectionManager.deselectAllStrokes();
+        }
+        
+        // Local undo/redo must not bring back or rebuild content removed by others
+        this.historyManager.forgetItems(removed);
+        
+        // Strokes put on the board get debug points (deleting a stroke removes its points)
+        if (this.uiController.getPenSettings().debugMode) {
+            added.filter(item => item.type !== 'image')
+                .forEach(stroke => this.strokeManager.setStrokeDebugMode(stroke, true));
+        }
+        
+        this.presenceManager.refreshSelections();
+        this.updateContentCount();
+        this.autosaveManager.scheduleSave();
     }
 
     setupEventListeners() {
@@ -314,12 +740,10 @@ class WhiteboardDemo {
             e.preventDefault();
         });
         
-        // Warn about unsaved work on page refresh/close
-        window.addEventListener('beforeunload', (e) => {
-            if (this.strokeManager.getStrokeCount() > 0) {
-                e.preventDefault();
-                e.returnValue = 'You have unsaved work. Are you sure you want to leave?';
-                return e.returnValue;
+        // Write any pending autosave before the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.autosaveManager.flush();
             }
         });
         
@@ -327,11 +751,19 @@ class WhiteboardDemo {
         renderer.domElement.addEventListener('mousedown', (e) => {
             if (this.uiController.getCurrentTool() === 'select' && e.button === 0) {
                 this.handleSelectMouseDown(e);
+            } else if (this.uiController.getCurrentTool() === 'eraser' && e.button === 0) {
+                this.handleEraserMouseDown(e);
             }
         });
         
         renderer.domElement.addEventListener('mousemove', (e) => {
-            if (this.uiController.getCurrentTool() === 'select') {
+            if (this.collaborationManager.isConnected()) {
+                this.presenceManager.setCursor(this.getWorldPoint(e));
+            }
+            
+            if (this.uiController.getCurrentTool() === 'eraser') {
+                this.handleEraserMove(e);
+            } else if (this.uiController.getCurrentTool() === 'select') {
                 if (this.transformManager.isScalingStrokes()) {
                     this.handleScaleMove(e);
                 } else if (this.transformManager.isDraggingStrokes()) {
@@ -347,11 +779,29 @@ class WhiteboardDemo {
         renderer.domElement.addEventListener('mouseup', (e) => {
             if (this.uiController.getCurrentTool() === 'select' && e.button === 0) {
                 this.handleSelectMouseUp(e);
+            } else if (this.uiController.getCurrentTool() === 'eraser' && e.button === 0) {
+                this.finishErase();
             }
         });
         
-        // Keyboard handler for deletion
+        renderer.domElement.addEventListener('mouseleave', () => {
+            this.presenceManager.setCursor(null);
+            this.eraserManager.hideCursor();
+            this.finishErase();
+        });
+        
+        // Keyboard handler for undo/redo and deletion
         window.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                return;
+            }
+            
             if ((e.key === 'Delete' || e.key === 'Backspace') && 
                 this.selectionManager.getSelectedStrokes().length > 0) {
                 e.preventDefault();
@@ -376,17 +826,22 @@ class WhiteboardDemo {
             return;
         }
         
-        // Then check if clicking within the bounding box of selected strokes
+        const camera = this.whiteboardScene.getCamera();
+        const viewHeight = camera.top - camera.bottom;
+        this.beginSelectAt(worldPoint, viewHeight * 0.01);
+    }
+    
+    /**
+     * Start a select gesture at a whiteboard point: drag the selection, pick content or start a selection box
+     */
+    beginSelectAt(worldPoint, clickThreshold) {
+        // Check if clicking within the bounding box of selected strokes
         if (this.selectionManager.getSelectedStrokes().length > 0 && 
             this.selectionManager.isPointInBoundingBox(worldPoint)) {
             this.transformManager.startDragging(worldPoint);
             return;
         }
         
-        const camera = this.whiteboardScene.getCamera();
-        const viewHeight = camera.top - camera.bottom;
-        const clickThreshold = viewHeight * 0.01;
-        
         // Check for both strokes and images
         const clickedStroke = this.strokeManager.getStrokeAtPosition(worldPoint, clickThreshold);
         const clickedImage = this.imageManager.getImageAtPosition(worldPoint, clickThreshold);
@@ -417,15 +872,35 @@ class WhiteboardDemo {
         if (this.transformManager.isScalingStrokes()) {
             this.transformManager.stopScaling();
             renderer.domElement.style.cursor = 'default';
-        } else if (this.transformManager.isDraggingStrokes()) {
+        } else {
+            this.endSelectGesture();
+        }
+    }
+    
+    /**
+     * Continue a select gesture at a whiteboard point (moves the dragged selection or resizes the selection box)
+     */
+    updateSelectAt(worldPoint) {
+        if (this.transformManager.isDraggingStrokes()) {
+            this.transformManager.updateDrag(worldPoint);
+        } else if (this.selectionManager.isDrawingBox()) {
+            this.selectionManager.updateSelectionBox(worldPoint);
+        }
+    }
+    
+    /**
+     * Finish a select gesture: commit the drag or select the content inside the selection box
+     */
+    endSelectGesture() {
+        if (this.transformManager.isDraggingStrokes()) {
             this.transformManager.stopDragging();
         } else if (this.selectionManager.isDrawingBox()) {
             const bounds = this.selectionManager.finishSelectionBox();
             
             if (bounds) {
-                // Find all strokes and images within the selection box
-                const allStrokes = this.strokeManager.getStrokes();
-                allStrokes.forEach(stroke => {
+                // Find all strokes and images within the selection box (starting from those whose bounds overlap it)
+                const nearbyStrokes = this.strokeManager.getStrokesInRect(bounds.minX, bounds.maxX, bounds.minY, bounds.maxY);
+                nearbyStrokes.forEach(stroke => {
                     const isInside = this.selectionManager.isStrokeInBox(
                         stroke, bounds.minX, bounds.maxX, bounds.minY, bounds.maxY
                     );
@@ -434,8 +909,9 @@ class WhiteboardDemo {
                     }
                 });
                 
-                const allImages = this.imageManager.getImages();
-                allImages.forEach(image => {
+                const nearbyImages = this.imageManager.getImagesInRect(bounds.minX, bounds.maxX, bounds.minY, bounds.maxY)
+                    .filter(image => !image.isLocked);
+                nearbyImages.forEach(image => {
                     const isInside = this.selectionManager.isStrokeInBox(
                         image, bounds.minX, bounds.maxX, bounds.minY, bounds.maxY
                     );
@@ -447,6 +923,89 @@ class WhiteboardDemo {
         }
     }
     
+    /**
+     * Start grabbing content at a whiteboard point (VR grip)
+     * Grabbing inside the selection moves all of it; otherwise the content under the point is selected first
+     * @returns {boolean} Whether there was content to grab
+     */
+    startGrab(worldPoint) {
+        if (this.transformManager.isDraggingStrokes() || this.transformManager.isScalingStrokes() ||
+            this.transformManager.isPinchingStrokes() || this.selectionManager.isDrawingBox()) {
+            return false;
+        }
+        
+        const selectedContent = this.selectionManager.getSelectedStrokes();
+        if (selectedContent.length === 0 || !this.selectionManager.isPointInBoundingBox(worldPoint)) {
+            const clickedStroke = this.strokeManager.getStrokeAtPosition(worldPoint, this.vrClickThreshold);
+            const clickedImage = this.imageManager.getImageAtPosition(worldPoint, this.vrClickThreshold);
+            const clickedContent = clickedStroke || clickedImage;
+            if (!clickedContent) return false;
+            
+            this.selectionManager.deselectAllStrokes();
+            this.selectionManager.selectStroke(clickedContent);
+        }
+        
+        this.transformManager.startDragging(worldPoint);
+        return true;
+    }
+    
+    /**
+     * Handle mouse down in eraser mode
+     */
+    handleEraserMouseDown(event) {
+        const worldPoint = this.getWorldPoint(event);
+        if (!worldPoint) return;
+        
+        this.eraserManager.beginErase();
+        this.eraseAt(worldPoint);
+    }
+    
+    /**
+     * Handle mouse move in eraser mode (cursor follows, erases while the button is held)
+     */
+    handleEraserMove(event) {
+        const worldPoint = this.getWorldPoint(event);
+        if (!worldPoint) {
+            this.eraserManager.hideCursor();
+            return;
+        }
+        
+        this.eraserManager.updateCursor(worldPoint);
+        
+        if (this.eraserManager.isErasing) {
+            this.eraseAt(worldPoint);
+        }
+    }
+    
+    /**
+     * Erase at a world point and refresh the content count
+     */
+    eraseAt(worldPoint) {
+        if (this.eraserManager.eraseAt(worldPoint)) {
+            this.updateContentCount();
+        }
+    }
+    
+    /**
+     * End the current erase gesture and record it as a single undo step
+     */
+    finishErase() {
+        if (!this.eraserManager.isErasing) return;
+        
+        const { removed, added } = this.eraserManager.endErase();
+        if (removed.length === 0 && added.length === 0) return;
+        
+        // Record first: the erase has already changed the board
+        this.historyManager.record(new ReplaceStrokesCommand(this.strokeManager, removed, added));
+        
+        // Pieces of split strokes follow the current debug setting
+        const debugMode = this.uiController.getPenSettings().debugMode;
+        if (debugMode) {
+            added.forEach(stroke => this.strokeManager.setStrokeDebugMode(stroke, true));
+        }
+        console.log(`Erased ${removed.length} stroke(s), ${added.length} piece(s) kept`);
+    }
+    
     /**
      * Handle drag move
      */
@@ -505,7 +1064,7 @@ class WhiteboardDemo {
         const raycaster = new THREE.Raycaster();
         raycaster.setFromCamera(mouse, camera);
         
-        const intersects = raycaster.intersectObject(whiteboard);
+        const intersects = raycaster.intersectObject(whiteboard, false); // The board itself, not the content on it
         return intersects.length > 0 ? intersects[0].point : null;
     }
     
@@ -554,40 +1113,345 @@ class WhiteboardDemo {
             this.imageManager.deleteImages(images);
         }
         
+        this.historyManager.record(new DeleteContentCommand(this.strokeManager, this.imageManager, strokes, images));
+        
         this.updateContentCount();
         console.log(`Deleted ${strokes.length} stroke(s) and ${images.length} image(s)`);
     }
     
+    /**
+     * Check if an undo/redo can run without interrupting an ongoing interaction
+     */
+    canApplyHistory() {
+        return !this.inputManager.isDrawing &&
+               !this.transformManager.isDraggingStrokes() &&
+               !this.transformManager.isScalingStrokes() &&
+               !this.selectionManager.isDrawingBox() &&
+               !this.eraserManager.isErasing;
+    }
+    
+    /**
+     * Undo the last action
+     */
+    undo() {
+        if (!this.canApplyHistory() || !this.historyManager.canUndo()) return;
+        
+        // Selection visuals reference content that may be removed or moved
+        this.selectionManager.deselectAllStrokes();
+        this.historyManager.undo();
+        this.updateContentCount();
+    }
+    
+    /**
+     * Redo the last undone action
+     */
+    redo() {
+        if (!this.canApplyHistory() || !this.historyManager.canRedo()) return;
+        
+        this.selectionManager.deselectAllStrokes();
+        this.historyManager.redo();
+        this.updateContentCount();
+    }
+    
+    /**
+     * Save the board as a JSON document download
+     */
+    async saveBoard() {
+        const json = await this.boardSerializer.stringify();
+        const blob = new Blob([json], { type: 'application/json' });
+        
+        this.uiController.downloadBlob(blob, `whiteboard-${this.getFileTimestamp()}.json`);
+    }
+    
+    /**
+     * Export the whole board or the current selection
+     * @param {string} format - Export format ('svg', 'pdf', 'png' or 'jpeg')
+     * @param {string} scope - 'all', 'viewport' or 'selection'
+     */
+    async exportContent(format, scope) {
+        let items = scope === 'selection'
+            ? [...this.selectionManager.getSelectedStrokes()]
+            : [...this.strokeManager.getBoardStrokes(), ...this.imageManager.getImages()];
+        
+        if (scope === 'viewport') {
+            const view = this.rasterExporter.getRegionBounds('viewport', items);
+            items = items.filter(item => isItemInRect(item, view.minX, view.maxX, view.minY, view.maxY));
+        }
+        
+        if (items.length === 0) {
+            const messages = {
+                selection: 'Nothing is selected',
+                viewport: 'Nothing is in view'
+            };
+            throw new Error(messages[scope] || 'The board is empty');
+        }
+        
+        const filename = `whiteboard-${this.getFileTimestamp()}`;
+        
+        switch (format) {
+            case 'svg': {
+                const svg = await this.svgExporter.export(items);
+                this.uiController.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${filename}.svg`);
+                break;
+            }
+            case 'pdf': {
+                const pdf = await this.pdfExporter.export(items, this.uiController.getPDFOptions());
+                this.uiController.downloadBlob(pdf, `${filename}.pdf`);
+                break;
+            }
+            case 'png':
+            case 'jpeg': {
+                // Strokes render from their meshes, which may still be building
+                await this.strokeManager.whenGeometryReady();
+                const image = await this.rasterExporter.export(items, {
+                    ...this.uiController.getRasterOptions(),
+                    region: scope,
+                    format: format
+                });
+                this.uiController.downloadBlob(image, `${filename}.${format === 'jpeg' ? 'jpg' : 'png'}`);
+                break;
+            }
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+    
+    /**
+     * Import an image file
+     */
+    async importImage(file, position) {
+        const image = await this.imageManager.createImageFromFile(file, position);
+        this.historyManager.record(new AddImageCommand(this.imageManager, image));
+        console.log('Image imported successfully:', file.name);
+        
+        this.addRecentImage(file);
+        
+        // Update total content count
+        this.updateContentCount();
+    }
+    
+    /**
+     * Remember an imported image file for the VR palette's recent list
+     */
+    addRecentImage(file) {
+        const isSameFile = (other) => other.name === file.name && other.size === file.size &&
+            other.lastModified === file.lastModified;
+        
+        this.recentImageFiles = [file, ...this.recentImageFiles.filter(other => !isSameFile(other))]
+            .slice(0, this.maxRecentImages);
+        
+        if (this.vrPaletteManager) {
+            this.vrPaletteManager.setRecentImages(this.recentImageFiles);
+        }
+    }
+    
+    /**
+     * Apply the locomotion mode and turn increment chosen in the UI to the VR locomotion
+     */
+    applyVRLocomotionSettings({ mode, snapTurnAngle }) {
+        this.vrLocomotionManager.setMode(mode);
+        this.vrLocomotionManager.setSnapTurnAngle(snapTurnAngle);
+    }
+    
+    /**
+     * Where images imported in VR go: the point of the board the headset looks at,
+     * or the board's center when looking away from it
+     */
+    getVRImportPosition() {
+        const camera = this.whiteboardScene.getCamera();
+        const whiteboard = this.whiteboardScene.getWhiteboard();
+        
+        const origin = camera.getWorldPosition(new THREE.Vector3());
+        const direction = camera.getWorldDirection(new THREE.Vector3());
+        const intersects = new THREE.Raycaster(origin, direction).intersectObject(whiteboard, false);
+        
+        return intersects.length > 0
+            ? whiteboard.worldToLocal(intersects[0].point.clone())
+            : new THREE.Vector3(0, 0, 0);
+    }
+    
+    /**
+     * Import an SVG file as strokes and report anything that was not converted
+     */
+    async importSVG(file, position) {
+        const summary = await this.svgImporter.importFile(file, position);
+        if (summary.strokes.length > 0) {
+            this.historyManager.record(new AddContentCommand(this.strokeManager, this.imageManager, summary.strokes, []));
+            this.updateContentCount();
+        }
+        
+        const message = this.formatSVGImportSummary(summary);
+        console.log(`SVG imported (${file.name}): ${message}`);
+        if (summary.strokes.length === 0 || Object.keys(summary.unsupported).length > 0 || summary.outlinedFills > 0) {
+            alert(message);
+        }
+    }
+    
+    /**
+     * Import a PDF file as locked background page images
+     */
+    async importPDF(file, position) {
+        const pages = await this.pdfImporter.importFile(file, position);
+        if (pages.length > 0) {
+            this.historyManager.record(new AddContentCommand(this.strokeManager, this.imageManager, [], pages));
+            this.updateContentCount();
+        }
+        console.log(`PDF imported (${file.name}): ${pages.length} pages`);
+    }
+    
+    /**
+     * Check if a file is a PDF document
+     */
+    isPDFFile(file) {
+        return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+    }
+    
+    /**
+     * Lowest z-index on the board, for placing backgrounds below all content
+     */
+    getLowestZIndex() {
+        const items = [...this.strokeManager.getStrokes(), ...this.imageManager.getImages()];
+        return items.reduce((lowest, item) => Math.min(lowest, item.zIndex || 0), 0);
+    }
+    
+    /**
+     * Describe an SVG import result, including anything that could not be converted
+     */
+    formatSVGImportSummary(summary) {
+        const lines = [`Imported ${summary.strokes.length} stroke${summary.strokes.length === 1 ? '' : 's'}.`];
+        
+        if (summary.outlinedFills > 0) {
+            lines.push(`${summary.outlinedFills} filled shape${summary.outlinedFills === 1 ? ' was' : 's were'} imported as outlines.`);
+        }
+        
+        const unsupported = Object.entries(summary.unsupported);
+        if (unsupported.length > 0) {
+            const list = unsupported.map(([tag, count]) => `<${tag}> ×${count}`).join(', ');
+            lines.push(`Skipped unsupported elements: ${list}`);
+        }
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Timestamp for generated file names
+     */
+    getFileTimestamp() {
+        return new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    }
+    
+    /**
+     * Replace the board with the content of a JSON document file
+     */
+    async openBoard(file) {
+        // Parse (and migrate) before touching the current board
+        const board = this.boardSerializer.parse(await file.text());
+        await this.loadBoard(board);
+    }
+    
+    /**
+     * Replace the board with the content of a board document
+     * @param {Object} board - Board document at the current schema version
+     * @param {Object} options - Passed to BoardSerializer.deserialize
+     */
+    async loadBoard(board, options = {}) {
+        this.clearBoard();
+        const { maxZIndex } = await this.boardSerializer.deserialize(board, options);
+        
+        // New content must stack above everything that was loaded
+        this.globalZIndex = Math.max(this.globalZIndex, maxZIndex + 1);
+        
+        // Clearing history also schedules an autosave of the loaded board
+        this.historyManager.clear();
+        this.updateContentCount();
+        
+        // The loaded board replaces the shared document content
+        this.documentManager.recordBoard();
+    }
+    
+    /**
+     * Offer to restore the board autosaved by the previous session
+     */
+    async restorePreviousSession() {
+        if (!AutosaveManager.isSupported()) return;
+        
+        try {
+            // Writes from this session must not lose to ones made before the reload
+            this.documentManager.restoreClock(await this.autosaveManager.loadDocumentClock());
+            
+            const board = await this.autosaveManager.loadSession();
+            const hasContent = board && (board.strokes.length > 0 || board.images.length > 0);
+            
+            if (hasContent && confirm('Restore previous session?')) {
+                await this.loadBoard(board, {
+                    resolveImageBlob: (hash) => this.autosaveManager.getImageBlob(hash)
+                });
+                console.log('Previous session restored');
+            } else if (board) {
+                await this.autosaveManager.clearSession();
+            }
+        } catch (error) {
+            console.error('Failed to restore previous session:', error);
+        } finally {
+            this.autosaveManager.setEnabled(true);
+            
+            // Capture anything drawn while the prompt was pending
+            if (this.getContentCount() > 0) {
+                this.autosaveManager.scheduleSave();
+            }
+        }
+    }
+    
+    /**
+     * Remove all strokes and images from the board
+     */
+    clearBoard() {
+        this.selectionManager.deselectAllStrokes();
+        this.strokeManager.deleteStrokes([...this.strokeManager.getStrokes()]);
+        this.imageManager.deleteImages([...this.imageManager.getImages()]);
+    }
+    
+    /**
+     * Get total number of strokes and images
+     */
+    getContentCount() {
+        return this.strokeManager.getStrokeCount() + this.imageManager.getImageCount();
+    }
+    
     /**
      * Update content count display
      */
     updateContentCount() {
-        const totalCount = this.strokeManager.getStrokeCount() + this.imageManager.getImageCount();
-        this.uiController.updateStrokeCount(totalCount);
+        this.uiController.updateStrokeCount(this.getContentCount());
     }
     
     /**
      * Filter out points that are too close together (removes dense clusters)
+     * Per-point width multipliers, if any, are kept aligned with the surviving points
+     * @returns {Object} { points, widthScales }
      */
-    filterDensePoints(points, minDistance = 0.003) {
-        if (points.length < 2) return points;
+    filterDensePoints(points, minDistance = 0.003, widthScales = null) {
+        if (points.length < 2) return { points, widthScales };
         
-        const filtered = [points[0]]; // Always keep first point
+        const keptIndices = [0]; // Always keep first point
         
         for (let i = 1; i < points.length - 1; i++) {
-            const lastKept = filtered[filtered.length - 1];
+            const lastKept = points[keptIndices[keptIndices.length - 1]];
             const dist = lastKept.distanceTo(points[i]);
             
             // Only keep point if it's far enough from the last kept point
             if (dist >= minDistance) {
-                filtered.push(points[i]);
+                keptIndices.push(i);
             }
         }
         
         // Always keep last point
-        filtered.push(points[points.length - 1]);
+        keptIndices.push(points.length - 1);
         
-        return filtered;
+        return {
+            points: keptIndices.map(i => points[i]),
+            widthScales: widthScales ? keptIndices.map(i => widthScales[i]) : null
+        };
     }
 
     updateFPS() {
@@ -598,6 +1462,7 @@ class WhiteboardDemo {
         if (deltaTime >= 1000) {
             const fps = Math.round((this.frameCount * 1000) / deltaTime);
             this.uiController.updateFPS(fps);
+            this.uiController.updateRenderStats(this.strokeManager.getRenderStats());
             this.frameCount = 0;
             this.fpsUpdateTime = currentTime;
         }
@@ -609,6 +1474,10 @@ class WhiteboardDemo {
         if (!this.isVRMode) {
             requestAnimationFrame(() => this.animate());
             this.updateFPS();
+            
+            const camera = this.whiteboardScene.getCamera();
+            this.presenceManager.setViewSize(camera.top - camera.bottom);
+            this.strokeManager.updateRendering(camera);
             this.whiteboardScene.render();
         }
     }
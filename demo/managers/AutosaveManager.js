@@ -0,0 +1,233 @@
+import { BoardSerializer } from './BoardSerializer.js';
+
+const DB_NAME = 'whiteboardxr';
+const DB_VERSION = 1;
+const SESSION_STORE = 'session';
+const IMAGE_STORE = 'images';
+const SESSION_KEY = 'current';
+const CLOCK_KEY = 'clock';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when an IndexedDB transaction has committed
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Continuously persists the board to IndexedDB for crash recovery
+ * The board document is stored with image hashes only; image bytes are stored
+ * once per content hash as Blobs in a separate object store
+ */
+export class AutosaveManager {
+    constructor(boardSerializer, imageManager) {
+        this.boardSerializer = boardSerializer;
+        this.imageManager = imageManager;
+
+        this.debounceDelay = 1000; // ms after the last change
+        this.enabled = false; // Enabled once the previous session has been offered back
+        this.saveTimer = null;
+        this.isSaving = false;
+        this.saveQueued = false;
+        this.dbPromise = null;
+
+        // Callbacks
+        this.getDocumentClock = null; // () => Lamport clock of the shared board document, saved with the board
+    }
+
+    /**
+     * Check if IndexedDB is available
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create/upgrade) the database
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                        db.createObjectStore(SESSION_STORE);
+                    }
+                    if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+                        db.createObjectStore(IMAGE_STORE);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Enable or disable autosaving
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled && AutosaveManager.isSupported();
+
+        if (!this.enabled && this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+    }
+
+    /**
+     * Schedule a debounced save (call after every board change)
+     */
+    scheduleSave() {
+        if (!this.enabled) return;
+
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.debounceDelay);
+    }
+
+    /**
+     * Save immediately if a save is pending (e.g. when the page is hidden)
+     */
+    flush() {
+        if (!this.saveTimer) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.save();
+    }
+
+    /**
+     * Write the current board to IndexedDB
+     */
+    async save() {
+        // Never run two saves at once; re-run once the current one finishes
+        if (this.isSaving) {
+            this.saveQueued = true;
+            return;
+        }
+
+        this.isSaving = true;
+        try {
+            // Collect image bytes by hash (hashes are cached on the images)
+            const blobs = new Map();
+            for (const image of [...this.imageManager.getImages()]) {
+                const hash = await this.imageManager.getImageHash(image);
+                blobs.set(hash, await this.imageManager.getImageBlob(image));
+            }
+
+            const board = await this.boardSerializer.serialize({ embedImages: false });
+            const clock = this.getDocumentClock ? this.getDocumentClock() : null;
+            const usedHashes = new Set(board.images.map(image => image.hash));
+
+            const db = await this.openDatabase();
+            const storedHashes = new Set(
+                await requestToPromise(db.transaction(IMAGE_STORE).objectStore(IMAGE_STORE).getAllKeys())
+            );
+
+            const transaction = db.transaction([SESSION_STORE, IMAGE_STORE], 'readwrite');
+            const imageStore = transaction.objectStore(IMAGE_STORE);
+
+            // Store each image once
+            usedHashes.forEach(hash => {
+                if (!storedHashes.has(hash) && blobs.has(hash)) {
+                    imageStore.put(blobs.get(hash), hash);
+                }
+            });
+
+            // Drop images no longer on the board
+            storedHashes.forEach(hash => {
+                if (!usedHashes.has(hash)) {
+                    imageStore.delete(hash);
+                }
+            });
+
+            transaction.objectStore(SESSION_STORE).put(board, SESSION_KEY);
+            if (clock !== null) {
+                transaction.objectStore(SESSION_STORE).put(clock, CLOCK_KEY);
+            }
+            await transactionDone(transaction);
+        } catch (error) {
+            console.error('Autosave failed:', error);
+        } finally {
+            this.isSaving = false;
+        }
+
+        if (this.saveQueued) {
+            this.saveQueued = false;
+            this.save();
+        }
+    }
+
+    /**
+     * Load the autosaved board document, if any
+     * @returns {Promise<Object|null>} Board document at the current schema version
+     */
+    async loadSession() {
+        if (!AutosaveManager.isSupported()) return null;
+
+        const db = await this.openDatabase();
+        const board = await requestToPromise(
+            db.transaction(SESSION_STORE).objectStore(SESSION_STORE).get(SESSION_KEY)
+        );
+
+        if (!board) return null;
+        return BoardSerializer.migrate(board);
+    }
+
+    /**
+     * Load the board document clock saved with the session
+     * @returns {Promise<number>} The clock, or 0 when none was saved
+     */
+    async loadDocumentClock() {
+        if (!AutosaveManager.isSupported()) return 0;
+
+        const db = await this.openDatabase();
+        const clock = await requestToPromise(
+            db.transaction(SESSION_STORE).objectStore(SESSION_STORE).get(CLOCK_KEY)
+        );
+        return typeof clock === 'number' ? clock : 0;
+    }
+
+    /**
+     * Get stored image bytes by content hash
+     */
+    async getImageBlob(hash) {
+        const db = await this.openDatabase();
+        const blob = await requestToPromise(
+            db.transaction(IMAGE_STORE).objectStore(IMAGE_STORE).get(hash)
+        );
+        return blob || null;
+    }
+
+    /**
+     * Remove the autosaved session and its images
+     */
+    async clearSession() {
+        const db = await this.openDatabase();
+        const transaction = db.transaction([SESSION_STORE, IMAGE_STORE], 'readwrite');
+        transaction.objectStore(SESSION_STORE).clear();
+        transaction.objectStore(IMAGE_STORE).clear();
+        await transactionDone(transaction);
+    }
+}
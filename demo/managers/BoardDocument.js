@@ -0,0 +1,282 @@
+/**
+ * Conflict-free replicated board document (state-based CRDT)
+ *
+ * Every board object (stroke or image) is identified by a stable ID and stored
+ * as a set of last-writer-wins registers, one per field:
+ *   data     - immutable content ({ kind: 'stroke', color, width, widthScales } or { kind: 'image', src, isLocked })
+ *   geometry - transformable state (stroke points or image position/size/flips)
+ *   order    - fractional z-order key; paint order is (order, id) ascending
+ *   deleted  - tombstone flag; objects are never removed, so deletes propagate
+ *              and an undo can bring an object back by writing false
+ *
+ * Each write is stamped with a Lamport clock and the writing replica's ID.
+ * Registers keep the write with the highest (clock, replica), so replicas that
+ * have seen the same writes hold the same document regardless of arrival order,
+ * and edits made offline merge deterministically once exchanged.
+ *
+ * This module has no browser or Three.js dependencies; the relay server uses it too.
+ */
+
+/**
+ * Digits of fractional order keys, in ascending order
+ */
+const KEY_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Lowest possible integer part of an order key
+ */
+const SMALLEST_INTEGER = 'A' + KEY_DIGITS[0].repeat(26);
+
+export class BoardDocument {
+    /**
+     * @param {string} replicaId - Unique ID of this replica (client or relay)
+     */
+    constructor(replicaId) {
+        this.replicaId = replicaId;
+        this.clock = 0;
+        this.objects = new Map(); // id -> Map(field -> { value, clock, replica })
+    }
+
+    /**
+     * Write a field locally
+     * @returns {Object} Operation to send to other replicas
+     */
+    set(id, field, value) {
+        this.clock++;
+        const op = { id, field, value, clock: this.clock, replica: this.replicaId };
+        this.apply(op);
+        return op;
+    }
+
+    /**
+     * Merge a single operation (local or remote)
+     * @returns {boolean} Whether the operation changed the document
+     */
+    apply(op) {
+        if (!op || typeof op.id !== 'string' || typeof op.field !== 'string' || typeof op.clock !== 'number') {
+            return false;
+        }
+
+        // Lamport clock: later local writes must win over everything seen so far
+        this.clock = Math.max(this.clock, op.clock);
+
+        let fields = this.objects.get(op.id);
+        if (!fields) {
+            fields = new Map();
+            this.objects.set(op.id, fields);
+        }
+
+        const current = fields.get(op.field);
+        if (current && BoardDocument.compareStamps(current, op) >= 0) {
+            return false;
+        }
+
+        fields.set(op.field, { value: op.value, clock: op.clock, replica: op.replica });
+        return true;
+    }
+
+    /**
+     * Merge operations from another replica
+     * @returns {Map<string, Set<string>>} Changed fields by object ID
+     */
+    merge(ops) {
+        const changes = new Map();
+
+        ops.forEach(op => {
+            if (!this.apply(op)) return;
+
+            if (!changes.has(op.id)) {
+                changes.set(op.id, new Set());
+            }
+            changes.get(op.id).add(op.field);
+        });
+
+        return changes;
+    }
+
+    /**
+     * Get the whole document as operations (for syncing a replica from scratch)
+     */
+    getOps() {
+        const ops = [];
+        this.objects.forEach((fields, id) => {
+            fields.forEach((register, field) => {
+                ops.push({ id, field, value: register.value, clock: register.clock, replica: register.replica });
+            });
+        });
+        return ops;
+    }
+
+    /**
+     * Get the current value of a field
+     */
+    get(id, field) {
+        const fields = this.objects.get(id);
+        const register = fields ? fields.get(field) : null;
+        return register ? register.value : undefined;
+    }
+
+    /**
+     * Check if an object exists: its content is known and it is not tombstoned
+     */
+    isLive(id) {
+        return this.get(id, 'data') !== undefined &&
+               this.get(id, 'geometry') !== undefined &&
+               this.get(id, 'deleted') !== true;
+    }
+
+    /**
+     * IDs of live objects in paint order (lowest first)
+     */
+    getOrderedIds() {
+        return [...this.objects.keys()]
+            .filter(id => this.isLive(id))
+            .sort((a, b) => BoardDocument.compareOrder(this.get(a, 'order'), a, this.get(b, 'order'), b));
+    }
+
+    /**
+     * Compare register stamps: clock first, replica ID breaks ties
+     */
+    static compareStamps(a, b) {
+        if (a.clock !== b.clock) return a.clock - b.clock;
+        if (a.replica === b.replica) return 0;
+        return a.replica < b.replica ? -1 : 1;
+    }
+
+    /**
+     * Compare paint order; equal keys (concurrent inserts at the same spot) fall back to ID
+     */
+    static compareOrder(keyA, idA, keyB, idB) {
+        const a = keyA || '';
+        const b = keyB || '';
+        if (a !== b) return a < b ? -1 : 1;
+        if (idA === idB) return 0;
+        return idA < idB ? -1 : 1;
+    }
+
+    /**
+     * Generate an order key strictly between two keys
+     * Keys are an integer part (a head character giving its length, then digits)
+     * followed by a fraction, so repeatedly adding on top or below keeps keys short
+     * @param {string|null} before - Key to sort after, or null for the bottom
+     * @param {string|null} after - Key to sort before, or null for the top
+     * @returns {string} New key
+     */
+    static keyBetween(before, after) {
+        if (before !== null && after !== null && before >= after) {
+            throw new Error(`Invalid order key range: ${before} >= ${after}`);
+        }
+
+        if (before === null && after === null) {
+            return 'a' + KEY_DIGITS[0];
+        }
+
+        if (before === null) {
+            const integer = BoardDocument.getIntegerPart(after);
+            if (integer === SMALLEST_INTEGER) {
+                return integer + BoardDocument.midpoint('', after.slice(integer.length));
+            }
+            if (integer < after) {
+                return integer;
+            }
+            return BoardDocument.stepInteger(integer, -1);
+        }
+
+        const integerBefore = BoardDocument.getIntegerPart(before);
+        const fractionBefore = before.slice(integerBefore.length);
+
+        if (after === null) {
+            const next = BoardDocument.stepInteger(integerBefore, 1);
+            return next !== null ? next : integerBefore + BoardDocument.midpoint(fractionBefore, null);
+        }
+
+        const integerAfter = BoardDocument.getIntegerPart(after);
+        if (integerBefore === integerAfter) {
+            return integerBefore + BoardDocument.midpoint(fractionBefore, after.slice(integerAfter.length));
+        }
+
+        const next = BoardDocument.stepInteger(integerBefore, 1);
+        if (next !== null && next < after) {
+            return next;
+        }
+        return integerBefore + BoardDocument.midpoint(fractionBefore, null);
+    }
+
+    /**
+     * Integer part of a key: 'a'..'z' heads hold 1..26 digits, 'Z'..'A' heads 1..26 digits below zero
+     */
+    static getIntegerPart(key) {
+        const head = key[0];
+        let length;
+        if (head >= 'a' && head <= 'z') {
+            length = head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+        } else if (head >= 'A' && head <= 'Z') {
+            length = 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+        } else {
+            throw new Error(`Invalid order key: ${key}`);
+        }
+        return key.slice(0, length);
+    }
+
+    /**
+     * Increment (step 1) or decrement (step -1) an integer part
+     * @returns {string|null} New integer part, or null when out of range
+     */
+    static stepInteger(integer, step) {
+        const head = integer[0];
+        const digits = integer.slice(1).split('');
+        const wrapFrom = step > 0 ? KEY_DIGITS[KEY_DIGITS.length - 1] : KEY_DIGITS[0];
+        const wrapTo = step > 0 ? KEY_DIGITS[0] : KEY_DIGITS[KEY_DIGITS.length - 1];
+
+        for (let i = digits.length - 1; i >= 0; i--) {
+            if (digits[i] !== wrapFrom) {
+                digits[i] = KEY_DIGITS[KEY_DIGITS.indexOf(digits[i]) + step];
+                return head + digits.join('');
+            }
+            digits[i] = wrapTo;
+        }
+
+        // Carried out of the last digit: switch to the next integer length
+        if (step > 0) {
+            if (head === 'z') return null;
+            if (head === 'Z') return 'a' + KEY_DIGITS[0];
+            const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+            if (nextHead > 'a') digits.push(wrapTo); else digits.pop();
+            return nextHead + digits.join('');
+        }
+
+        if (head === 'A') return null;
+        if (head === 'a') return 'Z' + KEY_DIGITS[KEY_DIGITS.length - 1];
+        const nextHead = String.fromCharCode(head.charCodeAt(0) - 1);
+        if (nextHead < 'Z') digits.push(wrapTo); else digits.pop();
+        return nextHead + digits.join('');
+    }
+
+    /**
+     * Midpoint of two fractions written as digit strings (0.before, 0.after)
+     * Fractions never end in the zero digit, so there is always room below them
+     */
+    static midpoint(before, after) {
+        if (after !== null) {
+            // Keep the common prefix and recurse on the remainder
+            let n = 0;
+            while ((before[n] || KEY_DIGITS[0]) === after[n]) n++;
+            if (n > 0) {
+                return after.slice(0, n) + BoardDocument.midpoint(before.slice(n), after.slice(n));
+            }
+        }
+
+        const digitBefore = before ? KEY_DIGITS.indexOf(before[0]) : 0;
+        const digitAfter = after !== null ? KEY_DIGITS.indexOf(after[0]) : KEY_DIGITS.length;
+
+        if (digitAfter - digitBefore > 1) {
+            return KEY_DIGITS[Math.round((digitBefore + digitAfter) / 2)];
+        }
+
+        // Adjacent digits: extend the shorter side
+        if (after !== null && after.length > 1) {
+            return after.slice(0, 1);
+        }
+        return KEY_DIGITS[digitBefore] + BoardDocument.midpoint(before.slice(1), null);
+    }
+}
@@ -0,0 +1,441 @@
+import * as THREE from 'three';
+import { BoardDocument } from './BoardDocument.js';
+import { createObjectId } from './ObjectId.js';
+
+/**
+ * Keeps a BoardDocument (CRDT) in step with the board's strokes and images
+ *
+ * Local changes reach the document through the history commands that made them
+ * (every board edit is recorded by HistoryManager), so StrokeManager and
+ * ImageManager stay the live view used for rendering and picking. Remote
+ * operations are merged into the document and the result is applied back through
+ * the managers: objects are created, restored, moved or deleted, and z-indices
+ * are renumbered to follow the document's fractional order keys.
+ */
+export class BoardDocumentManager {
+    constructor(strokeManager, imageManager, boardSerializer) {
+        this.strokeManager = strokeManager;
+        this.imageManager = imageManager;
+        this.boardSerializer = boardSerializer;
+
+        this.document = new BoardDocument(createObjectId());
+
+        // Every object ever seen, including deleted ones, so undo and remote
+        // restores reuse the same object instead of creating a duplicate
+        this.items = new Map(); // id -> stroke or image
+        this.recordedZIndex = new Map(); // id -> zIndex the current order key was written for
+
+        // Image encoding/decoding is async; document updates that depend on it run in order
+        this.queue = Promise.resolve();
+
+        // Callbacks
+        this.onLocalOps = null; // (ops) after local changes were written to the document
+        this.onRemoteChange = null; // ({ items, added, removed, removedIds, maxZIndex }) after remote ops were applied
+    }
+
+    /**
+     * Record the effect of a history command (record, undo or redo)
+     * @param {Object} command - Command implementing getChanges(isUndo)
+     * @param {boolean} isUndo - Whether the command was undone
+     */
+    recordCommand(command, isUndo) {
+        if (!command.getChanges) return;
+
+        const { added, removed, updated } = command.getChanges(isUndo);
+        const ops = [
+            ...this.writeDeleted(removed),
+            ...this.writeItems(added, true),
+            ...this.writeItems(updated, false)
+        ];
+
+        // Concurrent inserts can share an order key; keep the local paint order identical to the document's
+        this.applyOrder();
+        this.emitLocalOps(ops);
+    }
+
+    /**
+     * Record the whole board after it was replaced (e.g. a board file was opened)
+     */
+    recordBoard() {
+        const current = [...this.strokeManager.getStrokes(), ...this.imageManager.getImages()];
+        const currentIds = new Set(current.map(item => item.id));
+        const replaced = [...this.items.values()].filter(item => !currentIds.has(item.id));
+
+        const ops = [
+            ...this.writeDeleted(replaced),
+            ...this.writeItems(current, true)
+        ];
+
+        this.applyOrder();
+        this.emitLocalOps(ops);
+    }
+
+    /**
+     * Write tombstones for deleted objects
+     */
+    writeDeleted(items) {
+        return items
+            .filter(item => this.document.get(item.id, 'deleted') !== true)
+            .map(item => this.document.set(item.id, 'deleted', true));
+    }
+
+    /**
+     * Write added or transformed objects
+     * @param {Array<Object>} items - Strokes and images
+     * @param {boolean} isAdd - Whether the objects were (re-)added to the board
+     */
+    writeItems(items, isAdd) {
+        const ops = [];
+
+        // Key lowest first so each order key can be placed after the ones below it
+        const sorted = [...items].sort((a, b) => a.zIndex - b.zIndex);
+        const orderIndex = this.createOrderIndex(sorted);
+
+        sorted.forEach(item => {
+            this.items.set(item.id, item);
+
+            if (isAdd && this.document.get(item.id, 'data') === undefined) {
+                ops.push(...this.writeData(item));
+            }
+            if (isAdd && this.document.get(item.id, 'deleted') !== false) {
+                ops.push(this.document.set(item.id, 'deleted', false));
+            }
+
+            ops.push(this.document.set(item.id, 'geometry', this.getGeometry(item)));
+
+            if (isAdd || this.recordedZIndex.get(item.id) !== item.zIndex) {
+                ops.push(this.document.set(item.id, 'order', this.getOrderKey(item, orderIndex)));
+                this.recordedZIndex.set(item.id, item.zIndex);
+            }
+            this.addToOrderIndex(item, orderIndex);
+        });
+
+        return ops;
+    }
+
+    /**
+     * Write an object's immutable content
+     * Image data is encoded asynchronously and sent on its own; the image becomes
+     * live for other replicas once it arrives
+     * @returns {Array<Object>} Operations written immediately
+     */
+    writeData(item) {
+        if (item.type !== 'image') {
+            const { width, color, widthScales, isAirStroke } = this.boardSerializer.serializeStroke(item);
+            const data = { kind: 'stroke', width, color };
+            if (widthScales) data.widthScales = widthScales;
+            if (isAirStroke) data.isAirStroke = true;
+
+            return [this.document.set(item.id, 'data', data)];
+        }
+
+        this.enqueue(async () => {
+            const { src, isLocked } = await this.boardSerializer.serializeImage(item);
+            if (this.document.get(item.id, 'data') !== undefined) return;
+
+            this.emitLocalOps([this.document.set(item.id, 'data', { kind: 'image', src, isLocked })]);
+        });
+        return [];
+    }
+
+    /**
+     * Transformable state of a stroke or image
+     */
+    getGeometry(item) {
+        if (item.type === 'image') {
+            const position = item.mesh.position;
+            return {
+                position: [position.x, position.y, position.z],
+                width: item.width,
+                height: item.height,
+                isFlippedX: item.isFlippedX,
+                isFlippedY: item.isFlippedY
+            };
+        }
+
+        return { points: this.boardSerializer.serializeStroke(item).points };
+    }
+
+    /**
+     * Index the order keys of the board's other objects for placing a batch of objects
+     * The objects on the board outside the batch are sorted by z-index once, with the
+     * highest key at or below each position and the lowest key above it
+     * @param {Array<Object>} batch - Objects whose keys are about to be written, lowest z-index first
+     */
+    createOrderIndex(batch) {
+        const batchItems = new Set(batch);
+        const live = [...this.strokeManager.getStrokes(), ...this.imageManager.getImages()];
+
+        const fixed = [];
+        live.forEach(other => {
+            if (batchItems.has(other)) return;
+
+            const key = this.document.get(other.id, 'order');
+            if (key !== undefined) fixed.push({ zIndex: other.zIndex, key: key });
+        });
+        fixed.sort((a, b) => a.zIndex - b.zIndex);
+
+        const maxKeys = new Array(fixed.length); // Highest key among fixed[0..i]
+        const minKeys = new Array(fixed.length); // Lowest key among fixed[i..]
+        fixed.forEach((entry, i) => {
+            maxKeys[i] = i > 0 && maxKeys[i - 1] > entry.key ? maxKeys[i - 1] : entry.key;
+        });
+        for (let i = fixed.length - 1; i >= 0; i--) {
+            const key = fixed[i].key;
+            minKeys[i] = i < fixed.length - 1 && minKeys[i + 1] < key ? minKeys[i + 1] : key;
+        }
+
+        return {
+            live: new Set(live),
+            zIndices: fixed.map(entry => entry.zIndex),
+            maxKeys: maxKeys,
+            minKeys: minKeys,
+            batchMaxKey: null // Highest key among the batch objects placed so far
+        };
+    }
+
+    /**
+     * Count a placed batch object as below the ones placed after it
+     */
+    addToOrderIndex(item, orderIndex) {
+        if (!orderIndex.live.has(item)) return;
+
+        const key = this.document.get(item.id, 'order');
+        if (key !== undefined && (orderIndex.batchMaxKey === null || key > orderIndex.batchMaxKey)) {
+            orderIndex.batchMaxKey = key;
+        }
+    }
+
+    /**
+     * Order key that places an object among the others by its local z-index
+     * @param {Object} item - Stroke or image
+     * @param {Object} orderIndex - Keys of the other objects (see createOrderIndex)
+     */
+    getOrderKey(item, orderIndex) {
+        const { zIndices, maxKeys, minKeys, batchMaxKey } = orderIndex;
+
+        // First indexed object above the item's z-index
+        let low = 0;
+        let high = zIndices.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (zIndices[middle] <= item.zIndex) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        let below = low > 0 ? maxKeys[low - 1] : null;
+        let above = low < zIndices.length ? minKeys[low] : null;
+        if (batchMaxKey !== null && (below === null || batchMaxKey > below)) {
+            below = batchMaxKey;
+        }
+
+        // Local z-indices follow the keys, but guard against a stale neighbour
+        if (below !== null && above !== null && below >= above) {
+            above = null;
+        }
+
+        return BoardDocument.keyBetween(below, above);
+    }
+
+    /**
+     * Lamport clock of the document (saved with the autosaved session)
+     */
+    getClock() {
+        return this.document.clock;
+    }
+
+    /**
+     * Continue from a clock saved by a previous session, so writes made after a
+     * reload still win over the ones the relay received before it
+     */
+    restoreClock(clock) {
+        this.document.clock = Math.max(this.document.clock, clock);
+    }
+
+    /**
+     * Merge operations from another replica and apply the result to the board
+     * @param {Array<Object>} ops - Document operations
+     */
+    applyRemoteOps(ops) {
+        return this.enqueue(async () => {
+            const changes = this.document.merge(ops);
+            if (changes.size === 0) return;
+
+            const change = await this.applyChanges(changes);
+            if ((change.items.length > 0 || change.removed.length > 0) && this.onRemoteChange) {
+                this.onRemoteChange(change);
+            }
+        });
+    }
+
+    /**
+     * Bring the board in line with changed document objects
+     * @param {Map<string, Set<string>>} changes - Changed fields by object ID
+     * @returns {Promise<Object>} { items (changed or put on the board), added (put on the board),
+     *   removed (taken off the board), removedIds, maxZIndex }
+     */
+    async applyChanges(changes) {
+        const items = [];
+        const added = [];
+        const removed = [];
+        const removedIds = [];
+
+        for (const [id, fields] of changes) {
+            const item = this.items.get(id);
+            const onBoard = item ? this.isOnBoard(item) : false;
+
+            if (!this.document.isLive(id)) {
+                if (onBoard) {
+                    this.removeFromBoard(item);
+                    removed.push(item);
+                    removedIds.push(id);
+                }
+                continue;
+            }
+
+            if (!item) {
+                const created = await this.createItem(id);
+                if (created) items.push(created);
+                if (created && this.document.isLive(id)) added.push(created);
+                continue;
+            }
+
+            if (!onBoard) {
+                if (item.type === 'image') {
+                    this.imageManager.restoreImage(item);
+                } else {
+                    this.strokeManager.restoreStroke(item);
+                }
+                added.push(item);
+            }
+            if (!onBoard || fields.has('geometry')) {
+                this.applyGeometry(item, this.document.get(id, 'geometry'));
+            }
+            items.push(item);
+        }
+
+        const maxZIndex = this.applyOrder();
+
+        return { items, added, removed, removedIds, maxZIndex };
+    }
+
+    /**
+     * Create a stroke or image that so far only exists in the document
+     */
+    async createItem(id) {
+        const { kind, ...data } = this.document.get(id, 'data');
+        const serialized = { id, ...data, ...this.document.get(id, 'geometry'), zIndex: 0 };
+
+        const item = kind === 'image'
+            ? await this.boardSerializer.deserializeImage(serialized)
+            : this.boardSerializer.deserializeStroke(serialized);
+
+        // Deleted again while the image was decoding
+        if (item && !this.document.isLive(id)) {
+            this.removeFromBoard(item);
+        }
+        if (item) {
+            this.items.set(id, item);
+        }
+
+        return item;
+    }
+
+    /**
+     * Move/scale a stroke or image to the document's geometry
+     */
+    applyGeometry(item, geometry) {
+        if (item.type === 'image') {
+            item.isFlippedX = !!geometry.isFlippedX;
+            item.isFlippedY = !!geometry.isFlippedY;
+            item.mesh.position.fromArray(geometry.position);
+            item.mesh.updateMatrixWorld();
+
+            // Rebuilds the plane (flips taken from the stored state) and its corner points
+            this.imageManager.updateImageGeometry(item, geometry.width, geometry.height);
+            return;
+        }
+
+        const points = [];
+        for (let i = 0; i + 2 < geometry.points.length; i += 3) {
+            points.push(new THREE.Vector3(geometry.points[i], geometry.points[i + 1], geometry.points[i + 2]));
+        }
+        if (points.length < 4) return;
+
+        item.points = points;
+        this.strokeManager.updateStrokeGeometry(item);
+    }
+
+    /**
+     * Renumber z-indices of everything on the board to follow the order keys
+     * Left alone when they already agree, so z-indices captured by history
+     * commands stay meaningful
+     * @returns {number} Highest z-index on the board
+     */
+    applyOrder() {
+        const onBoard = [...this.strokeManager.getStrokes(), ...this.imageManager.getImages()];
+        onBoard.sort((a, b) => BoardDocument.compareOrder(
+            this.document.get(a.id, 'order'), a.id,
+            this.document.get(b.id, 'order'), b.id
+        ));
+
+        const isOrdered = onBoard.every((item, i) => i === 0 || onBoard[i - 1].zIndex <= item.zIndex);
+        if (isOrdered) {
+            return onBoard.length > 0 ? onBoard[onBoard.length - 1].zIndex : -1;
+        }
+
+        onBoard.forEach((item, zIndex) => {
+            item.zIndex = zIndex;
+            if (item.type === 'image') {
+                item.mesh.renderOrder = zIndex;
+            } else {
+                this.strokeManager.updateStrokeRenderOrder(item);
+            }
+            this.recordedZIndex.set(item.id, zIndex);
+        });
+
+        return onBoard.length - 1;
+    }
+
+    /**
+     * Check if an object is currently on the board
+     */
+    isOnBoard(item) {
+        return item.type === 'image'
+            ? this.imageManager.getImages().includes(item)
+            : this.strokeManager.getStrokes().includes(item);
+    }
+
+    /**
+     * Remove an object from the board (it stays known for undo and restores)
+     */
+    removeFromBoard(item) {
+        if (item.type === 'image') {
+            this.imageManager.deleteImage(item);
+        } else {
+            this.strokeManager.deleteStroke(item);
+        }
+    }
+
+    /**
+     * Run a task after all previously queued ones
+     */
+    enqueue(task) {
+        this.queue = this.queue
+            .then(task)
+            .catch(error => console.error('Board document update failed:', error));
+        return this.queue;
+    }
+
+    /**
+     * Hand locally written operations to listeners (e.g. the collaboration connection)
+     */
+    emitLocalOps(ops) {
+        if (ops.length > 0 && this.onLocalOps) {
+            this.onLocalOps(ops);
+        }
+    }
+}
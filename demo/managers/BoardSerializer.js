@@ -0,0 +1,278 @@
+import * as THREE from 'three';
+
+/**
+ * Identifier stored in every board document
+ */
+export const BOARD_FORMAT = 'whiteboardxr-board';
+
+/**
+ * Current board document schema version
+ * Bump this and register a migration whenever the format changes
+ */
+export const BOARD_FORMAT_VERSION = 1;
+
+/**
+ * Migrations keyed by the version they upgrade FROM
+ * Each migration receives a document of that version and returns one of the next version
+ */
+const migrations = new Map();
+
+/**
+ * Serializes the whiteboard to a versioned JSON document and loads it back
+ *
+ * Document layout (version 1):
+ * {
+ *   format: 'whiteboardxr-board',
+ *   version: 1,
+ *   savedAt: ISO date string,
+ *   strokes: [{ id, points: [x, y, z, ...], width, widthScales, color: '#rrggbb', isAirStroke, zIndex }],
+ *   images: [{ id, src: DataURL, width, height, position: [x, y, z], isFlippedX, isFlippedY, isLocked, zIndex }]
+ * }
+ *
+ * Images may carry a content `hash` instead of `src`; the bytes are then
+ * resolved from external storage (used by local autosave).
+ * `isLocked` is optional and defaults to false. `widthScales` (per-point width
+ * multipliers from pen pressure) is optional; strokes without it have uniform width.
+ * `isAirStroke` is optional and defaults to false; air strokes were drawn in
+ * mid-air in VR and their points leave the board plane.
+ * `id` is optional; objects without one get a new ID when loaded.
+ */
+export class BoardSerializer {
+    constructor(strokeManager, imageManager) {
+        this.strokeManager = strokeManager;
+        this.imageManager = imageManager;
+    }
+
+    /**
+     * Register a migration from one schema version to the next
+     * @param {number} fromVersion - Version the migration upgrades from
+     * @param {Function} migrate - (document) => document of version fromVersion + 1
+     */
+    static registerMigration(fromVersion, migrate) {
+        migrations.set(fromVersion, migrate);
+    }
+
+    /**
+     * Build a document object from the current board content
+     * @param {Object} options - { embedImages: false stores image hashes instead of DataURLs }
+     * @returns {Promise<Object>} Board document
+     */
+    async serialize(options = {}) {
+        const { embedImages = true } = options;
+
+        const strokes = this.strokeManager.getStrokes().map(stroke => this.serializeStroke(stroke));
+        const images = [];
+        for (const image of [...this.imageManager.getImages()]) {
+            images.push(await this.serializeImage(image, embedImages));
+        }
+
+        return {
+            format: BOARD_FORMAT,
+            version: BOARD_FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            strokes: strokes,
+            images: images
+        };
+    }
+
+    /**
+     * Serialize the board to a JSON string
+     */
+    async stringify() {
+        return JSON.stringify(await this.serialize());
+    }
+
+    /**
+     * Serialize a single stroke
+     */
+    serializeStroke(stroke) {
+        const points = [];
+        stroke.points.forEach(point => {
+            points.push(point.x, point.y, point.z);
+        });
+
+        const data = {
+            id: stroke.id,
+            points: points,
+            width: stroke.width,
+            color: '#' + stroke.color.getHexString(),
+            zIndex: stroke.zIndex
+        };
+        if (stroke.widthScales) {
+            data.widthScales = stroke.widthScales.slice();
+        }
+        if (stroke.isAirStroke) {
+            data.isAirStroke = true;
+        }
+
+        return data;
+    }
+
+    /**
+     * Serialize a single image
+     */
+    async serializeImage(image, embedImages = true) {
+        const position = image.mesh.position;
+        const source = embedImages
+            ? { src: await this.imageManager.getImageDataURL(image) }
+            : { hash: await this.imageManager.getImageHash(image) };
+
+        return {
+            id: image.id,
+            ...source,
+            width: image.width,
+            height: image.height,
+            position: [position.x, position.y, position.z],
+            isFlippedX: image.isFlippedX,
+            isFlippedY: image.isFlippedY,
+            isLocked: image.isLocked === true,
+            zIndex: image.zIndex
+        };
+    }
+
+    /**
+     * Parse a JSON string and bring the document up to the current version
+     * @param {string} json - Board document text
+     * @returns {Object} Board document at BOARD_FORMAT_VERSION
+     */
+    parse(json) {
+        let board;
+        try {
+            board = JSON.parse(json);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        return BoardSerializer.migrate(board);
+    }
+
+    /**
+     * Run registered migrations until the document reaches the current version
+     */
+    static migrate(board) {
+        if (!board || board.format !== BOARD_FORMAT) {
+            throw new Error('File is not a WhiteboardXR board');
+        }
+
+        if (typeof board.version !== 'number') {
+            throw new Error('Board file has no schema version');
+        }
+
+        if (board.version > BOARD_FORMAT_VERSION) {
+            throw new Error(`Board file version ${board.version} is newer than supported version ${BOARD_FORMAT_VERSION}`);
+        }
+
+        let migrated = board;
+        while (migrated.version < BOARD_FORMAT_VERSION) {
+            const migrate = migrations.get(migrated.version);
+            if (!migrate) {
+                throw new Error(`No migration from board file version ${migrated.version}`);
+            }
+            migrated = migrate(migrated);
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Rebuild board content from a document
+     * Content is added to the current board; clear it first to replace it
+     * @param {Object} board - Board document at BOARD_FORMAT_VERSION
+     * @param {Object} options - { resolveImageBlob: async (hash) => Blob } for hash-only images
+     * @returns {Promise<Object>} { strokes, images, maxZIndex }
+     */
+    async deserialize(board, options = {}) {
+        const strokes = [];
+        const images = [];
+        let maxZIndex = -1;
+
+        (board.strokes || []).forEach(data => {
+            const stroke = this.deserializeStroke(data);
+            if (stroke) {
+                strokes.push(stroke);
+                maxZIndex = Math.max(maxZIndex, stroke.zIndex);
+            }
+        });
+
+        for (const data of board.images || []) {
+            const image = await this.deserializeImage(data, options.resolveImageBlob);
+            if (!image) continue;
+            images.push(image);
+            maxZIndex = Math.max(maxZIndex, image.zIndex);
+        }
+
+        return { strokes, images, maxZIndex };
+    }
+
+    /**
+     * Rebuild a stroke through StrokeManager
+     */
+    deserializeStroke(data) {
+        const points = [];
+        for (let i = 0; i + 2 < data.points.length; i += 3) {
+            points.push(new THREE.Vector3(data.points[i], data.points[i + 1], data.points[i + 2]));
+        }
+
+        const widthScales = Array.isArray(data.widthScales) && data.widthScales.length === points.length
+            ? data.widthScales.slice()
+            : null;
+
+        const stroke = this.strokeManager.createStroke(points, {
+            id: typeof data.id === 'string' ? data.id : undefined,
+            width: data.width,
+            color: new THREE.Color(data.color),
+            widthScales: widthScales,
+            isAirStroke: data.isAirStroke === true
+        });
+        if (!stroke) return null;
+
+        // Restore saved paint order
+        stroke.zIndex = data.zIndex;
+        this.strokeManager.updateStrokeRenderOrder(stroke);
+
+        return stroke;
+    }
+
+    /**
+     * Rebuild an image through ImageManager
+     */
+    async deserializeImage(data, resolveImageBlob = null) {
+        let blob = null;
+        if (data.src) {
+            blob = await this.imageManager.dataURLToBlob(data.src);
+        } else if (data.hash && resolveImageBlob) {
+            blob = await resolveImageBlob(data.hash);
+        }
+
+        if (!blob) {
+            console.warn('Skipping board image with missing data');
+            return null;
+        }
+
+        const position = new THREE.Vector3().fromArray(data.position);
+        const image = await this.imageManager.createImageFromBlob(blob, position, {
+            width: data.width,
+            height: data.height
+        });
+        if (typeof data.id === 'string') {
+            image.id = data.id;
+        }
+        if (data.hash) {
+            image.hash = data.hash;
+        }
+
+        // Restore flip state (applied through UVs when the plane is rebuilt)
+        if (data.isFlippedX || data.isFlippedY) {
+            image.isFlippedX = !!data.isFlippedX;
+            image.isFlippedY = !!data.isFlippedY;
+            this.imageManager.updateImageGeometry(image, data.width, data.height);
+        }
+
+        // Restore saved paint order
+        image.zIndex = data.zIndex;
+        image.mesh.renderOrder = data.zIndex;
+        image.isLocked = data.isLocked === true;
+
+        return image;
+    }
+}
@@ -0,0 +1,140 @@
+import { createObjectId } from './ObjectId.js';
+
+/**
+ * Connects the board document to other clients through the WebSocket relay (server/relay.js)
+ *
+ * Clients and the relay exchange BoardDocument operations:
+ *   { type: 'ops', ops: [{ id, field, value, clock, replica }, ...] }
+ * On connecting, both sides send their whole document, so edits made while
+ * offline are merged; afterwards only new operations are sent. Operations are
+ * idempotent and commutative, so duplicates and reordering are harmless.
+ *
+ * Presence travels over the same connection but is not part of the document:
+ *   { type: 'presence', state }            (sent)
+ *   { type: 'presence', clientId, state }  (received)
+ *   { type: 'leave', clientId }            (received when a client disconnects)
+ */
+export class CollaborationManager {
+    constructor(documentManager) {
+        this.documentManager = documentManager;
+
+        this.clientId = createObjectId();
+        this.socket = null;
+        this.room = null;
+        this.status = 'disconnected'; // 'disconnected', 'connecting' or 'connected'
+
+        // Callbacks
+        this.onStatusChange = null; // (status, error)
+        this.onPresence = null; // (clientId, state) when another client's presence changes
+        this.onPresenceLeave = null; // (clientId) when another client left, or all of them when disconnected (null)
+    }
+
+    /**
+     * Connect to a relay server and join a room
+     * @param {string} url - Relay URL, e.g. ws://192.168.1.10:8787
+     * @param {string} room - Room name; clients in the same room share a board
+     */
+    connect(url, room) {
+        this.disconnect();
+
+        const socketUrl = new URL(url);
+        socketUrl.searchParams.set('room', room);
+        socketUrl.searchParams.set('client', this.clientId);
+
+        const socket = new WebSocket(socketUrl.toString());
+        this.socket = socket;
+        this.room = room;
+        this.setStatus('connecting');
+
+        socket.addEventListener('open', () => {
+            if (this.socket !== socket) return;
+
+            // Share everything, including edits made while offline
+            this.sendOps(this.documentManager.document.getOps());
+            this.setStatus('connected');
+        });
+
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Ignoring malformed collaboration message');
+                return;
+            }
+
+            if (message.type === 'ops' && Array.isArray(message.ops)) {
+                this.documentManager.applyRemoteOps(message.ops);
+            } else if (message.type === 'presence' && typeof message.clientId === 'string' && message.state) {
+                if (this.onPresence) this.onPresence(message.clientId, message.state);
+            } else if (message.type === 'leave' && typeof message.clientId === 'string') {
+                if (this.onPresenceLeave) this.onPresenceLeave(message.clientId);
+            } else {
+                console.warn(`Unknown collaboration message: ${message.type}`);
+            }
+        });
+
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.setStatus('disconnected');
+        });
+
+        socket.addEventListener('error', () => {
+            if (this.socket !== socket) return;
+            this.setStatus('disconnected', new Error(`Could not connect to ${url}`));
+        });
+    }
+
+    /**
+     * Leave the room and close the connection
+     */
+    disconnect() {
+        if (!this.socket) return;
+
+        const socket = this.socket;
+        this.socket = null;
+        socket.close();
+        this.setStatus('disconnected');
+    }
+
+    /**
+     * Check if operations are currently being exchanged
+     */
+    isConnected() {
+        return this.status === 'connected';
+    }
+
+    /**
+     * Send document operations to the room
+     * Operations written while disconnected are not lost: the whole document is sent on connect
+     */
+    sendOps(ops) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || ops.length === 0) return;
+
+        this.socket.send(JSON.stringify({ type: 'ops', ops: ops }));
+    }
+
+    /**
+     * Send the local participant's presence state to the room
+     * Presence is transient: nothing is sent while disconnected
+     */
+    sendPresence(state) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+
+        this.socket.send(JSON.stringify({ type: 'presence', state: state }));
+    }
+
+    /**
+     * Update connection status and notify listeners
+     */
+    setStatus(status, error = null) {
+        this.status = status;
+        if (status === 'disconnected' && this.onPresenceLeave) {
+            this.onPresenceLeave(null);
+        }
+        if (this.onStatusChange) {
+            this.onStatusChange(status, error);
+        }
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * Calculate bounds of strokes and images in world units
+ * Unlike SelectionManager.calculateBounds, stroke widths are included so
+ * exported content is not clipped at the stroke edges
+ * @param {Array<Object>} items - Strokes and images
+ * @returns {Object} { minX, maxX, minY, maxY }
+ */
+export function calculateContentBounds(items) {
+    let minX = Infinity, minY = Infinity;
+    let maxX = -Infinity, maxY = -Infinity;
+
+    items.forEach(item => {
+        // Stroke body extends strokeWidth (times the pressure multiplier) on each side of the curve (see strokeShader)
+        const maxScale = item.widthScales ? Math.max(...item.widthScales) : 1;
+        const radius = item.type === 'image' ? 0 : item.width * maxScale;
+        item.points.forEach(point => {
+            minX = Math.min(minX, point.x - radius);
+            minY = Math.min(minY, point.y - radius);
+            maxX = Math.max(maxX, point.x + radius);
+            maxY = Math.max(maxY, point.y + radius);
+        });
+    });
+
+    return { minX, maxX, minY, maxY };
+}
+
+/**
+ * Check if an item overlaps a rectangle
+ */
+export function isItemInRect(item, minX, maxX, minY, maxY) {
+    const bounds = calculateContentBounds([item]);
+    return bounds.maxX >= minX && bounds.minX <= maxX &&
+           bounds.maxY >= minY && bounds.minY <= maxY;
+}
@@ -0,0 +1,314 @@
+import * as THREE from 'three';
+
+/**
+ * Erases strokes under a circular eraser
+ * 'stroke' mode removes every stroke the eraser touches;
+ * 'precision' mode cuts strokes where the eraser circle crosses them and
+ * rebuilds the surviving pieces with the original color, width and z-order.
+ * One drag (beginErase ... endErase) collects its changes into a single result
+ * so it can be undone as one action.
+ */
+export class EraserManager {
+    constructor(scene, strokeManager) {
+        this.scene = scene;
+        this.strokeManager = strokeManager;
+
+        this.radius = 0.05; // World units
+        this.mode = 'stroke'; // 'stroke' or 'precision'
+        this.minPieceLength = 0.002; // Shorter leftovers are dropped
+
+        this.isErasing = false;
+        this.removedStrokes = []; // Strokes that existed before the drag and were erased
+        this.addedStrokes = []; // Pieces created during the drag that still exist
+
+        this.cursorMesh = null;
+    }
+
+    /**
+     * Start an erase gesture
+     */
+    beginErase() {
+        this.isErasing = true;
+        this.removedStrokes = [];
+        this.addedStrokes = [];
+    }
+
+    /**
+     * Erase at a world position using the current mode
+     * @param {THREE.Vector3} center - Eraser center in world space
+     * @returns {boolean} Whether anything was erased
+     */
+    eraseAt(center) {
+        if (!this.isErasing) return false;
+
+        return this.mode === 'precision'
+            ? this.eraseSegmentsAt(center)
+            : this.eraseStrokesAt(center);
+    }
+
+    /**
+     * Finish the erase gesture
+     * @returns {{removed: Array<Object>, added: Array<Object>}} Net change of the gesture
+     */
+    endErase() {
+        const result = { removed: this.removedStrokes, added: this.addedStrokes };
+
+        this.isErasing = false;
+        this.removedStrokes = [];
+        this.addedStrokes = [];
+
+        return result;
+    }
+
+    /**
+     * Whole-stroke mode: remove every stroke within the eraser radius
+     */
+    eraseStrokesAt(center) {
+        let erased = false;
+        let stroke = this.strokeManager.getStrokeAtPosition(center, this.radius);
+
+        while (stroke) {
+            this.removeStroke(stroke);
+            erased = true;
+            stroke = this.strokeManager.getStrokeAtPosition(center, this.radius);
+        }
+
+        return erased;
+    }
+
+    /**
+     * Precision mode: cut the parts of strokes inside the eraser circle
+     */
+    eraseSegmentsAt(center) {
+        let erased = false;
+
+        // Strokes near the eraser (a new array, so strokes can be removed and added while iterating)
+        const strokes = this.strokeManager.getStrokesInRect(
+            center.x - this.radius, center.x + this.radius,
+            center.y - this.radius, center.y + this.radius
+        );
+        strokes.forEach(stroke => {
+            // Cut where the stroke's edge, not its centerline, enters the circle
+            const maxScale = stroke.widthScales ? Math.max(...stroke.widthScales) : 1;
+            const cutRadius = this.radius + stroke.width * maxScale;
+
+            if (this.strokeManager.getDistanceToStroke(center, stroke) >= cutRadius) return;
+
+            const pieces = this.splitStroke(stroke, center, cutRadius);
+
+            const color = stroke.color.clone();
+            const width = stroke.width;
+
+            this.removeStroke(stroke);
+            erased = true;
+
+            pieces.forEach(piece => {
+                const newStroke = this.strokeManager.createStroke(piece.points, {
+                    width: width,
+                    color: color,
+                    widthScales: piece.widthScales,
+                    zIndex: stroke.zIndex
+                });
+                if (newStroke) {
+                    this.addedStrokes.push(newStroke);
+                }
+            });
+        });
+
+        return erased;
+    }
+
+    /**
+     * Split a stroke's polyline into the pieces that lie outside a circle
+     * Cut points are placed exactly on the circle; width scales are interpolated
+     * @returns {Array<{points: Array<THREE.Vector3>, widthScales: Array<number>|null}>}
+     */
+    splitStroke(stroke, center, radius) {
+        const points = stroke.points;
+        const scales = stroke.widthScales;
+        const pieces = [];
+        let current = null;
+
+        const scaleAt = (index, t) => scales ? scales[index] + (scales[index + 1] - scales[index]) * t : 1;
+        const startPiece = (point, scale) => {
+            current = { points: [point], widthScales: [scale] };
+        };
+        const addPoint = (point, scale) => {
+            // Cuts can land on an existing point; duplicates break Bezier fitting
+            if (point.distanceTo(current.points[current.points.length - 1]) < 1e-9) return;
+            current.points.push(point);
+            current.widthScales.push(scale);
+        };
+        const closePiece = () => {
+            if (current) pieces.push(current);
+            current = null;
+        };
+
+        if (points[0].distanceTo(center) >= radius) {
+            startPiece(points[0].clone(), scaleAt(0, 0));
+        }
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const start = points[i];
+            const end = points[i + 1];
+
+            // Boundary crossings along this segment, in order
+            this.intersectSegment(start, end, center, radius).forEach(t => {
+                const point = start.clone().lerp(end, t);
+                const scale = scaleAt(i, t);
+                if (current) {
+                    addPoint(point, scale);
+                    closePiece();
+                } else {
+                    startPiece(point, scale);
+                }
+            });
+
+            if (current) {
+                addPoint(end.clone(), scaleAt(i, 1));
+            }
+        }
+        closePiece();
+
+        return pieces
+            .filter(piece => this.getPolylineLength(piece.points) >= this.minPieceLength)
+            .map(piece => {
+                this.ensureMinimumPoints(piece, 4);
+                return {
+                    points: piece.points,
+                    widthScales: scales ? piece.widthScales : null
+                };
+            });
+    }
+
+    /**
+     * Parameters t in (0, 1) where segment start->end crosses the circle boundary
+     */
+    intersectSegment(start, end, center, radius) {
+        const direction = new THREE.Vector3().subVectors(end, start);
+        const offset = new THREE.Vector3().subVectors(start, center);
+
+        const a = direction.dot(direction);
+        if (a === 0) return [];
+
+        const b = 2 * offset.dot(direction);
+        const c = offset.dot(offset) - radius * radius;
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant <= 0) return [];
+
+        const root = Math.sqrt(discriminant);
+        return [(-b - root) / (2 * a), (-b + root) / (2 * a)]
+            .filter(t => t > 0 && t < 1);
+    }
+
+    /**
+     * Subdivide the longest spans until the piece has enough points for Bezier fitting
+     */
+    ensureMinimumPoints(piece, minPoints) {
+        while (piece.points.length < minPoints) {
+            let longest = 0;
+            for (let i = 1; i < piece.points.length - 1; i++) {
+                if (piece.points[i].distanceTo(piece.points[i + 1]) >
+                    piece.points[longest].distanceTo(piece.points[longest + 1])) {
+                    longest = i;
+                }
+            }
+
+            const midpoint = piece.points[longest].clone().lerp(piece.points[longest + 1], 0.5);
+            const midScale = (piece.widthScales[longest] + piece.widthScales[longest + 1]) / 2;
+            piece.points.splice(longest + 1, 0, midpoint);
+            piece.widthScales.splice(longest + 1, 0, midScale);
+        }
+    }
+
+    /**
+     * Total length of a polyline
+     */
+    getPolylineLength(points) {
+        let length = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            length += points[i].distanceTo(points[i + 1]);
+        }
+        return length;
+    }
+
+    /**
+     * Delete a stroke and track it for the gesture's history entry
+     * Pieces created earlier in the same gesture are simply dropped
+     */
+    removeStroke(stroke) {
+        this.strokeManager.deleteStroke(stroke);
+
+        const addedIndex = this.addedStrokes.indexOf(stroke);
+        if (addedIndex > -1) {
+            this.addedStrokes.splice(addedIndex, 1);
+        } else {
+            this.removedStrokes.push(stroke);
+        }
+    }
+
+    /**
+     * Show the eraser outline at a world position
+     */
+    updateCursor(center) {
+        if (!this.cursorMesh) {
+            this.cursorMesh = this.createCursorMesh();
+            this.scene.add(this.cursorMesh);
+        }
+
+        this.cursorMesh.position.set(center.x, center.y, 0);
+        this.cursorMesh.scale.setScalar(this.radius);
+        this.cursorMesh.visible = true;
+    }
+
+    /**
+     * Hide the eraser outline
+     */
+    hideCursor() {
+        if (this.cursorMesh) {
+            this.cursorMesh.visible = false;
+        }
+    }
+
+    /**
+     * Unit circle outline, scaled to the eraser radius
+     */
+    createCursorMesh() {
+        const segments = 48;
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            points.push(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0));
+        }
+
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineBasicMaterial({
+            color: 0x666666,
+            transparent: true, // Enable transparency for renderOrder
+            opacity: 0.9,
+            depthTest: false
+        });
+
+        const mesh = new THREE.Line(geometry, material);
+        mesh.renderOrder = 1000;
+        return mesh;
+    }
+
+    /**
+     * Set the eraser radius in world units
+     */
+    setRadius(radius) {
+        this.radius = radius;
+        if (this.cursorMesh) {
+            this.cursorMesh.scale.setScalar(radius);
+        }
+    }
+
+    /**
+     * Set the erase mode ('stroke' or 'precision')
+     */
+    setMode(mode) {
+        if (mode !== 'stroke' && mode !== 'precision') return;
+        this.mode = mode;
+    }
+}
@@ -0,0 +1,229 @@
+/**
+ * Reversible commands recorded by HistoryManager
+ * Each command captures enough state to restore the board exactly,
+ * including z-index order, image flip state and stroke point arrays.
+ * getChanges(isUndo) lists the strokes/images a command added, removed or
+ * updated when it was applied (used to sync the board with collaborators).
+ */
+
+/**
+ * Creation of a single stroke
+ */
+export class CreateStrokeCommand {
+    constructor(strokeManager, stroke) {
+        this.strokeManager = strokeManager;
+        this.stroke = stroke;
+    }
+
+    undo() {
+        this.strokeManager.deleteStroke(this.stroke);
+    }
+
+    redo() {
+        this.strokeManager.restoreStroke(this.stroke);
+    }
+
+    getChanges(isUndo) {
+        return isUndo
+            ? { added: [], removed: [this.stroke], updated: [] }
+            : { added: [this.stroke], removed: [], updated: [] };
+    }
+}
+
+/**
+ * Creation of a single image
+ */
+export class AddImageCommand {
+    constructor(imageManager, image) {
+        this.imageManager = imageManager;
+        this.image = image;
+    }
+
+    undo() {
+        this.imageManager.deleteImage(this.image);
+    }
+
+    redo() {
+        this.imageManager.restoreImage(this.image);
+    }
+
+    getChanges(isUndo) {
+        return isUndo
+            ? { added: [], removed: [this.image], updated: [] }
+            : { added: [this.image], removed: [], updated: [] };
+    }
+}
+
+/**
+ * Creation of several strokes and/or images at once (e.g. an import)
+ */
+export class AddContentCommand {
+    constructor(strokeManager, imageManager, strokes, images) {
+        this.strokeManager = strokeManager;
+        this.imageManager = imageManager;
+        this.strokes = [...strokes];
+        this.images = [...images];
+    }
+
+    undo() {
+        this.strokeManager.deleteStrokes(this.strokes);
+        this.imageManager.deleteImages(this.images);
+    }
+
+    redo() {
+        this.strokes.forEach(stroke => this.strokeManager.restoreStroke(stroke));
+        this.images.forEach(image => this.imageManager.restoreImage(image));
+    }
+
+    getChanges(isUndo) {
+        const items = [...this.strokes, ...this.images];
+        return isUndo
+            ? { added: [], removed: items, updated: [] }
+            : { added: items, removed: [], updated: [] };
+    }
+}
+
+/**
+ * Deletion of strokes and/or images
+ */
+export class DeleteContentCommand {
+    constructor(strokeManager, imageManager, strokes, images) {
+        this.strokeManager = strokeManager;
+        this.imageManager = imageManager;
+        this.strokes = [...strokes];
+        this.images = [...images];
+    }
+
+    undo() {
+        this.strokes.forEach(stroke => this.strokeManager.restoreStroke(stroke));
+        this.images.forEach(image => this.imageManager.restoreImage(image));
+    }
+
+    redo() {
+        this.strokeManager.deleteStrokes(this.strokes);
+        this.imageManager.deleteImages(this.images);
+    }
+
+    getChanges(isUndo) {
+        const items = [...this.strokes, ...this.images];
+        return isUndo
+            ? { added: items, removed: [], updated: [] }
+            : { added: [], removed: items, updated: [] };
+    }
+}
+
+/**
+ * Replacement of strokes by other strokes (e.g. erasing splits strokes into pieces)
+ */
+export class ReplaceStrokesCommand {
+    constructor(strokeManager, removedStrokes, addedStrokes) {
+        this.strokeManager = strokeManager;
+        this.removedStrokes = [...removedStrokes];
+        this.addedStrokes = [...addedStrokes];
+    }
+
+    undo() {
+        this.strokeManager.deleteStrokes(this.addedStrokes);
+        this.removedStrokes.forEach(stroke => this.strokeManager.restoreStroke(stroke));
+    }
+
+    redo() {
+        this.strokeManager.deleteStrokes(this.removedStrokes);
+        this.addedStrokes.forEach(stroke => this.strokeManager.restoreStroke(stroke));
+    }
+
+    getChanges(isUndo) {
+        return isUndo
+            ? { added: this.removedStrokes, removed: this.addedStrokes, updated: [] }
+            : { added: this.addedStrokes, removed: this.removedStrokes, updated: [] };
+    }
+}
+
+/**
+ * Move/scale of a group of strokes and images
+ * Stores full before/after snapshots rather than deltas so flips and
+ * bring-to-front z-index changes are restored exactly
+ */
+export class TransformCommand {
+    constructor(strokeManager, imageManager, beforeState, afterState) {
+        this.strokeManager = strokeManager;
+        this.imageManager = imageManager;
+        this.beforeState = beforeState;
+        this.afterState = afterState;
+    }
+
+    /**
+     * Snapshot the transformable state of strokes and images
+     * @param {Array<Object>} items - Strokes and images
+     * @returns {Array<Object>} Snapshot entries
+     */
+    static captureState(items) {
+        return items.map(item => {
+            const state = {
+                item: item,
+                points: item.points.map(p => p.clone()),
+                zIndex: item.zIndex
+            };
+
+            if (item.type === 'image') {
+                state.position = item.mesh.position.clone();
+                state.width = item.width;
+                state.height = item.height;
+                state.isFlippedX = item.isFlippedX;
+                state.isFlippedY = item.isFlippedY;
+            }
+
+            return state;
+        });
+    }
+
+    /**
+     * Check if anything changed between the two snapshots
+     */
+    hasChanges() {
+        return this.afterState.some((after, index) => {
+            const before = this.beforeState[index];
+            if (!before || before.item !== after.item) return true;
+            if (before.zIndex !== after.zIndex) return true;
+            if (before.isFlippedX !== after.isFlippedX || before.isFlippedY !== after.isFlippedY) return true;
+            return after.points.some((point, i) => !point.equals(before.points[i]));
+        });
+    }
+
+    undo() {
+        this.applyState(this.beforeState);
+    }
+
+    redo() {
+        this.applyState(this.afterState);
+    }
+
+    getChanges() {
+        return { added: [], removed: [], updated: this.afterState.map(entry => entry.item) };
+    }
+
+    /**
+     * Apply a snapshot to its strokes and images and rebuild their geometry
+     */
+    applyState(state) {
+        state.forEach(entry => {
+            const item = entry.item;
+            item.zIndex = entry.zIndex;
+
+            if (item.type === 'image') {
+                item.isFlippedX = entry.isFlippedX;
+                item.isFlippedY = entry.isFlippedY;
+                item.mesh.renderOrder = entry.zIndex;
+                item.mesh.position.copy(entry.position);
+                item.mesh.updateMatrixWorld();
+
+                // Rebuild plane with stored size; flips are taken from the stored state
+                this.imageManager.updateImageGeometry(item, entry.width, entry.height);
+                item.points = entry.points.map(p => p.clone());
+            } else {
+                item.points = entry.points.map(p => p.clone());
+                this.strokeManager.updateStrokeGeometry(item);
+            }
+        });
+    }
+}
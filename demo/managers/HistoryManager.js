@@ -0,0 +1,161 @@
+/**
+ * Manages undo/redo history using reversible commands
+ * Commands are recorded after the operation has already been applied to the board,
+ * so recording never re-runs the operation itself
+ */
+export class HistoryManager {
+    constructor(maxSize = 100) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxSize = maxSize;
+
+        // True while a command is being undone/redone
+        this.isApplying = false;
+
+        // Callbacks (support multiple)
+        this.onChangeCallbacks = [];
+        this.onCommandCallbacks = [];
+    }
+
+    /**
+     * Record a command that has just been applied
+     * @param {Object} command - Object implementing undo() and redo()
+     */
+    record(command) {
+        if (!command || this.isApplying) return;
+
+        this.undoStack.push(command);
+
+        // A new action invalidates everything that was undone
+        this.redoStack = [];
+
+        // Drop the oldest entries once the limit is reached
+        if (this.undoStack.length > this.maxSize) {
+            this.undoStack.shift();
+        }
+
+        this.notifyCommand(command, false);
+        this.notifyChange();
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {boolean} Whether a command was undone
+     */
+    undo() {
+        if (this.undoStack.length === 0) return false;
+
+        const command = this.undoStack.pop();
+        this.isApplying = true;
+        try {
+            command.undo();
+        } finally {
+            this.isApplying = false;
+        }
+        this.redoStack.push(command);
+
+        this.notifyCommand(command, true);
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {boolean} Whether a command was redone
+     */
+    redo() {
+        if (this.redoStack.length === 0) return false;
+
+        const command = this.redoStack.pop();
+        this.isApplying = true;
+        try {
+            command.redo();
+        } finally {
+            this.isApplying = false;
+        }
+        this.undoStack.push(command);
+
+        this.notifyCommand(command, false);
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * Check if there is anything to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check if there is anything to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Drop the commands that involve any of the given objects
+     * Used when objects are removed by someone else: undoing or redoing an earlier
+     * command would otherwise bring them back or rebuild them off the board
+     * @param {Array<Object>} items - Strokes and images
+     */
+    forgetItems(items) {
+        if (items.length === 0) return;
+
+        const forgotten = new Set(items);
+        const isKept = command => {
+            if (!command.getChanges) return true;
+
+            const { added, removed, updated } = command.getChanges(false);
+            return ![...added, ...removed, ...updated].some(item => forgotten.has(item));
+        };
+
+        const undoCount = this.undoStack.length;
+        const redoCount = this.redoStack.length;
+        this.undoStack = this.undoStack.filter(isKept);
+        this.redoStack = this.redoStack.filter(isKept);
+
+        if (this.undoStack.length !== undoCount || this.redoStack.length !== redoCount) {
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Clear all history
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    /**
+     * Register callback for history changes (record, undo, redo, clear)
+     */
+    onChange(callback) {
+        this.onChangeCallbacks.push(callback);
+    }
+
+    /**
+     * Register callback for commands applied to the board
+     * Called with (command, isUndo) after a command is recorded, undone or redone
+     */
+    onCommand(callback) {
+        this.onCommandCallbacks.push(callback);
+    }
+
+    /**
+     * Notify listeners that the history changed
+     */
+    notifyChange() {
+        this.onChangeCallbacks.forEach(callback => callback(this));
+    }
+
+    /**
+     * Notify listeners that a command was applied
+     */
+    notifyCommand(command, isUndo) {
+        this.onCommandCallbacks.forEach(callback => callback(command, isUndo));
+    }
+}
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { createObjectId } from './ObjectId.js';
+import { SpatialIndex } from './SpatialIndex.js';
 
 /**
  * Manages images on the whiteboard
@@ -8,9 +10,11 @@ export class ImageManager {
         this.scene = scene;
         this.parent = parent || scene; // Use parent if provided, otherwise scene
         this.images = [];
+        this.spatialIndex = new SpatialIndex(); // Image bounds (from corner points), kept in step with this.images
         this.textureLoader = new THREE.TextureLoader();
         this.maxFileSize = 50 * 1024 * 1024; // 50MB
         this.getNextZIndex = null; // Will be set externally for shared z-index
+        this.getBackgroundZIndex = null; // Will be set externally; z-index below all content
     }
 
     /**
@@ -26,20 +30,51 @@ export class ImageManager {
             throw new Error(`File size must be less than ${this.maxFileSize / (1024 * 1024)}MB`);
         }
 
-        // Create DataURL from file
-        const dataURL = await this.fileToDataURL(file);
+        return this.createImageFromBlob(file, position);
+    }
+
+    /**
+     * Create an image from encoded image data
+     * @param {Blob} blob - Encoded image data (PNG, JPEG, ...)
+     * @param {THREE.Vector3} position - Center position on the whiteboard
+     * @param {Object|null} size - Optional { width, height } in world units (defaults to fit)
+     */
+    async createImageFromBlob(blob, position = new THREE.Vector3(0, 0, 0), size = null) {
+        const url = URL.createObjectURL(blob);
+        let texture;
+        try {
+            texture = await this.loadTexture(url);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+        
+        const image = this.createImageMesh(texture, position, size);
+        // Keep the original bytes so the image can be saved without re-encoding
+        image.blob = blob;
+        
+        return image;
+    }
 
-        // Load texture
+    /**
+     * Create an image from a DataURL
+     */
+    async createImageFromDataURL(dataURL, position = new THREE.Vector3(0, 0, 0), size = null) {
+        const blob = await this.dataURLToBlob(dataURL);
+        return this.createImageFromBlob(blob, position, size);
+    }
+
+    /**
+     * Load a texture from a URL
+     */
+    loadTexture(url) {
         return new Promise((resolve, reject) => {
             this.textureLoader.load(
-                dataURL,
+                url,
                 (texture) => {
                     // Set correct color space for proper rendering
                     texture.colorSpace = THREE.SRGBColorSpace;
                     texture.needsUpdate = true;
-                    
-                    const image = this.createImageMesh(texture, position);
-                    resolve(image);
+                    resolve(texture);
                 },
                 undefined,
                 (error) => {
@@ -49,6 +84,14 @@ export class ImageManager {
         });
     }
 
+    /**
+     * Convert DataURL back to a Blob
+     */
+    async dataURLToBlob(dataURL) {
+        const response = await fetch(dataURL);
+        return response.blob();
+    }
+
     /**
      * Convert file to DataURL
      */
@@ -64,7 +107,7 @@ export class ImageManager {
     /**
      * Create Three.js mesh from loaded texture
      */
-    createImageMesh(texture, position) {
+    createImageMesh(texture, position, size = null) {
         // Get natural dimensions
         const width = texture.image.width;
         const height = texture.image.height;
@@ -73,8 +116,8 @@ export class ImageManager {
         // Scale to max 2 units wide/tall, preserving aspect ratio initially
         const maxDimension = 2.0;
         const scale = Math.min(maxDimension / width, maxDimension / height);
-        const planeWidth = width * scale;
-        const planeHeight = height * scale;
+        const planeWidth = size ? size.width : width * scale;
+        const planeHeight = size ? size.height : height * scale;
 
         // Create plane geometry
         const geometry = new THREE.PlaneGeometry(planeWidth, planeHeight);
@@ -96,9 +139,12 @@ export class ImageManager {
 
         // Add to scene
         this.parent.add(mesh);
+        // World matrix is needed for the corner points below
+        mesh.updateMatrixWorld();
 
         // Create image object (compatible with selection/transform system)
         const image = {
+            id: createObjectId(),
             meshes: [mesh],
             mesh: mesh,
             texture: texture,
@@ -115,6 +161,8 @@ export class ImageManager {
             // Track cumulative flip state
             isFlippedX: false,
             isFlippedY: false,
+            // Locked backgrounds cannot be picked or selected
+            isLocked: false,
             // Z-ordering
             zIndex: this.getNextZIndex ? this.getNextZIndex() : 0
         };
@@ -123,10 +171,68 @@ export class ImageManager {
         mesh.renderOrder = image.zIndex;
 
         this.images.push(image);
+        this.spatialIndex.insert(image, this.getImageBounds(image));
         
         return image;
     }
     
+    /**
+     * Get encoded image data for an image
+     * Falls back to re-encoding the texture when the original bytes are unknown
+     */
+    async getImageBlob(image) {
+        if (image.blob) return image.blob;
+        
+        const source = image.texture.image;
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        canvas.getContext('2d').drawImage(source, 0, 0);
+        
+        image.blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode image')), 'image/png');
+        });
+        return image.blob;
+    }
+
+    /**
+     * Get encoded image data for an image as a DataURL
+     */
+    async getImageDataURL(image) {
+        return this.fileToDataURL(await this.getImageBlob(image));
+    }
+
+    /**
+     * Get content hash of an image's encoded data (cached on the image)
+     */
+    async getImageHash(image) {
+        if (image.hash) return image.hash;
+        
+        image.hash = await this.hashBlob(await this.getImageBlob(image));
+        return image.hash;
+    }
+
+    /**
+     * Compute a hex content hash for a blob
+     * Uses SHA-256 where available (secure contexts), FNV-1a otherwise
+     */
+    async hashBlob(blob) {
+        const buffer = await blob.arrayBuffer();
+        
+        if (window.crypto && window.crypto.subtle) {
+            const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+            return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+        }
+        
+        const bytes = new Uint8Array(buffer);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return `fnv1a-${bytes.length.toString(16)}-${hash.toString(16).padStart(8, '0')}`;
+    }
+    
     /**
      * Bring image to front (highest z-index)
      */
@@ -137,22 +243,36 @@ export class ImageManager {
         }
     }
 
+    /**
+     * Lock an image as a background: moved below all content and excluded from picking
+     */
+    lockAsBackground(image) {
+        image.isLocked = true;
+        image.zIndex = this.getBackgroundZIndex ? this.getBackgroundZIndex() : image.zIndex;
+        if (image.mesh) {
+            image.mesh.renderOrder = image.zIndex;
+        }
+    }
+
     /**
      * Get corner points of image for bounding box calculation
+     * Points are in whiteboard coordinates like stroke points, so they stay valid
+     * when the whiteboard itself is moved (e.g. placed in the VR room)
      */
     getImageCornerPoints(mesh) {
         const geometry = mesh.geometry;
         const position = geometry.attributes.position;
         const points = [];
 
-        // Get all 4 corners in world space
+        // Get all 4 corners in the parent's space
+        mesh.updateMatrix();
         for (let i = 0; i < position.count; i++) {
             const point = new THREE.Vector3(
                 position.getX(i),
                 position.getY(i),
                 position.getZ(i)
             );
-            mesh.localToWorld(point);
+            point.applyMatrix4(mesh.matrix);
             points.push(point);
         }
 
@@ -164,6 +284,28 @@ export class ImageManager {
      */
     updateImagePoints(image) {
         image.points = this.getImageCornerPoints(image.mesh);
+        if (this.spatialIndex.has(image)) {
+            this.spatialIndex.update(image, this.getImageBounds(image));
+        }
+    }
+
+    /**
+     * Bounds of an image's corner points for the spatial index
+     */
+    getImageBounds(image) {
+        const box = new THREE.Box3().setFromPoints(image.points);
+        return {
+            minX: box.min.x, maxX: box.max.x,
+            minY: box.min.y, maxY: box.max.y,
+            minZ: box.min.z, maxZ: box.max.z
+        };
+    }
+
+    /**
+     * Images whose bounds overlap a rectangle (candidates for exact tests), in board order
+     */
+    getImagesInRect(minX, maxX, minY, maxY) {
+        return this.spatialIndex.queryRect(minX, maxX, minY, maxY);
     }
 
     /**
@@ -187,6 +329,22 @@ export class ImageManager {
         if (index > -1) {
             this.images.splice(index, 1);
         }
+        this.spatialIndex.remove(image);
+    }
+
+    /**
+     * Re-add a previously deleted image (used by undo/redo)
+     * Disposed GPU resources are re-uploaded by Three.js on next render
+     */
+    restoreImage(image) {
+        if (!image || image.type !== 'image' || this.images.includes(image)) return;
+
+        image.texture.needsUpdate = true;
+        image.mesh.renderOrder = image.zIndex;
+        this.parent.add(image.mesh);
+
+        this.images.push(image);
+        this.spatialIndex.insert(image, this.getImageBounds(image));
     }
 
     /**
@@ -198,17 +356,20 @@ export class ImageManager {
 
     /**
      * Get image at world position using raycasting
+     * @param {THREE.Vector3} worldPoint - Point in whiteboard coordinates
      */
     getImageAtPosition(worldPoint, threshold = 0.01) {
-        // Create a raycaster from the point
+        // Create a raycaster from the point, straight through the board
+        this.parent.updateMatrixWorld();
         const raycaster = new THREE.Raycaster();
         raycaster.set(
-            new THREE.Vector3(worldPoint.x, worldPoint.y, 1),
-            new THREE.Vector3(0, 0, -1)
+            this.parent.localToWorld(new THREE.Vector3(worldPoint.x, worldPoint.y, 1)),
+            new THREE.Vector3(0, 0, -1).transformDirection(this.parent.matrixWorld)
         );
 
-        // Test all image meshes
-        const meshes = this.images.map(img => img.mesh);
+        // Test the meshes of images under the point (locked backgrounds are not pickable)
+        const candidates = this.getImagesInRect(worldPoint.x, worldPoint.x, worldPoint.y, worldPoint.y);
+        const meshes = candidates.filter(img => !img.isLocked).map(img => img.mesh);
         const intersects = raycaster.intersectObjects(meshes);
 
         if (intersects.length > 0) {
@@ -227,6 +388,13 @@ export class ImageManager {
         return this.images;
     }
 
+    /**
+     * Get an image by its ID
+     */
+    getImageById(id) {
+        return this.images.find(image => image.id === id) || null;
+    }
+
     /**
      * Get image count
      */
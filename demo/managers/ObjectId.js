@@ -0,0 +1,21 @@
+/**
+ * Stable identifiers for board objects (strokes and images)
+ * IDs stay the same across undo/redo, save/load and collaborators,
+ * so operations can refer to objects by ID instead of by reference
+ */
+
+/**
+ * Create a new random object ID
+ * crypto.randomUUID is only available in secure contexts (HTTPS/localhost),
+ * so LAN sessions over plain HTTP fall back to crypto.getRandomValues
+ * @returns {string} ID
+ */
+export function createObjectId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,369 @@
+import { BezierConverter } from '../BezierConverter.js';
+import { PDFWriter } from './PDFWriter.js';
+import { calculateContentBounds, isItemInRect } from './ContentBounds.js';
+
+const POINTS_PER_MM = 72 / 25.4;
+
+/**
+ * Page sizes in millimeters (portrait)
+ */
+export const PDF_PAGE_SIZES = {
+    a3: { width: 297, height: 420 },
+    a4: { width: 210, height: 297 },
+    a5: { width: 148, height: 210 },
+    letter: { width: 215.9, height: 279.4 },
+    legal: { width: 215.9, height: 355.6 }
+};
+
+/**
+ * Exports whiteboard content as a vector PDF
+ * Strokes are written as native cubic Bezier paths, images as JPEG (DCTDecode)
+ * or Flate-compressed RGB XObjects with an alpha soft mask
+ */
+export class PDFExporter {
+    constructor(imageManager) {
+        this.imageManager = imageManager;
+        this.precision = 5; // Decimal places for world coordinates
+    }
+
+    /**
+     * Build a PDF for the given strokes and images
+     * @param {Array<Object>} items - Strokes and images to export
+     * @param {Object} options - Layout options
+     * @param {string} options.pageSize - Key of PDF_PAGE_SIZES
+     * @param {string} options.orientation - 'portrait', 'landscape' or 'auto'
+     * @param {number} options.margin - Page margin in millimeters
+     * @param {string} options.scaleMode - 'fit' (one page) or 'actual' (1:1, one page per board region)
+     * @param {number} options.unitSize - Millimeters per world unit for 'actual' scale
+     * @returns {Promise<Blob>} PDF file
+     */
+    async export(items, options = {}) {
+        const {
+            pageSize = 'a4',
+            orientation = 'auto',
+            margin = 10,
+            scaleMode = 'fit',
+            unitSize = 100
+        } = options;
+
+        if (items.length === 0) {
+            throw new Error('Nothing to export');
+        }
+
+        const paper = PDF_PAGE_SIZES[pageSize];
+        if (!paper) {
+            throw new Error(`Unknown page size: ${pageSize}`);
+        }
+
+        const bounds = calculateContentBounds(items);
+        const contentWidth = Math.max(bounds.maxX - bounds.minX, 1e-6);
+        const contentHeight = Math.max(bounds.maxY - bounds.minY, 1e-6);
+
+        // Pick orientation to match the content when set to auto
+        const landscape = orientation === 'landscape' ||
+            (orientation === 'auto' && contentWidth > contentHeight);
+        const pageWidth = (landscape ? paper.height : paper.width) * POINTS_PER_MM;
+        const pageHeight = (landscape ? paper.width : paper.height) * POINTS_PER_MM;
+        const marginPt = margin * POINTS_PER_MM;
+        const printableWidth = pageWidth - 2 * marginPt;
+        const printableHeight = pageHeight - 2 * marginPt;
+
+        if (printableWidth <= 0 || printableHeight <= 0) {
+            throw new Error('Margins are larger than the page');
+        }
+
+        const pages = scaleMode === 'actual'
+            ? this.layoutTiles(bounds, unitSize * POINTS_PER_MM, marginPt, printableWidth, printableHeight)
+            : this.layoutFit(bounds, contentWidth, contentHeight, marginPt, printableWidth, printableHeight);
+
+        // Paint order follows z-index (lowest first)
+        const sortedItems = items.slice().sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+
+        const writer = new PDFWriter();
+        const catalogId = writer.reserveObject();
+        const pagesId = writer.reserveObject();
+        const imageObjects = new Map(); // image -> { id, name }
+        const pageIds = [];
+
+        for (const page of pages) {
+            const pageItems = sortedItems.filter(item =>
+                isItemInRect(item, page.region.minX, page.region.maxX, page.region.minY, page.region.maxY)
+            );
+
+            // One page per board region: skip regions with nothing on them
+            if (pageItems.length === 0) continue;
+
+            const content = [
+                'q',
+                // Clip to the printable area so tiled regions do not spill into margins
+                `${this.format(marginPt)} ${this.format(marginPt)} ${this.format(printableWidth)} ${this.format(printableHeight)} re W n`,
+                // Map world units onto the page
+                `${this.format(page.scale)} 0 0 ${this.format(page.scale)} ${this.format(page.offsetX)} ${this.format(page.offsetY)} cm`
+            ];
+            const xObjectNames = [];
+
+            for (const item of pageItems) {
+                if (item.type === 'image') {
+                    let imageObject = imageObjects.get(item);
+                    if (!imageObject) {
+                        imageObject = {
+                            id: await this.writeImage(writer, item),
+                            name: `Im${imageObjects.size + 1}`
+                        };
+                        imageObjects.set(item, imageObject);
+                    }
+                    if (!xObjectNames.includes(imageObject)) {
+                        xObjectNames.push(imageObject);
+                    }
+                    content.push(this.imageToPDF(item, imageObject.name));
+                } else {
+                    const path = this.strokeToPDF(item);
+                    if (path) content.push(path);
+                }
+            }
+
+            content.push('Q');
+
+            const contentId = await this.writeContentStream(writer, content.join('\n'));
+            const xObjects = xObjectNames.map(({ name, id }) => `/${name} ${id} 0 R`).join(' ');
+            pageIds.push(writer.addObject(
+                `<< /Type /Page /Parent ${pagesId} 0 R ` +
+                `/MediaBox [0 0 ${this.format(pageWidth)} ${this.format(pageHeight)}] ` +
+                `/Resources << /XObject << ${xObjects} >> >> /Contents ${contentId} 0 R >>`
+            ));
+        }
+
+        writer.addObject(
+            `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+            pagesId
+        );
+        writer.addObject(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`, catalogId);
+
+        return writer.build(catalogId);
+    }
+
+    /**
+     * Single page with the content scaled to fit and centered
+     */
+    layoutFit(bounds, contentWidth, contentHeight, marginPt, printableWidth, printableHeight) {
+        const scale = Math.min(printableWidth / contentWidth, printableHeight / contentHeight);
+        const startX = marginPt + (printableWidth - contentWidth * scale) / 2;
+        const startY = marginPt + (printableHeight - contentHeight * scale) / 2;
+
+        return [{
+            region: bounds,
+            scale: scale,
+            offsetX: startX - bounds.minX * scale,
+            offsetY: startY - bounds.minY * scale
+        }];
+    }
+
+    /**
+     * Fixed scale; the content is split into page-sized board regions,
+     * ordered left to right, top to bottom
+     */
+    layoutTiles(bounds, scale, marginPt, printableWidth, printableHeight) {
+        const regionWidth = printableWidth / scale;
+        const regionHeight = printableHeight / scale;
+        const columns = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) / regionWidth));
+        const rows = Math.max(1, Math.ceil((bounds.maxY - bounds.minY) / regionHeight));
+
+        const pages = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const minX = bounds.minX + column * regionWidth;
+                const maxY = bounds.maxY - row * regionHeight;
+                const region = {
+                    minX: minX,
+                    maxX: minX + regionWidth,
+                    minY: maxY - regionHeight,
+                    maxY: maxY
+                };
+
+                pages.push({
+                    region: region,
+                    scale: scale,
+                    offsetX: marginPt - region.minX * scale,
+                    offsetY: marginPt - region.minY * scale
+                });
+            }
+        }
+
+        return pages;
+    }
+
+    /**
+     * Convert a stroke into PDF path operators (in world units)
+     */
+    strokeToPDF(stroke) {
+        const segments = BezierConverter.createSegment(stroke.points);
+        if (segments.length === 0) return null;
+
+        const color = stroke.color;
+        const strokeWidth = stroke.width;
+
+        const hex = color.getHex();
+        const r = ((hex >> 16) & 255) / 255;
+        const g = ((hex >> 8) & 255) / 255;
+        const b = (hex & 255) / 255;
+
+        const f = (value) => this.format(value);
+        const curveTo = (segment) =>
+            `${f(segment.p1.x)} ${f(segment.p1.y)} ${f(segment.p2.x)} ${f(segment.p2.y)} ` +
+            `${f(segment.p3.x)} ${f(segment.p3.y)} c`;
+
+        // Round caps and joins match the shader's end caps
+        const operators = [`${f(r)} ${f(g)} ${f(b)} RG`, '1 J 1 j'];
+
+        if (stroke.widthScales) {
+            // Pressure-sensitive strokes: one path per segment at the segment's average width
+            segments.forEach((segment, i) => {
+                const scale = (stroke.widthScales[i] + stroke.widthScales[i + 1]) / 2;
+                operators.push(
+                    `${f(strokeWidth * 2 * scale)} w`,
+                    `${f(segment.p0.x)} ${f(segment.p0.y)} m`,
+                    curveTo(segment),
+                    'S'
+                );
+            });
+            return operators.join('\n');
+        }
+
+        // Full width is twice strokeWidth
+        operators.push(`${f(strokeWidth * 2)} w`, `${f(segments[0].p0.x)} ${f(segments[0].p0.y)} m`);
+        segments.forEach(segment => {
+            operators.push(curveTo(segment));
+        });
+        operators.push('S');
+
+        return operators.join('\n');
+    }
+
+    /**
+     * Draw an image XObject at the image's position, honoring flip state
+     */
+    imageToPDF(image, name) {
+        const centerX = image.mesh.position.x;
+        const centerY = image.mesh.position.y;
+
+        // Image space is the unit square; negative scale mirrors it
+        const a = image.isFlippedX ? -image.width : image.width;
+        const d = image.isFlippedY ? -image.height : image.height;
+        const e = centerX - a / 2;
+        const f = centerY - d / 2;
+
+        return `q ${this.format(a)} 0 0 ${this.format(d)} ${this.format(e)} ${this.format(f)} cm /${name} Do Q`;
+    }
+
+    /**
+     * Write an image as an XObject
+     * JPEG bytes are embedded as-is; other formats are decoded to RGB + alpha mask
+     * @returns {Promise<number>} Object number
+     */
+    async writeImage(writer, image) {
+        const blob = await this.imageManager.getImageBlob(image);
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+
+        const jpegInfo = this.readJPEGInfo(bytes);
+        if (jpegInfo && jpegInfo.colorSpace) {
+            return writer.addStream(
+                `/Type /XObject /Subtype /Image /Width ${jpegInfo.width} /Height ${jpegInfo.height} ` +
+                `/ColorSpace /${jpegInfo.colorSpace} /BitsPerComponent 8 /Filter /DCTDecode`,
+                bytes
+            );
+        }
+
+        return this.writeRasterImage(writer, image.texture.image);
+    }
+
+    /**
+     * Write decoded pixels as a Flate-compressed RGB image with optional soft mask
+     */
+    async writeRasterImage(writer, source) {
+        const width = source.width;
+        const height = source.height;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0);
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+
+        const rgb = new Uint8Array(width * height * 3);
+        const alpha = new Uint8Array(width * height);
+        let hasAlpha = false;
+        for (let i = 0, j = 0; i < pixels.length; i += 4, j++) {
+            rgb[j * 3] = pixels[i];
+            rgb[j * 3 + 1] = pixels[i + 1];
+            rgb[j * 3 + 2] = pixels[i + 2];
+            alpha[j] = pixels[i + 3];
+            if (pixels[i + 3] < 255) hasAlpha = true;
+        }
+
+        const imageDictionary = `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /BitsPerComponent 8`;
+
+        let maskEntry = '';
+        if (hasAlpha) {
+            const maskId = await this.writeCompressedStream(writer, `${imageDictionary} /ColorSpace /DeviceGray`, alpha);
+            maskEntry = ` /SMask ${maskId} 0 R`;
+        }
+
+        return this.writeCompressedStream(writer, `${imageDictionary} /ColorSpace /DeviceRGB${maskEntry}`, rgb);
+    }
+
+    /**
+     * Write a page content stream
+     */
+    writeContentStream(writer, content) {
+        return this.writeCompressedStream(writer, '', new TextEncoder().encode(content));
+    }
+
+    /**
+     * Write a stream, Flate-compressed when the browser supports it
+     */
+    async writeCompressedStream(writer, dictionary, bytes) {
+        const compressed = await PDFWriter.deflate(bytes);
+        if (compressed) {
+            return writer.addStream(`${dictionary} /Filter /FlateDecode`, compressed);
+        }
+        return writer.addStream(dictionary, bytes);
+    }
+
+    /**
+     * Read dimensions and color space from a JPEG's SOF marker
+     * @returns {Object|null} { width, height, colorSpace } or null if not a JPEG
+     */
+    readJPEGInfo(bytes) {
+        if (bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+        let offset = 2;
+        while (offset + 9 < bytes.length) {
+            if (bytes[offset] !== 0xff) return null;
+            const marker = bytes[offset + 1];
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+            // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                const height = (bytes[offset + 5] << 8) | bytes[offset + 6];
+                const width = (bytes[offset + 7] << 8) | bytes[offset + 8];
+                const components = bytes[offset + 9];
+
+                // CMYK JPEGs are often stored inverted; decode those instead of guessing
+                const colorSpace = components === 1 ? 'DeviceGray' : components === 3 ? 'DeviceRGB' : null;
+                return { width, height, colorSpace };
+            }
+
+            offset += 2 + length;
+        }
+
+        return null;
+    }
+
+    /**
+     * Format a number with limited precision and no trailing zeros
+     */
+    format(value) {
+        return String(Number(value.toFixed(this.precision)));
+    }
+}
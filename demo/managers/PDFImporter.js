@@ -0,0 +1,108 @@
+import * as THREE from 'three';
+
+let pdfjsPromise = null;
+
+/**
+ * Load pdf.js on first use so it stays out of the main bundle
+ */
+function loadPDFJS() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = Promise.all([
+            import('pdfjs-dist'),
+            import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+        ]).then(([pdfjs, worker]) => {
+            pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+            return pdfjs;
+        }).catch(error => {
+            // Allow a retry after e.g. a network failure
+            pdfjsPromise = null;
+            throw error;
+        });
+    }
+    return pdfjsPromise;
+}
+
+/**
+ * Imports PDF documents as a vertical stack of page images
+ * Each page is rasterized client-side with pdf.js, placed through ImageManager
+ * and locked as a background so it cannot be selected and strokes draw on top
+ */
+export class PDFImporter {
+    constructor(imageManager) {
+        this.imageManager = imageManager;
+
+        this.pageWidth = 2; // World units per page width
+        this.pageSpacing = 0.1; // World units between pages
+        this.renderWidth = 2048; // Pixel width pages are rasterized at
+    }
+
+    /**
+     * Import a PDF file
+     * @param {File} file - PDF file
+     * @param {THREE.Vector3} position - World position of the first page's center
+     * @returns {Promise<Array<Object>>} Created page images, top to bottom
+     */
+    async importFile(file, position) {
+        if (file.size > this.imageManager.maxFileSize) {
+            throw new Error(`File size must be less than ${this.imageManager.maxFileSize / (1024 * 1024)}MB`);
+        }
+
+        const pdfjs = await loadPDFJS();
+        const data = new Uint8Array(await file.arrayBuffer());
+        const pdf = await pdfjs.getDocument({ data }).promise;
+
+        const images = [];
+        try {
+            let top = null;
+
+            for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                const page = await pdf.getPage(pageNumber);
+                const blob = await this.renderPage(page);
+                const pageViewport = page.getViewport({ scale: 1 });
+                page.cleanup();
+
+                const height = this.pageWidth * pageViewport.height / pageViewport.width;
+                if (top === null) {
+                    top = position.y + height / 2;
+                }
+
+                const center = new THREE.Vector3(position.x, top - height / 2, position.z);
+                const image = await this.imageManager.createImageFromBlob(blob, center, {
+                    width: this.pageWidth,
+                    height: height
+                });
+                this.imageManager.lockAsBackground(image);
+                images.push(image);
+
+                top -= height + this.pageSpacing;
+                console.log(`PDF page ${pageNumber}/${pdf.numPages} imported`);
+            }
+        } catch (error) {
+            // Do not leave a partial document on the board
+            this.imageManager.deleteImages(images);
+            throw error;
+        } finally {
+            pdf.destroy();
+        }
+
+        return images;
+    }
+
+    /**
+     * Rasterize a page to a PNG blob
+     */
+    async renderPage(page) {
+        const baseViewport = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: this.renderWidth / baseViewport.width });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
+
+        await page.render({ canvas: canvas, viewport: viewport }).promise;
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode page')), 'image/png');
+        });
+    }
+}
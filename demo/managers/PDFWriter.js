@@ -0,0 +1,103 @@
+/**
+ * Minimal PDF 1.4 file writer
+ * Builds numbered indirect objects and streams and serializes them with a
+ * cross-reference table. Knows nothing about whiteboard content.
+ */
+export class PDFWriter {
+    constructor() {
+        this.encoder = new TextEncoder();
+        this.objects = []; // Index = object number - 1; each entry is an array of byte chunks
+    }
+
+    /**
+     * Reserve an object number to be filled in later (for forward references)
+     * @returns {number} Object number
+     */
+    reserveObject() {
+        this.objects.push(null);
+        return this.objects.length;
+    }
+
+    /**
+     * Add (or fill a reserved) dictionary/value object
+     * @param {string} content - PDF object body, e.g. '<< /Type /Catalog ... >>'
+     * @param {number|null} id - Reserved object number to fill
+     * @returns {number} Object number
+     */
+    addObject(content, id = null) {
+        const objectId = id || this.reserveObject();
+        this.objects[objectId - 1] = [this.encoder.encode(content)];
+        return objectId;
+    }
+
+    /**
+     * Add a stream object
+     * @param {string} dictionary - Extra dictionary entries (without << >> and /Length)
+     * @param {Uint8Array|string} data - Stream bytes
+     * @param {number|null} id - Reserved object number to fill
+     * @returns {number} Object number
+     */
+    addStream(dictionary, data, id = null) {
+        const bytes = typeof data === 'string' ? this.encoder.encode(data) : data;
+        const objectId = id || this.reserveObject();
+
+        this.objects[objectId - 1] = [
+            this.encoder.encode(`<< ${dictionary} /Length ${bytes.length} >>\nstream\n`),
+            bytes,
+            this.encoder.encode('\nendstream')
+        ];
+        return objectId;
+    }
+
+    /**
+     * Serialize all objects into a PDF file
+     * @param {number} rootId - Object number of the document catalog
+     * @returns {Blob} PDF file
+     */
+    build(rootId) {
+        const chunks = [];
+        const offsets = [];
+        let offset = 0;
+
+        const write = (chunk) => {
+            const bytes = typeof chunk === 'string' ? this.encoder.encode(chunk) : chunk;
+            chunks.push(bytes);
+            offset += bytes.length;
+        };
+
+        // Header; the binary comment marks the file as containing binary data
+        write('%PDF-1.4\n');
+        write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+        this.objects.forEach((objectChunks, index) => {
+            if (!objectChunks) {
+                throw new Error(`PDF object ${index + 1} was reserved but never written`);
+            }
+            offsets.push(offset);
+            write(`${index + 1} 0 obj\n`);
+            objectChunks.forEach(chunk => write(chunk));
+            write('\nendobj\n');
+        });
+
+        const xrefOffset = offset;
+        const xref = [`xref\n0 ${this.objects.length + 1}\n`, '0000000000 65535 f \n'];
+        offsets.forEach(objectOffset => {
+            xref.push(`${String(objectOffset).padStart(10, '0')} 00000 n \n`);
+        });
+        write(xref.join(''));
+        write(`trailer\n<< /Size ${this.objects.length + 1} /Root ${rootId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    /**
+     * Compress bytes for /FlateDecode (zlib format)
+     * @returns {Promise<Uint8Array|null>} Compressed bytes, or null if unsupported
+     */
+    static async deflate(bytes) {
+        if (typeof CompressionStream === 'undefined') return null;
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
@@ -0,0 +1,566 @@
+import * as THREE from 'three';
+
+/**
+ * Colors assigned to participants (picked from the client ID)
+ */
+const PARTICIPANT_COLORS = [0xE53935, 0x8E24AA, 0x1E88E5, 0x00897B, 0x43A047, 0xF4511E, 0x6D4C41, 0xD81B60];
+
+/**
+ * Live presence of collaborators
+ *
+ * Publishes the local participant's state (cursor, stroke being drawn, selection,
+ * VR head/controller poses) and shows remote participants on the board:
+ * a named cursor, their in-progress stroke, a tinted outline around their selection
+ * and, in VR, a simple head-and-hands avatar. Positions are exchanged in whiteboard
+ * coordinates so desktop and VR participants line up.
+ *
+ * Presence state: {
+ *   name, color,
+ *   cursor: [x, y, z] | null,
+ *   stroke: { seq, start, points: [x, y, z, ...], color: '#rrggbb', width } | null,
+ *   selection: [object IDs],
+ *   avatar: { head: Pose, left: Pose | null, right: Pose | null } | null
+ * } where Pose is { position: [x, y, z], quaternion: [x, y, z, w] }
+ *
+ * The in-progress stroke is streamed: each message carries only the points added
+ * since the previous one, starting at index `start` of stroke number `seq`, and
+ * receivers append them to what they already have.
+ */
+export class PresenceManager {
+    constructor(scene, parent, strokeManager, imageManager, clientId) {
+        this.scene = scene;
+        this.parent = parent; // Whiteboard: remote content shares the strokes' coordinate space
+        this.strokeManager = strokeManager;
+        this.imageManager = imageManager;
+
+        this.localState = {
+            name: `Guest ${clientId.slice(0, 4)}`,
+            color: PresenceManager.getParticipantColor(clientId),
+            cursor: null,
+            selection: [],
+            avatar: null
+        };
+
+        this.localStroke = null; // { seq, source (preview points), sentCount, color, width } while drawing
+        this.strokeSeq = 0;
+
+        this.isActive = false; // Whether there is a session to publish to
+        this.publishInterval = 50; // Milliseconds between presence messages
+        this.publishTimer = null;
+        this.lastPublishTime = 0;
+
+        this.participants = new Map(); // clientId -> { state, cursor, stroke, strokeSeq, strokeStart, strokeCount, selectionBox, avatar }
+        this.markerScale = 0.02; // Cursor marker size in world units, set from the view size
+        this.avatarsVisible = false;
+
+        // Callbacks
+        this.onPublish = null; // (state) when the local state should be sent
+    }
+
+    /**
+     * Pick a stable participant color from a client ID
+     */
+    static getParticipantColor(clientId) {
+        let hash = 0;
+        for (let i = 0; i < clientId.length; i++) {
+            hash = (hash * 31 + clientId.charCodeAt(i)) >>> 0;
+        }
+        return '#' + new THREE.Color(PARTICIPANT_COLORS[hash % PARTICIPANT_COLORS.length]).getHexString();
+    }
+
+    /**
+     * Start or stop publishing (while connected to a collaboration session)
+     * Nothing is prepared or sent while inactive
+     */
+    setActive(active) {
+        this.isActive = active;
+
+        if (!active && this.publishTimer) {
+            clearTimeout(this.publishTimer);
+            this.publishTimer = null;
+        }
+        if (active && this.localStroke) {
+            // Send the whole in-progress stroke to the new session
+            this.localStroke.sentCount = 0;
+        }
+    }
+
+    /**
+     * Set the local participant's display name
+     */
+    setName(name) {
+        this.updateLocal({ name: name });
+    }
+
+    /**
+     * Update the local cursor (world point on the board, or null when off the board)
+     */
+    setCursor(worldPoint) {
+        this.updateLocal({ cursor: worldPoint ? this.toArray(this.parent.worldToLocal(worldPoint.clone())) : null });
+    }
+
+    /**
+     * Update the local in-progress stroke (null when the stroke ends)
+     * The points array is kept by reference and must only grow while the stroke is drawn;
+     * the points added since the last message are sent with the next one
+     * @param {Array<THREE.Vector3>|null} points - Preview points, in stroke (whiteboard) coordinates
+     * @param {THREE.Color} color - Pen color
+     * @param {number} width - Pen width
+     */
+    setStroke(points, color = null, width = 0) {
+        if (!points || points.length === 0) {
+            if (!this.localStroke) return;
+            this.localStroke = null;
+            this.updateLocal({});
+            return;
+        }
+
+        if (!this.localStroke || this.localStroke.source !== points) {
+            this.localStroke = {
+                seq: ++this.strokeSeq,
+                source: points,
+                sentCount: 0,
+                color: '#' + color.getHexString(),
+                width: width
+            };
+        }
+        this.updateLocal({});
+    }
+
+    /**
+     * The in-progress stroke's points not sent yet (marks them as sent)
+     */
+    takeStrokeUpdate() {
+        const stroke = this.localStroke;
+        if (!stroke) return null;
+
+        const start = stroke.sentCount;
+        const flat = [];
+        for (let i = start; i < stroke.source.length; i++) {
+            flat.push(...this.toArray(stroke.source[i]));
+        }
+        stroke.sentCount = stroke.source.length;
+
+        return { seq: stroke.seq, start: start, points: flat, color: stroke.color, width: stroke.width };
+    }
+
+    /**
+     * Update the local selection
+     * @param {Array<Object>} items - Selected strokes and images
+     */
+    setSelection(items) {
+        this.updateLocal({ selection: items.map(item => item.id) });
+    }
+
+    /**
+     * Update the local VR avatar poses (world-space objects, or null outside VR)
+     * @param {Object|null} poses - { head: Object3D, left: Object3D|null, right: Object3D|null }
+     */
+    setAvatar(poses) {
+        if (!poses) {
+            this.updateLocal({ avatar: null });
+            return;
+        }
+
+        this.updateLocal({
+            avatar: {
+                head: this.toLocalPose(poses.head),
+                left: poses.left ? this.toLocalPose(poses.left) : null,
+                right: poses.right ? this.toLocalPose(poses.right) : null
+            }
+        });
+    }
+
+    /**
+     * Merge into the local state and publish it, at most once per publishInterval
+     */
+    updateLocal(changes) {
+        Object.assign(this.localState, changes);
+
+        if (!this.isActive || this.publishTimer) return;
+
+        const wait = Math.max(0, this.lastPublishTime + this.publishInterval - performance.now());
+        this.publishTimer = setTimeout(() => {
+            this.publishTimer = null;
+            this.publish();
+        }, wait);
+    }
+
+    /**
+     * Send the local state now
+     */
+    publish() {
+        this.lastPublishTime = performance.now();
+        if (this.isActive && this.onPublish) {
+            this.onPublish({ ...this.localState, stroke: this.takeStrokeUpdate() });
+        }
+    }
+
+    /**
+     * Show a remote participant's latest state
+     */
+    applyRemote(clientId, state) {
+        let participant = this.participants.get(clientId);
+        if (!participant) {
+            participant = {
+                state: null, cursor: null, stroke: null, strokeSeq: null, strokeStart: 0, strokeCount: 0,
+                selectionBox: null, avatar: null
+            };
+            this.participants.set(clientId, participant);
+        }
+
+        const isIdentityChanged = !participant.state ||
+            participant.state.color !== state.color ||
+            participant.state.name !== state.name;
+        if (isIdentityChanged) {
+            // Name and color are baked into the visuals; rebuild them
+            this.disposeParticipant(participant);
+        }
+
+        participant.state = state;
+        this.updateCursor(participant);
+        this.updateStroke(participant);
+        this.updateSelection(participant);
+        this.updateAvatar(participant);
+    }
+
+    /**
+     * Remove a participant who left
+     */
+    removeRemote(clientId) {
+        const participant = this.participants.get(clientId);
+        if (!participant) return;
+
+        this.disposeParticipant(participant);
+        this.participants.delete(clientId);
+    }
+
+    /**
+     * Remove all remote participants (e.g. after disconnecting)
+     */
+    clear() {
+        this.participants.forEach(participant => this.disposeParticipant(participant));
+        this.participants.clear();
+    }
+
+    /**
+     * Recompute selection outlines after board content moved or was deleted
+     */
+    refreshSelections() {
+        this.participants.forEach(participant => this.updateSelection(participant));
+    }
+
+    /**
+     * Keep cursor markers the same size on screen
+     * @param {number} viewHeight - Visible board height in world units
+     */
+    setViewSize(viewHeight) {
+        this.markerScale = viewHeight * 0.02;
+        this.participants.forEach(participant => {
+            if (participant.cursor) {
+                participant.cursor.scale.setScalar(this.markerScale);
+            }
+        });
+    }
+
+    /**
+     * Show or hide VR avatars (only meaningful while in VR)
+     */
+    setAvatarsVisible(visible) {
+        this.avatarsVisible = visible;
+        this.participants.forEach(participant => {
+            if (participant.avatar) {
+                participant.avatar.visible = visible;
+            }
+        });
+    }
+
+    /**
+     * Named cursor marker
+     */
+    updateCursor(participant) {
+        const { cursor, color, name } = participant.state;
+
+        if (!cursor) {
+            if (participant.cursor) participant.cursor.visible = false;
+            return;
+        }
+
+        if (!participant.cursor) {
+            participant.cursor = this.createCursor(color, name);
+            this.parent.add(participant.cursor);
+        }
+
+        participant.cursor.position.fromArray(cursor);
+        participant.cursor.scale.setScalar(this.markerScale);
+        participant.cursor.visible = true;
+    }
+
+    /**
+     * Dot with a name label, one unit in size (scaled by markerScale)
+     */
+    createCursor(color, name) {
+        const group = new THREE.Group();
+
+        const dot = new THREE.Mesh(
+            new THREE.CircleGeometry(0.3, 24),
+            new THREE.MeshBasicMaterial({ color: color, transparent: true, depthTest: false })
+        );
+        dot.renderOrder = 1001;
+        group.add(dot);
+
+        const label = this.createLabel(name, color);
+        label.position.set(0.5 + label.scale.x / 2, -0.5, 0);
+        group.add(label);
+
+        return group;
+    }
+
+    /**
+     * Text sprite on a colored background, one unit high
+     */
+    createLabel(text, color) {
+        const fontSize = 32;
+        const padding = 8;
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        context.font = `${fontSize}px sans-serif`;
+        canvas.width = Math.ceil(context.measureText(text).width) + padding * 2;
+        canvas.height = fontSize + padding * 2;
+
+        context.fillStyle = color;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.font = `${fontSize}px sans-serif`;
+        context.fillStyle = '#ffffff';
+        context.textBaseline = 'middle';
+        context.fillText(text, padding, canvas.height / 2);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false }));
+        sprite.scale.set(canvas.width / canvas.height, 1, 1);
+        sprite.renderOrder = 1001;
+
+        return sprite;
+    }
+
+    /**
+     * Stroke being drawn: appends the streamed points to the ones received before
+     */
+    updateStroke(participant) {
+        const stroke = participant.state.stroke;
+
+        if (!stroke) {
+            participant.strokeSeq = null;
+            if (participant.stroke) participant.stroke.visible = false;
+            return;
+        }
+
+        if (!participant.stroke) {
+            participant.stroke = new THREE.Line(
+                new THREE.BufferGeometry(),
+                new THREE.LineBasicMaterial({ transparent: true, opacity: 0.8, depthTest: false })
+            );
+            participant.stroke.renderOrder = 999;
+            participant.stroke.frustumCulled = false;
+            participant.strokeSeq = null;
+            this.parent.add(participant.stroke);
+        }
+
+        if (participant.strokeSeq !== stroke.seq) {
+            // A new stroke (or one joined midway, which starts at its first received point)
+            participant.strokeSeq = stroke.seq;
+            participant.strokeStart = stroke.start;
+            participant.strokeCount = 0;
+            participant.stroke.material.color.set(stroke.color);
+        }
+
+        // Skip points already received (the whole stroke is resent after reconnecting)
+        const received = participant.strokeStart + participant.strokeCount;
+        const skip = Math.max(0, received - stroke.start);
+        this.appendStrokePoints(participant, stroke.points, skip * 3);
+
+        participant.stroke.geometry.setDrawRange(0, participant.strokeCount);
+        participant.stroke.visible = participant.strokeCount >= 2;
+    }
+
+    /**
+     * Append flat [x, y, z, ...] values to a participant's stroke line, growing its buffer by doubling
+     */
+    appendStrokePoints(participant, values, offset) {
+        const count = (values.length - offset) / 3;
+        if (count <= 0) return;
+
+        let attribute = participant.stroke.geometry.getAttribute('position');
+        const needed = participant.strokeCount + count;
+
+        if (!attribute || attribute.count < needed) {
+            const capacity = Math.max(256, attribute ? attribute.count * 2 : 0, needed);
+            const array = new Float32Array(capacity * 3);
+            if (attribute) array.set(attribute.array.subarray(0, participant.strokeCount * 3));
+            attribute = new THREE.BufferAttribute(array, 3);
+            attribute.setUsage(THREE.DynamicDrawUsage);
+
+            // A new geometry, so the old buffer is released on the GPU
+            participant.stroke.geometry.dispose();
+            participant.stroke.geometry = new THREE.BufferGeometry();
+            participant.stroke.geometry.setAttribute('position', attribute);
+        } else {
+            attribute.addUpdateRange(participant.strokeCount * 3, count * 3);
+        }
+
+        attribute.array.set(values.slice(offset), participant.strokeCount * 3);
+        attribute.needsUpdate = true;
+        participant.strokeCount = needed;
+    }
+
+    /**
+     * Tinted outline around the participant's selection
+     */
+    updateSelection(participant) {
+        const items = (participant.state.selection || [])
+            .map(id => this.strokeManager.getStrokeById(id) || this.imageManager.getImageById(id))
+            .filter(item => item);
+
+        if (items.length === 0) {
+            if (participant.selectionBox) participant.selectionBox.visible = false;
+            return;
+        }
+
+        if (!participant.selectionBox) {
+            participant.selectionBox = new THREE.Line(
+                new THREE.BufferGeometry(),
+                new THREE.LineBasicMaterial({ color: participant.state.color, transparent: true, depthTest: false })
+            );
+            participant.selectionBox.renderOrder = 1000;
+            this.parent.add(participant.selectionBox);
+        }
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        items.forEach(item => {
+            const padding = item.type === 'image' ? 0 : item.width;
+            item.points.forEach(point => {
+                minX = Math.min(minX, point.x - padding);
+                minY = Math.min(minY, point.y - padding);
+                maxX = Math.max(maxX, point.x + padding);
+                maxY = Math.max(maxY, point.y + padding);
+            });
+        });
+
+        const z = items[0].points[0].z;
+        participant.selectionBox.geometry.setFromPoints([
+            new THREE.Vector3(minX, minY, z),
+            new THREE.Vector3(maxX, minY, z),
+            new THREE.Vector3(maxX, maxY, z),
+            new THREE.Vector3(minX, maxY, z),
+            new THREE.Vector3(minX, minY, z)
+        ]);
+        participant.selectionBox.visible = true;
+    }
+
+    /**
+     * Head and controller avatar (VR participants)
+     */
+    updateAvatar(participant) {
+        const avatarState = participant.state.avatar;
+
+        if (!avatarState) {
+            if (participant.avatar) participant.avatar.visible = false;
+            return;
+        }
+
+        if (!participant.avatar) {
+            participant.avatar = this.createAvatar(participant.state.color, participant.state.name);
+            this.parent.add(participant.avatar);
+        }
+
+        const { head, left, right } = participant.avatar.userData;
+        this.applyPose(head, avatarState.head);
+        this.applyPose(left, avatarState.left);
+        this.applyPose(right, avatarState.right);
+        participant.avatar.visible = this.avatarsVisible;
+    }
+
+    /**
+     * Box head with a name label and two controller boxes
+     */
+    createAvatar(color, name) {
+        const material = new THREE.MeshBasicMaterial({ color: color });
+        const group = new THREE.Group();
+
+        const head = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.2, 0.2), material);
+        const label = this.createLabel(name, color);
+        label.scale.multiplyScalar(0.08);
+        label.position.set(0, 0.18, 0);
+        head.add(label);
+
+        const handGeometry = new THREE.BoxGeometry(0.05, 0.05, 0.12);
+        const left = new THREE.Mesh(handGeometry, material);
+        const right = new THREE.Mesh(handGeometry, material);
+
+        group.add(head, left, right);
+        group.userData = { head, left, right };
+
+        return group;
+    }
+
+    /**
+     * Place an avatar part from a whiteboard-space pose, hiding it when there is none
+     */
+    applyPose(object, pose) {
+        object.visible = !!pose;
+        if (!pose) return;
+
+        object.position.fromArray(pose.position);
+        object.quaternion.fromArray(pose.quaternion);
+    }
+
+    /**
+     * Convert a world-space object's pose into whiteboard space
+     */
+    toLocalPose(object) {
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        object.getWorldPosition(position);
+        object.getWorldQuaternion(quaternion);
+
+        const parentQuaternion = new THREE.Quaternion();
+        this.parent.getWorldQuaternion(parentQuaternion);
+
+        return {
+            position: this.toArray(this.parent.worldToLocal(position)),
+            quaternion: parentQuaternion.invert().multiply(quaternion).toArray().map(value => this.round(value))
+        };
+    }
+
+    /**
+     * Vector as a rounded array (keeps messages small)
+     */
+    toArray(vector) {
+        return [this.round(vector.x), this.round(vector.y), this.round(vector.z)];
+    }
+
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    /**
+     * Remove and dispose all visuals of a participant
+     */
+    disposeParticipant(participant) {
+        ['cursor', 'stroke', 'selectionBox', 'avatar'].forEach(key => {
+            const object = participant[key];
+            if (!object) return;
+
+            if (object.parent) object.parent.remove(object);
+            object.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) {
+                    if (child.material.map) child.material.map.dispose();
+                    child.material.dispose();
+                }
+            });
+            participant[key] = null;
+        });
+    }
+}
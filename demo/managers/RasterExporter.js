@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+import { calculateContentBounds } from './ContentBounds.js';
+
+/**
+ * Exports whiteboard content as PNG/JPEG at a chosen resolution
+ * Renders the existing scene (and stroke ShaderMaterials) with an offscreen
+ * renderer and orthographic cameras sized to the export, independent of
+ * the window size. Large exports are rendered in tiles no bigger than the
+ * GPU's maximum texture/renderbuffer size and stitched on a 2D canvas.
+ */
+export class RasterExporter {
+    constructor(whiteboardScene, selectionManager, strokeManager) {
+        this.whiteboardScene = whiteboardScene;
+        this.selectionManager = selectionManager;
+        this.strokeManager = strokeManager;
+
+        this.unitSize = 100; // Millimeters per world unit (same as PDF actual-size export)
+        this.margin = 0.05; // World units around board/selection content
+        this.maxTileSize = 4096; // Upper bound on tile size to keep GPU memory bounded
+        this.maxOutputSize = 16384; // Browsers refuse larger canvases
+    }
+
+    /**
+     * Render content to an image file
+     * @param {Array<Object>} items - Strokes and images to draw
+     * @param {Object} options - Export options
+     * @param {string} options.region - 'all' (content bounds), 'viewport' or 'selection'
+     * @param {string} options.format - 'png' or 'jpeg'
+     * @param {number} options.dpi - Resolution relative to unitSize (used when pixelWidth is not set)
+     * @param {number} options.pixelWidth - Output width in pixels (height follows the region's aspect)
+     * @param {string} options.background - 'white' or 'transparent' (JPEG is always white)
+     * @param {number} options.quality - JPEG quality 0-1
+     * @returns {Promise<Blob>} Image file
+     */
+    async export(items, options = {}) {
+        const {
+            region = 'all',
+            format = 'png',
+            dpi = 150,
+            pixelWidth = null,
+            background = 'white',
+            quality = 0.92
+        } = options;
+
+        if (this.whiteboardScene.isInVRMode()) {
+            throw new Error('Image export is not available in VR mode');
+        }
+
+        if (items.length === 0) {
+            throw new Error('Nothing to export');
+        }
+
+        const bounds = this.getRegionBounds(region, items);
+        const regionWidth = bounds.maxX - bounds.minX;
+        const regionHeight = bounds.maxY - bounds.minY;
+
+        const pixelsPerUnit = pixelWidth
+            ? pixelWidth / regionWidth
+            : dpi * this.unitSize / 25.4;
+        const width = Math.max(1, Math.round(regionWidth * pixelsPerUnit));
+        const height = Math.max(1, Math.round(regionHeight * pixelsPerUnit));
+
+        if (width > this.maxOutputSize || height > this.maxOutputSize) {
+            throw new Error(`Image would be ${width}×${height} px; the maximum is ${this.maxOutputSize} px per side`);
+        }
+
+        const transparent = background === 'transparent' && format === 'png';
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        if (!transparent) {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        this.renderTiles(items, bounds, width, height, ctx, transparent);
+
+        const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Failed to encode image'));
+                }
+            }, mimeType, quality);
+        });
+    }
+
+    /**
+     * Get the world-space rectangle to export
+     */
+    getRegionBounds(region, items) {
+        if (region === 'viewport') {
+            const camera = this.whiteboardScene.desktopCamera;
+            return {
+                minX: camera.position.x + camera.left / camera.zoom,
+                maxX: camera.position.x + camera.right / camera.zoom,
+                minY: camera.position.y + camera.bottom / camera.zoom,
+                maxY: camera.position.y + camera.top / camera.zoom
+            };
+        }
+
+        // Selection uses the same bounds (and padding) as the selection box
+        const bounds = region === 'selection'
+            ? this.selectionManager.calculateBounds(items)
+            : calculateContentBounds(items);
+
+        return {
+            minX: bounds.minX - this.margin,
+            maxX: bounds.maxX + this.margin,
+            minY: bounds.minY - this.margin,
+            maxY: bounds.maxY + this.margin
+        };
+    }
+
+    /**
+     * Render the region tile by tile and draw each tile onto the output canvas
+     */
+    renderTiles(items, bounds, width, height, ctx, transparent) {
+        const scene = this.whiteboardScene.getScene();
+        const whiteboard = this.whiteboardScene.getWhiteboard();
+        const desktopCamera = this.whiteboardScene.desktopCamera;
+
+        // Separate renderer: its own canvas is sized per tile, so the on-screen
+        // renderer, camera and window-size handling are left untouched
+        const renderer = new THREE.WebGLRenderer({
+            antialias: true,
+            alpha: true,
+            preserveDrawingBuffer: true
+        });
+        renderer.setPixelRatio(1);
+        renderer.sortObjects = true;
+        renderer.setClearColor(0xffffff, transparent ? 0 : 1);
+
+        const gl = renderer.getContext();
+        const viewportDims = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const tileSize = Math.min(
+            this.maxTileSize,
+            renderer.capabilities.maxTextureSize,
+            gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+            viewportDims[0],
+            viewportDims[1]
+        );
+
+        const camera = new THREE.OrthographicCamera(0, 1, 1, 0, desktopCamera.near, desktopCamera.far);
+        camera.position.set(0, 0, desktopCamera.position.z);
+        camera.lookAt(0, 0, 0);
+
+        const restoreScene = this.isolateContent(scene, whiteboard, items, transparent);
+        const pixelsPerUnitX = width / (bounds.maxX - bounds.minX);
+        const pixelsPerUnitY = height / (bounds.maxY - bounds.minY);
+
+        try {
+            for (let y0 = 0; y0 < height; y0 += tileSize) {
+                for (let x0 = 0; x0 < width; x0 += tileSize) {
+                    const tileWidth = Math.min(tileSize, width - x0);
+                    const tileHeight = Math.min(tileSize, height - y0);
+
+                    // Tile rectangle in world units (canvas y grows downwards)
+                    camera.left = bounds.minX + x0 / pixelsPerUnitX;
+                    camera.right = bounds.minX + (x0 + tileWidth) / pixelsPerUnitX;
+                    camera.top = bounds.maxY - y0 / pixelsPerUnitY;
+                    camera.bottom = bounds.maxY - (y0 + tileHeight) / pixelsPerUnitY;
+                    camera.updateProjectionMatrix();
+
+                    renderer.setSize(tileWidth, tileHeight, false);
+                    renderer.render(scene, camera);
+                    ctx.drawImage(renderer.domElement, 0, 0, tileWidth, tileHeight, x0, y0, tileWidth, tileHeight);
+                }
+            }
+        } finally {
+            restoreScene();
+            renderer.dispose();
+            renderer.forceContextLoss();
+        }
+    }
+
+    /**
+     * Hide everything except the exported items (selection box, previews,
+     * debug points, whiteboard surface, VR environment)
+     * @returns {Function} Restores the scene to its previous state
+     */
+    isolateContent(scene, whiteboard, items, transparent) {
+        // Strokes share batch meshes, so strokes outside the export are hidden individually
+        const keep = new Set(this.strokeManager.getRenderMeshes());
+        const exportedItems = new Set(items);
+        items.forEach(item => {
+            if (item.mesh) keep.add(item.mesh);
+        });
+
+        const hiddenStrokes = this.strokeManager.getStrokes().filter(stroke =>
+            !exportedItems.has(stroke) && this.strokeManager.isStrokeVisible(stroke)
+        );
+        hiddenStrokes.forEach(stroke => this.strokeManager.setStrokeVisible(stroke, false));
+
+        // Chunks are culled for the window's camera; draw all of them for the export cameras
+        this.strokeManager.updateRendering();
+
+        const hidden = [];
+        scene.traverse(object => {
+            if (object === whiteboard || !object.visible) return;
+            if ((object.isMesh || object.isLine || object.isPoints || object.isSprite) && !keep.has(object)) {
+                object.visible = false;
+                hidden.push(object);
+            }
+        });
+
+        // The whiteboard holds the content as children, so only its surface is hidden
+        const boardMaterialVisible = whiteboard.material.visible;
+        whiteboard.material.visible = false;
+
+        const sceneBackground = scene.background;
+        scene.background = transparent ? null : new THREE.Color(0xffffff);
+
+        return () => {
+            hidden.forEach(object => {
+                object.visible = true;
+            });
+            hiddenStrokes.forEach(stroke => this.strokeManager.setStrokeVisible(stroke, true));
+            whiteboard.material.visible = boardMaterialVisible;
+            scene.background = sceneBackground;
+        };
+    }
+}
@@ -0,0 +1,131 @@
+import { BezierConverter } from '../BezierConverter.js';
+import { calculateContentBounds } from './ContentBounds.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Exports whiteboard content (strokes and images) as an SVG document
+ * Strokes become native cubic Bezier paths, images are embedded as DataURLs
+ */
+export class SVGExporter {
+    constructor(imageManager) {
+        this.imageManager = imageManager;
+
+        this.pixelsPerUnit = 200; // SVG width/height in px per world unit
+        this.margin = 0.05; // World units around the content
+        this.precision = 5; // Decimal places for coordinates
+    }
+
+    /**
+     * Build an SVG document for the given strokes and images
+     * @param {Array<Object>} items - Strokes and images to export
+     * @returns {Promise<string>} SVG markup
+     */
+    async export(items) {
+        if (items.length === 0) {
+            throw new Error('Nothing to export');
+        }
+
+        const bounds = calculateContentBounds(items);
+        bounds.minX -= this.margin;
+        bounds.minY -= this.margin;
+        bounds.maxX += this.margin;
+        bounds.maxY += this.margin;
+
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+
+        // Paint order follows z-index (lowest first)
+        const sortedItems = items.slice().sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+
+        const elements = [];
+        for (const item of sortedItems) {
+            const element = item.type === 'image'
+                ? await this.imageToSVG(item, bounds)
+                : this.strokeToSVG(item, bounds);
+            if (element) {
+                elements.push(element);
+            }
+        }
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="${SVG_NS}" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+                `width="${this.format(width * this.pixelsPerUnit)}" height="${this.format(height * this.pixelsPerUnit)}" ` +
+                `viewBox="0 0 ${this.format(width)} ${this.format(height)}">`,
+            ...elements.map(element => '  ' + element),
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * Convert a stroke into a <path> of cubic Bezier commands
+     */
+    strokeToSVG(stroke, bounds) {
+        const segments = BezierConverter.createSegment(stroke.points);
+        if (segments.length === 0) return null;
+
+        const toX = (x) => this.format(x - bounds.minX);
+        const toY = (y) => this.format(bounds.maxY - y); // SVG y axis points down
+        const curveTo = (segment) =>
+            `C${toX(segment.p1.x)} ${toY(segment.p1.y)} ` +
+            `${toX(segment.p2.x)} ${toY(segment.p2.y)} ` +
+            `${toX(segment.p3.x)} ${toY(segment.p3.y)}`;
+
+        const color = stroke.color;
+        const strokeWidth = stroke.width;
+        const paint = `fill="none" stroke="#${color.getHexString()}" stroke-linecap="round" stroke-linejoin="round"`;
+
+        // SVG strokes have a single width, so pressure-sensitive strokes are written
+        // as one path per segment at the segment's average width
+        if (stroke.widthScales) {
+            const paths = segments.map((segment, i) => {
+                const scale = (stroke.widthScales[i] + stroke.widthScales[i + 1]) / 2;
+                return `<path d="M${toX(segment.p0.x)} ${toY(segment.p0.y)} ${curveTo(segment)}" ` +
+                    `stroke-width="${this.format(strokeWidth * 2 * scale)}"/>`;
+            });
+            return `<g ${paint}>${paths.join('')}</g>`;
+        }
+
+        const commands = [`M${toX(segments[0].p0.x)} ${toY(segments[0].p0.y)}`];
+        segments.forEach(segment => {
+            commands.push(curveTo(segment));
+        });
+
+        // The shader offsets strokeWidth to each side and draws caps of radius strokeWidth,
+        // which is exactly an SVG stroke of twice the width with round caps
+        return `<path d="${commands.join(' ')}" ${paint} stroke-width="${this.format(strokeWidth * 2)}"/>`;
+    }
+
+    /**
+     * Convert an image into an embedded <image>
+     */
+    async imageToSVG(image, bounds) {
+        const dataURL = await this.imageManager.getImageDataURL(image);
+
+        const centerX = image.mesh.position.x - bounds.minX;
+        const centerY = bounds.maxY - image.mesh.position.y;
+        const x = centerX - image.width / 2;
+        const y = centerY - image.height / 2;
+
+        // Mirror around the image center to honor flip state
+        let transform = '';
+        if (image.isFlippedX || image.isFlippedY) {
+            const scaleX = image.isFlippedX ? -1 : 1;
+            const scaleY = image.isFlippedY ? -1 : 1;
+            transform = ` transform="translate(${this.format(centerX)} ${this.format(centerY)}) ` +
+                `scale(${scaleX} ${scaleY}) translate(${this.format(-centerX)} ${this.format(-centerY)})"`;
+        }
+
+        return `<image x="${this.format(x)}" y="${this.format(y)}" ` +
+            `width="${this.format(image.width)}" height="${this.format(image.height)}" ` +
+            `preserveAspectRatio="none" href="${dataURL}" xlink:href="${dataURL}"${transform}/>`;
+    }
+
+    /**
+     * Format a number with limited precision and no trailing zeros
+     */
+    format(value) {
+        return String(Number(value.toFixed(this.precision)));
+    }
+}
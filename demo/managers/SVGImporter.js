@@ -0,0 +1,796 @@
+import * as THREE from 'three';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Elements converted into strokes
+ */
+const SHAPE_TAGS = new Set(['path', 'line', 'polyline', 'polygon', 'rect', 'circle', 'ellipse']);
+
+/**
+ * Elements whose children are walked as part of the drawing
+ */
+const CONTAINER_TAGS = new Set(['svg', 'g', 'a', 'switch']);
+
+/**
+ * Elements that never render directly (definitions and metadata); skipped silently
+ */
+const IGNORED_TAGS = new Set([
+    'defs', 'symbol', 'clipPath', 'mask', 'marker', 'pattern', 'linearGradient',
+    'radialGradient', 'filter', 'style', 'script', 'title', 'desc', 'metadata'
+]);
+
+/**
+ * Presentation properties inherited by child elements
+ */
+const INHERITED_PROPERTIES = ['stroke', 'stroke-width', 'fill', 'color', 'visibility'];
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Imports SVG drawings as native strokes
+ * Shapes are converted to line and cubic Bezier segments, transforms are
+ * flattened, and each subpath is sampled into points for StrokeManager.createStroke,
+ * so imported shapes behave exactly like hand-drawn strokes.
+ */
+export class SVGImporter {
+    constructor(strokeManager) {
+        this.strokeManager = strokeManager;
+
+        this.targetSize = 2; // World units for the larger side of the imported drawing
+        this.sampleSpacing = 0.005; // World units between sampled stroke points
+        this.minStrokeWidth = 0.001; // Hairlines stay visible
+        this.defaultFillOutlineWidth = 0.005; // Outline width for filled shapes without a stroke
+    }
+
+    /**
+     * Import an SVG file
+     * @param {File} file - SVG file
+     * @param {THREE.Vector3} position - World position of the drawing's center
+     * @returns {Promise<Object>} Summary { strokes, unsupported, outlinedFills }
+     */
+    async importFile(file, position) {
+        const text = await file.text();
+        return this.importText(text, position);
+    }
+
+    /**
+     * Import SVG markup
+     * @param {string} text - SVG markup
+     * @param {THREE.Vector3} position - World position of the drawing's center
+     * @returns {Object} Summary { strokes, unsupported, outlinedFills }
+     *   unsupported maps element names to the number of elements skipped
+     */
+    importText(text, position) {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const root = doc.documentElement;
+
+        if (doc.getElementsByTagName('parsererror').length > 0 || root.localName !== 'svg') {
+            throw new Error('Not a valid SVG file');
+        }
+
+        const summary = {
+            strokes: [],
+            unsupported: {},
+            outlinedFills: 0
+        };
+
+        const shapes = [];
+        this.collectShapes(root, IDENTITY, {}, shapes, summary);
+
+        if (shapes.length === 0) {
+            return summary;
+        }
+
+        // Fit the drawing to targetSize, centered on the given position
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        shapes.forEach(shape => {
+            shape.subpaths.forEach(subpath => {
+                subpath.forEach(segment => {
+                    segment.points.forEach(point => {
+                        minX = Math.min(minX, point.x);
+                        minY = Math.min(minY, point.y);
+                        maxX = Math.max(maxX, point.x);
+                        maxY = Math.max(maxY, point.y);
+                    });
+                });
+            });
+        });
+
+        const size = Math.max(maxX - minX, maxY - minY);
+        const scale = size > 0 ? this.targetSize / size : 1;
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+
+        // SVG y axis points down
+        const toWorld = (point) => ({
+            x: position.x + (point.x - centerX) * scale,
+            y: position.y - (point.y - centerY) * scale
+        });
+
+        shapes.forEach(shape => {
+            // Stroke width is the full SVG width; stroke.width is the half width
+            const width = shape.strokeWidth === null
+                ? this.defaultFillOutlineWidth
+                : Math.max(this.minStrokeWidth, shape.strokeWidth * scale / 2);
+
+            shape.subpaths.forEach(subpath => {
+                const worldSegments = subpath.map(segment => ({
+                    type: segment.type,
+                    points: segment.points.map(toWorld)
+                }));
+                const points = this.sampleSubpath(worldSegments, position.z);
+                if (!points) return;
+
+                const stroke = this.strokeManager.createStroke(points, {
+                    width: width,
+                    color: shape.color.clone()
+                });
+                if (stroke) {
+                    summary.strokes.push(stroke);
+                }
+            });
+        });
+
+        return summary;
+    }
+
+    /**
+     * Walk the element tree, resolving inherited styles and transforms
+     */
+    collectShapes(element, parentMatrix, parentStyle, shapes, summary) {
+        const tag = element.localName;
+
+        // Foreign (e.g. editor metadata) elements and definitions never render
+        if (element.namespaceURI !== SVG_NS || IGNORED_TAGS.has(tag)) return;
+
+        const style = this.resolveStyle(element, parentStyle);
+        if (style.display === 'none') return;
+
+        let matrix = this.multiply(parentMatrix, this.parseTransform(element.getAttribute('transform')));
+
+        if (CONTAINER_TAGS.has(tag)) {
+            // Nested viewports are positioned by x/y
+            if (tag === 'svg' && element !== element.ownerDocument.documentElement) {
+                matrix = this.multiply(matrix, [1, 0, 0, 1, this.attr(element, 'x'), this.attr(element, 'y')]);
+            }
+
+            for (const child of element.children) {
+                this.collectShapes(child, matrix, style, shapes, summary);
+            }
+            return;
+        }
+
+        if (!SHAPE_TAGS.has(tag)) {
+            summary.unsupported[tag] = (summary.unsupported[tag] || 0) + 1;
+            return;
+        }
+
+        if (style.visibility === 'hidden' || style.visibility === 'collapse') return;
+
+        // Strokes keep their paint; filled-only shapes become outlines in the fill color
+        let color = this.parsePaint(style.stroke, style.color);
+        let strokeWidth = this.parseLength(style['stroke-width'], 1);
+        if (!color || strokeWidth <= 0) {
+            // SVG fills default to black
+            color = this.parsePaint(style.fill === undefined ? 'black' : style.fill, style.color);
+            if (!color) return;
+            strokeWidth = null;
+        }
+
+        const subpaths = this.shapeToSubpaths(element, tag)
+            .map(subpath => subpath.map(segment => ({
+                type: segment.type,
+                points: segment.points.map(point => this.transformPoint(matrix, point))
+            })))
+            .filter(subpath => subpath.length > 0);
+
+        if (subpaths.length === 0) return;
+        if (strokeWidth === null) summary.outlinedFills++;
+
+        shapes.push({
+            subpaths: subpaths,
+            color: color,
+            // Scale the width by the transform's average scale factor (null = fill outline)
+            strokeWidth: strokeWidth === null
+                ? null
+                : strokeWidth * Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]))
+        });
+    }
+
+    /**
+     * Convert a shape element into subpaths of line/cubic segments (local coordinates)
+     * @returns {Array<Array<Object>>} Subpaths; each segment is { type: 'line'|'cubic', points }
+     */
+    shapeToSubpaths(element, tag) {
+        switch (tag) {
+            case 'path':
+                return this.parsePathData(element.getAttribute('d') || '');
+
+            case 'line':
+                return [[this.line(
+                    { x: this.attr(element, 'x1'), y: this.attr(element, 'y1') },
+                    { x: this.attr(element, 'x2'), y: this.attr(element, 'y2') }
+                )]];
+
+            case 'polyline':
+            case 'polygon': {
+                const numbers = this.parseNumberList(element.getAttribute('points') || '');
+                const points = [];
+                for (let i = 0; i + 1 < numbers.length; i += 2) {
+                    points.push({ x: numbers[i], y: numbers[i + 1] });
+                }
+                if (tag === 'polygon' && points.length > 2) {
+                    points.push(points[0]);
+                }
+                const segments = [];
+                for (let i = 1; i < points.length; i++) {
+                    segments.push(this.line(points[i - 1], points[i]));
+                }
+                return [segments];
+            }
+
+            case 'rect':
+                return [this.rectSegments(element)];
+
+            case 'circle': {
+                const r = this.attr(element, 'r');
+                return r > 0 ? [this.ellipseSegments(this.attr(element, 'cx'), this.attr(element, 'cy'), r, r)] : [];
+            }
+
+            case 'ellipse': {
+                const rx = this.attr(element, 'rx');
+                const ry = this.attr(element, 'ry');
+                return rx > 0 && ry > 0 ? [this.ellipseSegments(this.attr(element, 'cx'), this.attr(element, 'cy'), rx, ry)] : [];
+            }
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Rectangle outline, with rounded corners when rx/ry are set
+     */
+    rectSegments(element) {
+        const x = this.attr(element, 'x');
+        const y = this.attr(element, 'y');
+        const width = this.attr(element, 'width');
+        const height = this.attr(element, 'height');
+        if (width <= 0 || height <= 0) return [];
+
+        // A missing rx/ry takes the value of the other one
+        const hasRx = element.hasAttribute('rx');
+        const hasRy = element.hasAttribute('ry');
+        let rx = hasRx ? this.attr(element, 'rx') : this.attr(element, 'ry');
+        let ry = hasRy ? this.attr(element, 'ry') : this.attr(element, 'rx');
+        rx = Math.min(Math.max(rx, 0), width / 2);
+        ry = Math.min(Math.max(ry, 0), height / 2);
+
+        const p = (px, py) => ({ x: px, y: py });
+        if (rx === 0 || ry === 0) {
+            return [
+                this.line(p(x, y), p(x + width, y)),
+                this.line(p(x + width, y), p(x + width, y + height)),
+                this.line(p(x + width, y + height), p(x, y + height)),
+                this.line(p(x, y + height), p(x, y))
+            ];
+        }
+
+        const k = 0.5522847498; // Cubic approximation of a quarter circle
+        const right = x + width;
+        const bottom = y + height;
+        return [
+            this.line(p(x + rx, y), p(right - rx, y)),
+            this.cubic(p(right - rx, y), p(right - rx + rx * k, y), p(right, y + ry - ry * k), p(right, y + ry)),
+            this.line(p(right, y + ry), p(right, bottom - ry)),
+            this.cubic(p(right, bottom - ry), p(right, bottom - ry + ry * k), p(right - rx + rx * k, bottom), p(right - rx, bottom)),
+            this.line(p(right - rx, bottom), p(x + rx, bottom)),
+            this.cubic(p(x + rx, bottom), p(x + rx - rx * k, bottom), p(x, bottom - ry + ry * k), p(x, bottom - ry)),
+            this.line(p(x, bottom - ry), p(x, y + ry)),
+            this.cubic(p(x, y + ry), p(x, y + ry - ry * k), p(x + rx - rx * k, y), p(x + rx, y))
+        ];
+    }
+
+    /**
+     * Ellipse outline as four cubic arcs, starting at the rightmost point
+     */
+    ellipseSegments(cx, cy, rx, ry) {
+        const k = 0.5522847498;
+        const p = (px, py) => ({ x: px, y: py });
+        return [
+            this.cubic(p(cx + rx, cy), p(cx + rx, cy + ry * k), p(cx + rx * k, cy + ry), p(cx, cy + ry)),
+            this.cubic(p(cx, cy + ry), p(cx - rx * k, cy + ry), p(cx - rx, cy + ry * k), p(cx - rx, cy)),
+            this.cubic(p(cx - rx, cy), p(cx - rx, cy - ry * k), p(cx - rx * k, cy - ry), p(cx, cy - ry)),
+            this.cubic(p(cx, cy - ry), p(cx + rx * k, cy - ry), p(cx + rx, cy - ry * k), p(cx + rx, cy))
+        ];
+    }
+
+    /**
+     * Parse SVG path data into subpaths of line/cubic segments
+     * Supports all commands (absolute and relative); quadratics are raised
+     * to cubics and elliptical arcs are approximated by cubics
+     */
+    parsePathData(d) {
+        const subpaths = [];
+        let segments = null;
+        let current = { x: 0, y: 0 };
+        let start = { x: 0, y: 0 };
+        let lastControl = null; // Reflection point for S/T
+        let lastCommand = '';
+
+        let index = 0;
+        const skipSeparators = () => {
+            while (index < d.length && /[\s,]/.test(d[index])) index++;
+        };
+        const readNumber = () => {
+            skipSeparators();
+            const match = /^[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/.exec(d.slice(index));
+            if (!match) throw new Error(`Invalid path data near "${d.slice(index, index + 10)}"`);
+            index += match[0].length;
+            return parseFloat(match[0]);
+        };
+        // Arc flags may be written without separators ("a1 1 0 011 1")
+        const readFlag = () => {
+            skipSeparators();
+            const flag = d[index];
+            if (flag !== '0' && flag !== '1') throw new Error('Invalid arc flag in path data');
+            index++;
+            return flag === '1';
+        };
+        const beginSubpath = () => {
+            if (segments && segments.length > 0) subpaths.push(segments);
+            segments = [];
+        };
+        const ensureSubpath = () => {
+            if (!segments) segments = [];
+        };
+
+        while (true) {
+            skipSeparators();
+            if (index >= d.length) break;
+
+            let command = d[index];
+            if (/[a-zA-Z]/.test(command)) {
+                index++;
+            } else if (lastCommand && lastCommand.toUpperCase() !== 'Z') {
+                // Implicit repetition; extra moveto pairs are treated as lineto
+                command = lastCommand === 'M' ? 'L' : lastCommand === 'm' ? 'l' : lastCommand;
+            } else {
+                throw new Error(`Invalid path data near "${d.slice(index, index + 10)}"`);
+            }
+
+            const relative = command === command.toLowerCase();
+            const base = relative ? { ...current } : { x: 0, y: 0 };
+            const readPoint = () => ({ x: base.x + readNumber(), y: base.y + readNumber() });
+            let control = null;
+
+            switch (command.toUpperCase()) {
+                case 'M':
+                    beginSubpath();
+                    current = readPoint();
+                    start = { ...current };
+                    break;
+
+                case 'L': {
+                    ensureSubpath();
+                    const point = readPoint();
+                    segments.push(this.line(current, point));
+                    current = point;
+                    break;
+                }
+
+                case 'H': {
+                    ensureSubpath();
+                    const point = { x: base.x + readNumber(), y: current.y };
+                    segments.push(this.line(current, point));
+                    current = point;
+                    break;
+                }
+
+                case 'V': {
+                    ensureSubpath();
+                    const point = { x: current.x, y: base.y + readNumber() };
+                    segments.push(this.line(current, point));
+                    current = point;
+                    break;
+                }
+
+                case 'C': {
+                    ensureSubpath();
+                    const c1 = readPoint();
+                    const c2 = readPoint();
+                    const point = readPoint();
+                    segments.push(this.cubic(current, c1, c2, point));
+                    control = c2;
+                    current = point;
+                    break;
+                }
+
+                case 'S': {
+                    ensureSubpath();
+                    const c1 = /[CcSs]/.test(lastCommand) && lastControl
+                        ? { x: 2 * current.x - lastControl.x, y: 2 * current.y - lastControl.y }
+                        : { ...current };
+                    const c2 = readPoint();
+                    const point = readPoint();
+                    segments.push(this.cubic(current, c1, c2, point));
+                    control = c2;
+                    current = point;
+                    break;
+                }
+
+                case 'Q': {
+                    ensureSubpath();
+                    const q = readPoint();
+                    const point = readPoint();
+                    segments.push(this.quadratic(current, q, point));
+                    control = q;
+                    current = point;
+                    break;
+                }
+
+                case 'T': {
+                    ensureSubpath();
+                    const q = /[QqTt]/.test(lastCommand) && lastControl
+                        ? { x: 2 * current.x - lastControl.x, y: 2 * current.y - lastControl.y }
+                        : { ...current };
+                    const point = readPoint();
+                    segments.push(this.quadratic(current, q, point));
+                    control = q;
+                    current = point;
+                    break;
+                }
+
+                case 'A': {
+                    ensureSubpath();
+                    const rx = readNumber();
+                    const ry = readNumber();
+                    const rotation = readNumber();
+                    const largeArc = readFlag();
+                    const sweep = readFlag();
+                    const point = readPoint();
+                    segments.push(...this.arcToCubics(current, point, rx, ry, rotation, largeArc, sweep));
+                    current = point;
+                    break;
+                }
+
+                case 'Z':
+                    ensureSubpath();
+                    if (current.x !== start.x || current.y !== start.y) {
+                        segments.push(this.line(current, start));
+                    }
+                    current = { ...start };
+                    break;
+
+                default:
+                    throw new Error(`Unknown path command "${command}"`);
+            }
+
+            lastControl = control;
+            lastCommand = command;
+        }
+
+        if (segments && segments.length > 0) subpaths.push(segments);
+        return subpaths;
+    }
+
+    /**
+     * Approximate an SVG elliptical arc with cubic segments (SVG spec F.6.5)
+     */
+    arcToCubics(from, to, rx, ry, rotation, largeArc, sweep) {
+        if (from.x === to.x && from.y === to.y) return [];
+
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0) return [this.line(from, to)];
+
+        const phi = rotation * Math.PI / 180;
+        const cosPhi = Math.cos(phi);
+        const sinPhi = Math.sin(phi);
+
+        // Step 1: compute (x1', y1')
+        const dx = (from.x - to.x) / 2;
+        const dy = (from.y - to.y) / 2;
+        const x1 = cosPhi * dx + sinPhi * dy;
+        const y1 = -sinPhi * dx + cosPhi * dy;
+
+        // Scale up radii that are too small to reach the end point
+        const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) {
+            const factor = Math.sqrt(lambda);
+            rx *= factor;
+            ry *= factor;
+        }
+
+        // Step 2: compute the center (cx', cy')
+        const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+        let coefficient = Math.sqrt(Math.max(0, numerator / denominator));
+        if (largeArc === sweep) coefficient = -coefficient;
+        const cxPrime = coefficient * rx * y1 / ry;
+        const cyPrime = -coefficient * ry * x1 / rx;
+
+        // Step 3: center in user space
+        const cx = cosPhi * cxPrime - sinPhi * cyPrime + (from.x + to.x) / 2;
+        const cy = sinPhi * cxPrime + cosPhi * cyPrime + (from.y + to.y) / 2;
+
+        // Step 4: start angle and sweep
+        const angle = (ux, uy, vx, vy) => {
+            const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+            const dot = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+            return sign * Math.acos(Math.min(1, Math.max(-1, dot)));
+        };
+        const theta1 = angle(1, 0, (x1 - cxPrime) / rx, (y1 - cyPrime) / ry);
+        let deltaTheta = angle(
+            (x1 - cxPrime) / rx, (y1 - cyPrime) / ry,
+            (-x1 - cxPrime) / rx, (-y1 - cyPrime) / ry
+        );
+        if (!sweep && deltaTheta > 0) deltaTheta -= 2 * Math.PI;
+        if (sweep && deltaTheta < 0) deltaTheta += 2 * Math.PI;
+
+        // Split into pieces of at most 90 degrees
+        const pieceCount = Math.ceil(Math.abs(deltaTheta) / (Math.PI / 2));
+        const pieceAngle = deltaTheta / pieceCount;
+        const k = 4 / 3 * Math.tan(pieceAngle / 4);
+
+        const pointAt = (theta) => ({
+            x: cx + rx * Math.cos(theta) * cosPhi - ry * Math.sin(theta) * sinPhi,
+            y: cy + rx * Math.cos(theta) * sinPhi + ry * Math.sin(theta) * cosPhi
+        });
+        const derivativeAt = (theta) => ({
+            x: -rx * Math.sin(theta) * cosPhi - ry * Math.cos(theta) * sinPhi,
+            y: -rx * Math.sin(theta) * sinPhi + ry * Math.cos(theta) * cosPhi
+        });
+
+        const segments = [];
+        let theta = theta1;
+        let startPoint = from;
+        for (let i = 0; i < pieceCount; i++) {
+            const nextTheta = theta + pieceAngle;
+            const endPoint = i === pieceCount - 1 ? to : pointAt(nextTheta);
+            const d1 = derivativeAt(theta);
+            const d2 = derivativeAt(nextTheta);
+            segments.push(this.cubic(
+                startPoint,
+                { x: startPoint.x + k * d1.x, y: startPoint.y + k * d1.y },
+                { x: endPoint.x - k * d2.x, y: endPoint.y - k * d2.y },
+                endPoint
+            ));
+            theta = nextTheta;
+            startPoint = endPoint;
+        }
+
+        return segments;
+    }
+
+    /**
+     * Sample a subpath (world coordinates) into evenly spaced stroke points
+     * @returns {Array<THREE.Vector3>|null} At least 4 points, or null for degenerate subpaths
+     */
+    sampleSubpath(segments, z) {
+        const lengths = segments.map(segment => this.estimateLength(segment));
+        const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+        if (totalLength === 0) return null;
+
+        // Strokes need at least 4 points, i.e. 3 sample intervals overall
+        const spacing = Math.min(this.sampleSpacing, totalLength / 3);
+
+        const points = [];
+        segments.forEach((segment, index) => {
+            const count = Math.max(1, Math.ceil(lengths[index] / spacing));
+            if (lengths[index] === 0) return;
+
+            // Each segment contributes its end point; the subpath start is added once
+            const first = points.length === 0 ? 0 : 1;
+            for (let i = first; i <= count; i++) {
+                const point = this.evaluateSegment(segment, i / count);
+                points.push(new THREE.Vector3(point.x, point.y, z));
+            }
+        });
+
+        return points.length >= 4 ? points : null;
+    }
+
+    /**
+     * Approximate segment length (average of chord and control polygon for cubics)
+     */
+    estimateLength(segment) {
+        const p = segment.points;
+        const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+        if (segment.type === 'line') {
+            return distance(p[0], p[1]);
+        }
+        const chord = distance(p[0], p[3]);
+        const polygon = distance(p[0], p[1]) + distance(p[1], p[2]) + distance(p[2], p[3]);
+        return (chord + polygon) / 2;
+    }
+
+    /**
+     * Evaluate a segment at parameter t
+     */
+    evaluateSegment(segment, t) {
+        const p = segment.points;
+        if (segment.type === 'line') {
+            return {
+                x: p[0].x + (p[1].x - p[0].x) * t,
+                y: p[0].y + (p[1].y - p[0].y) * t
+            };
+        }
+        const u = 1 - t;
+        const a = u * u * u;
+        const b = 3 * u * u * t;
+        const c = 3 * u * t * t;
+        const e = t * t * t;
+        return {
+            x: a * p[0].x + b * p[1].x + c * p[2].x + e * p[3].x,
+            y: a * p[0].y + b * p[1].y + c * p[2].y + e * p[3].y
+        };
+    }
+
+    line(p0, p1) {
+        return { type: 'line', points: [{ ...p0 }, { ...p1 }] };
+    }
+
+    cubic(p0, p1, p2, p3) {
+        return { type: 'cubic', points: [{ ...p0 }, { ...p1 }, { ...p2 }, { ...p3 }] };
+    }
+
+    /**
+     * Quadratic Bezier raised to an equivalent cubic
+     */
+    quadratic(p0, q, p3) {
+        return this.cubic(
+            p0,
+            { x: p0.x + 2 / 3 * (q.x - p0.x), y: p0.y + 2 / 3 * (q.y - p0.y) },
+            { x: p3.x + 2 / 3 * (q.x - p3.x), y: p3.y + 2 / 3 * (q.y - p3.y) },
+            p3
+        );
+    }
+
+    /**
+     * Resolve presentation attributes and inline style on top of inherited values
+     */
+    resolveStyle(element, parentStyle) {
+        const style = {};
+        INHERITED_PROPERTIES.forEach(property => {
+            if (parentStyle[property] !== undefined) style[property] = parentStyle[property];
+        });
+
+        ['display', ...INHERITED_PROPERTIES].forEach(property => {
+            const value = element.getAttribute(property);
+            if (value !== null && value !== 'inherit') style[property] = value.trim();
+        });
+
+        // Inline style overrides presentation attributes
+        const inline = element.getAttribute('style');
+        if (inline) {
+            inline.split(';').forEach(declaration => {
+                const separator = declaration.indexOf(':');
+                if (separator < 0) return;
+                const property = declaration.slice(0, separator).trim();
+                const value = declaration.slice(separator + 1).replace(/!important/, '').trim();
+                if (value && value !== 'inherit' && (property === 'display' || INHERITED_PROPERTIES.includes(property))) {
+                    style[property] = value;
+                }
+            });
+        }
+
+        return style;
+    }
+
+    /**
+     * Parse a paint value into a color
+     * @returns {THREE.Color|null} Color, or null for 'none' and unsupported paints
+     */
+    parsePaint(value, currentColor) {
+        if (!value || value === 'none' || value === 'transparent') return null;
+        if (value === 'currentColor') return this.parsePaint(currentColor || 'black');
+
+        // Gradients/patterns fall back to their fallback color if one is given
+        if (value.startsWith('url(')) {
+            const fallback = value.replace(/^url\([^)]*\)\s*/, '');
+            return fallback ? this.parsePaint(fallback, currentColor) : new THREE.Color(0x000000);
+        }
+
+        // setStyle leaves the color untouched (and warns) when it cannot parse the value
+        const color = new THREE.Color(NaN, NaN, NaN);
+        color.setStyle(value);
+        return Number.isNaN(color.r) ? new THREE.Color(0x000000) : color;
+    }
+
+    /**
+     * Parse a length (units are treated as user units)
+     */
+    parseLength(value, fallback) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : fallback;
+    }
+
+    /**
+     * Numeric attribute (0 when missing)
+     */
+    attr(element, name) {
+        return this.parseLength(element.getAttribute(name), 0);
+    }
+
+    parseNumberList(value) {
+        const matches = value.match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g);
+        return matches ? matches.map(parseFloat) : [];
+    }
+
+    /**
+     * Parse a transform attribute into a 2D affine matrix [a, b, c, d, e, f]
+     */
+    parseTransform(value) {
+        let matrix = IDENTITY;
+        if (!value) return matrix;
+
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = pattern.exec(value)) !== null) {
+            const args = this.parseNumberList(match[2]);
+            let next = IDENTITY;
+
+            switch (match[1]) {
+                case 'matrix':
+                    if (args.length === 6) next = args;
+                    break;
+                case 'translate':
+                    next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                    break;
+                case 'scale': {
+                    const sx = args.length > 0 ? args[0] : 1;
+                    next = [sx, 0, 0, args.length > 1 ? args[1] : sx, 0, 0];
+                    break;
+                }
+                case 'rotate': {
+                    const angle = (args[0] || 0) * Math.PI / 180;
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    next = [cos, sin, -sin, cos, 0, 0];
+                    if (args.length === 3) {
+                        // rotate(a, cx, cy) = translate(cx, cy) rotate(a) translate(-cx, -cy)
+                        next = this.multiply(
+                            this.multiply([1, 0, 0, 1, args[1], args[2]], next),
+                            [1, 0, 0, 1, -args[1], -args[2]]
+                        );
+                    }
+                    break;
+                }
+                case 'skewX':
+                    next = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+                    break;
+                case 'skewY':
+                    next = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+                    break;
+            }
+
+            matrix = this.multiply(matrix, next);
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Multiply two affine matrices (m2 is applied first)
+     */
+    multiply(m1, m2) {
+        return [
+            m1[0] * m2[0] + m1[2] * m2[1],
+            m1[1] * m2[0] + m1[3] * m2[1],
+            m1[0] * m2[2] + m1[2] * m2[3],
+            m1[1] * m2[2] + m1[3] * m2[3],
+            m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+            m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+        ];
+    }
+
+    transformPoint(m, point) {
+        return {
+            x: m[0] * point.x + m[2] * point.y + m[4],
+            y: m[1] * point.x + m[3] * point.y + m[5]
+        };
+    }
+}
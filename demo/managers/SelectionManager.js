@@ -5,8 +5,9 @@ import * as THREE from 'three';
  * Handles all visual feedback for selection state
  */
 export class SelectionManager {
-    constructor(scene) {
+    constructor(scene, parent = null) {
         this.scene = scene;
+        this.parent = parent || scene; // Visuals go here; points are in its coordinates
         this.selectedStrokes = [];
         this.selectionBox = null;
         this.transformHandles = [];
@@ -15,6 +16,9 @@ export class SelectionManager {
         this.isDrawingSelectionBox = false;
         this.selectionBoxStart = null;
         this.selectionBoxMesh = null;
+        
+        // Callbacks
+        this.onSelectionChange = null; // (selectedStrokes) after something was selected or deselected
     }
 
     /**
@@ -34,6 +38,8 @@ export class SelectionManager {
         this.updateMultiSelectionBox();
         
         console.log('Selected ' + (stroke.type === 'image' ? 'image' : 'stroke'));
+        
+        if (this.onSelectionChange) this.onSelectionChange(this.selectedStrokes);
     }
 
     /**
@@ -43,7 +49,7 @@ export class SelectionManager {
         this.selectedStrokes.forEach(stroke => {
             // Remove outline
             if (stroke.outline) {
-                this.scene.remove(stroke.outline);
+                this.parent.remove(stroke.outline);
                 stroke.outline.geometry.dispose();
                 stroke.outline.material.dispose();
                 delete stroke.outline;
@@ -52,7 +58,7 @@ export class SelectionManager {
         
         // Remove bounding box
         if (this.selectionBox) {
-            this.scene.remove(this.selectionBox);
+            this.parent.remove(this.selectionBox);
             this.selectionBox.geometry.dispose();
             this.selectionBox.material.dispose();
             this.selectionBox = null;
@@ -61,7 +67,10 @@ export class SelectionManager {
         // Remove transform handles
         this.removeTransformHandles();
         
+        const hadSelection = this.selectedStrokes.length > 0;
         this.selectedStrokes = [];
+        
+        if (hadSelection && this.onSelectionChange) this.onSelectionChange(this.selectedStrokes);
     }
 
     /**
@@ -73,7 +82,7 @@ export class SelectionManager {
         // Remove old visuals
         this.selectedStrokes.forEach(stroke => {
             if (stroke.outline) {
-                this.scene.remove(stroke.outline);
+                this.parent.remove(stroke.outline);
                 stroke.outline.geometry.dispose();
                 stroke.outline.material.dispose();
                 delete stroke.outline;
@@ -81,7 +90,7 @@ export class SelectionManager {
         });
         
         if (this.selectionBox) {
-            this.scene.remove(this.selectionBox);
+            this.parent.remove(this.selectionBox);
             this.selectionBox.geometry.dispose();
             this.selectionBox.material.dispose();
             this.selectionBox = null;
@@ -118,7 +127,7 @@ export class SelectionManager {
         const outline = new THREE.Line(geometry, outlineMaterial);
         outline.renderOrder = 1000;
         
-        this.scene.add(outline);
+        this.parent.add(outline);
         stroke.outline = outline;
     }
 
@@ -130,7 +139,7 @@ export class SelectionManager {
         
         // Remove old bounding box
         if (this.selectionBox) {
-            this.scene.remove(this.selectionBox);
+            this.parent.remove(this.selectionBox);
             this.selectionBox.geometry.dispose();
             this.selectionBox.material.dispose();
             this.selectionBox = null;
@@ -166,7 +175,7 @@ export class SelectionManager {
         
         this.selectionBox = new THREE.Line(geometry, material);
         this.selectionBox.renderOrder = 1000;
-        this.scene.add(this.selectionBox);
+        this.parent.add(this.selectionBox);
         
         // Create transform handles
         this.createTransformHandles(bounds.minX, bounds.maxX, bounds.minY, bounds.maxY);
@@ -238,7 +247,7 @@ export class SelectionManager {
             border.renderOrder = 1002;
             handle.add(border);
             
-            this.scene.add(handle);
+            this.parent.add(handle);
             this.transformHandles.push(handle);
         });
     }
@@ -248,7 +257,7 @@ export class SelectionManager {
      */
     removeTransformHandles() {
         this.transformHandles.forEach(handle => {
-            this.scene.remove(handle);
+            this.parent.remove(handle);
             handle.geometry.dispose();
             handle.material.dispose();
             if (handle.children.length > 0) {
@@ -324,7 +333,7 @@ export class SelectionManager {
         
         this.selectionBoxMesh = new THREE.Line(geometry, material);
         this.selectionBoxMesh.renderOrder = 1000;
-        this.scene.add(this.selectionBoxMesh);
+        this.parent.add(this.selectionBoxMesh);
     }
 
     /**
@@ -367,7 +376,7 @@ export class SelectionManager {
         
         // Remove selection box mesh
         if (this.selectionBoxMesh) {
-            this.scene.remove(this.selectionBoxMesh);
+            this.parent.remove(this.selectionBoxMesh);
             this.selectionBoxMesh.geometry.dispose();
             this.selectionBoxMesh.material.dispose();
             this.selectionBoxMesh = null;
@@ -0,0 +1,264 @@
+import * as THREE from 'three';
+
+/**
+ * Quadtree over the bounds of strokes or images, for hit testing, box selection,
+ * erasing and culling without scanning every item
+ *
+ * The tree divides the board plane (x/y); each item sits in the smallest node that
+ * fully contains its box, and nodes split once they hold too many items. The root
+ * grows to fit items outside it. Nodes also track the z range of everything below
+ * them so frustum queries work for content off the board plane (ranges only grow
+ * until the index is cleared, which keeps them conservative).
+ *
+ * Queries return candidates whose box overlaps the query, in insertion order, so
+ * callers can run their exact test on them and get the same result as a full scan.
+ */
+export class SpatialIndex {
+    constructor(maxItemsPerNode = 8, maxDepth = 20) {
+        this.maxItemsPerNode = maxItemsPerNode;
+        this.maxDepth = maxDepth;
+
+        this.root = null;
+        this.unbounded = []; // Entries with non-finite bounds, returned by every query
+        this.entries = new Map(); // item -> { item, bounds, node, sequence }
+        this.nextSequence = 0;
+    }
+
+    /**
+     * Add an item
+     * @param {Object} item - Stroke or image
+     * @param {Object} bounds - { minX, maxX, minY, maxY, minZ, maxZ }
+     */
+    insert(item, bounds) {
+        if (this.entries.has(item)) {
+            this.update(item, bounds);
+            return;
+        }
+
+        const entry = { item, bounds, node: null, sequence: this.nextSequence++ };
+        this.entries.set(item, entry);
+        this.insertEntry(entry);
+    }
+
+    /**
+     * Move an item to new bounds (keeps its place in the query order)
+     */
+    update(item, bounds) {
+        const entry = this.entries.get(item);
+        if (!entry) return;
+
+        this.detach(entry);
+        entry.bounds = bounds;
+        this.insertEntry(entry);
+    }
+
+    /**
+     * Remove an item
+     */
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return;
+
+        this.detach(entry);
+        this.entries.delete(item);
+    }
+
+    /**
+     * Check if an item is indexed
+     */
+    has(item) {
+        return this.entries.has(item);
+    }
+
+    /**
+     * Remove every item
+     */
+    clear() {
+        this.root = null;
+        this.unbounded = [];
+        this.entries.clear();
+    }
+
+    /**
+     * Items whose bounds overlap a rectangle in the board plane
+     * @returns {Array<Object>} Items in insertion order
+     */
+    queryRect(minX, maxX, minY, maxY) {
+        const found = [];
+        const visit = (node) => {
+            if (node.minX > maxX || node.minX + node.size < minX ||
+                node.minY > maxY || node.minY + node.size < minY) {
+                return;
+            }
+
+            node.entries.forEach(entry => {
+                const bounds = entry.bounds;
+                if (bounds.minX <= maxX && bounds.maxX >= minX &&
+                    bounds.minY <= maxY && bounds.maxY >= minY) {
+                    found.push(entry);
+                }
+            });
+            if (node.children) {
+                node.children.forEach(visit);
+            }
+        };
+
+        if (this.root) visit(this.root);
+        return this.sortEntries(found.concat(this.unbounded));
+    }
+
+    /**
+     * Items whose bounds intersect a frustum (in the items' coordinate space)
+     * @param {THREE.Frustum} frustum - View frustum
+     * @returns {Array<Object>} Items in insertion order
+     */
+    queryFrustum(frustum) {
+        const found = [];
+        const box = new THREE.Box3();
+        const visit = (node) => {
+            if (node.minZ > node.maxZ) return; // Nothing below this node
+            box.min.set(node.minX, node.minY, node.minZ);
+            box.max.set(node.minX + node.size, node.minY + node.size, node.maxZ);
+            if (!frustum.intersectsBox(box)) return;
+
+            node.entries.forEach(entry => {
+                const bounds = entry.bounds;
+                box.min.set(bounds.minX, bounds.minY, bounds.minZ);
+                box.max.set(bounds.maxX, bounds.maxY, bounds.maxZ);
+                if (frustum.intersectsBox(box)) {
+                    found.push(entry);
+                }
+            });
+            if (node.children) {
+                node.children.forEach(visit);
+            }
+        };
+
+        if (this.root) visit(this.root);
+        return this.sortEntries(found.concat(this.unbounded));
+    }
+
+    /**
+     * Items of the entries, in insertion order
+     */
+    sortEntries(entries) {
+        return entries.sort((a, b) => a.sequence - b.sequence).map(entry => entry.item);
+    }
+
+    /**
+     * Place an entry in the tree, growing the root until it fits
+     */
+    insertEntry(entry) {
+        const bounds = entry.bounds;
+        if (![bounds.minX, bounds.maxX, bounds.minY, bounds.maxY].every(Number.isFinite)) {
+            this.unbounded.push(entry);
+            entry.node = null;
+            return;
+        }
+
+        if (!this.root) {
+            const size = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, 1);
+            this.root = this.createNode(bounds.minX, bounds.minY, size * 2);
+        }
+
+        while (!this.contains(this.root, bounds)) {
+            this.growRoot(bounds);
+        }
+
+        let node = this.root;
+        let depth = 0;
+        for (;;) {
+            node.minZ = Math.min(node.minZ, bounds.minZ);
+            node.maxZ = Math.max(node.maxZ, bounds.maxZ);
+
+            const child = node.children ? node.children.find(child => this.contains(child, bounds)) : null;
+            if (!child) break;
+            node = child;
+            depth++;
+        }
+
+        node.entries.push(entry);
+        entry.node = node;
+
+        if (!node.children && node.entries.length > this.maxItemsPerNode && depth < this.maxDepth) {
+            this.split(node);
+        }
+    }
+
+    /**
+     * Take an entry out of its node
+     */
+    detach(entry) {
+        const entries = entry.node ? entry.node.entries : this.unbounded;
+        entries.splice(entries.indexOf(entry), 1);
+        entry.node = null;
+    }
+
+    /**
+     * Double the root toward the given bounds; the old root becomes one of its quadrants
+     */
+    growRoot(bounds) {
+        const old = this.root;
+        const isLeft = bounds.minX < old.minX;
+        const isBelow = bounds.minY < old.minY;
+
+        const root = this.createNode(
+            isLeft ? old.minX - old.size : old.minX,
+            isBelow ? old.minY - old.size : old.minY,
+            old.size * 2
+        );
+        root.minZ = old.minZ;
+        root.maxZ = old.maxZ;
+        root.children = this.createChildren(root);
+        root.children[(isLeft ? 1 : 0) + (isBelow ? 2 : 0)] = old; // Same order as createChildren
+        this.root = root;
+    }
+
+    /**
+     * Divide a node into quadrants and push its entries down where they fit
+     */
+    split(node) {
+        node.children = this.createChildren(node);
+
+        const entries = node.entries;
+        node.entries = [];
+        entries.forEach(entry => {
+            const child = node.children.find(child => this.contains(child, entry.bounds));
+            const target = child || node;
+            if (child) {
+                child.minZ = Math.min(child.minZ, entry.bounds.minZ);
+                child.maxZ = Math.max(child.maxZ, entry.bounds.maxZ);
+            }
+            target.entries.push(entry);
+            entry.node = target;
+        });
+    }
+
+    /**
+     * Four empty quadrants of a node
+     */
+    createChildren(node) {
+        const half = node.size / 2;
+        return [
+            this.createNode(node.minX, node.minY, half),
+            this.createNode(node.minX + half, node.minY, half),
+            this.createNode(node.minX, node.minY + half, half),
+            this.createNode(node.minX + half, node.minY + half, half)
+        ];
+    }
+
+    /**
+     * Create an empty square node
+     */
+    createNode(minX, minY, size) {
+        return { minX, minY, size, minZ: Infinity, maxZ: -Infinity, entries: [], children: null };
+    }
+
+    /**
+     * Check if a node's square fully contains bounds
+     */
+    contains(node, bounds) {
+        return bounds.minX >= node.minX && bounds.maxX <= node.minX + node.size &&
+               bounds.minY >= node.minY && bounds.maxY <= node.minY + node.size;
+    }
+}
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
-import { BezierConverter } from '../BezierConverter.js';
+import { createObjectId } from './ObjectId.js';
+import { SpatialIndex } from './SpatialIndex.js';
 
 /**
  * Manages stroke creation, storage, and operations
@@ -10,20 +11,29 @@ export class StrokeManager {
         this.scene = scene;
         this.chunkedBezierManager = chunkedBezierManager;
         this.strokes = [];
+        this.spatialIndex = new SpatialIndex(); // Stroke bounds, kept in step with this.strokes
         this.getNextZIndex = null; // Will be set externally for shared z-index
     }
 
     /**
      * Create a new stroke from points
+     * options.zIndex keeps an existing z-order (e.g. pieces of an erased stroke)
      */
     createStroke(points, options = {}) {
         const stroke = this.chunkedBezierManager.createStroke(points, options);
         
         if (stroke) {
+            stroke.id = options.id || createObjectId();
+            
             // Assign z-index for rendering order
-            stroke.zIndex = this.getNextZIndex ? this.getNextZIndex() : 0;
+            if (options.zIndex !== undefined) {
+                stroke.zIndex = options.zIndex;
+            } else {
+                stroke.zIndex = this.getNextZIndex ? this.getNextZIndex() : 0;
+            }
             this.updateStrokeRenderOrder(stroke);
             this.strokes.push(stroke);
+            this.spatialIndex.insert(stroke, this.getStrokeBounds(stroke));
         }
         
         return stroke;
@@ -33,11 +43,52 @@ export class StrokeManager {
      * Update render order for a stroke based on its z-index
      */
     updateStrokeRenderOrder(stroke) {
-        if (stroke.meshes) {
-            stroke.meshes.forEach(mesh => {
-                mesh.renderOrder = stroke.zIndex;
-            });
-        }
+        this.chunkedBezierManager.batchRenderer.updateStrokeOrder(stroke);
+    }
+
+    /**
+     * Show or hide a stroke (e.g. while a transform preview stands in for it)
+     */
+    setStrokeVisible(stroke, visible) {
+        this.chunkedBezierManager.batchRenderer.setStrokeVisible(stroke, visible);
+    }
+
+    /**
+     * Show or hide all air strokes (they are only shown in VR)
+     */
+    setAirStrokesVisible(visible) {
+        this.chunkedBezierManager.batchRenderer.setAirStrokesVisible(visible);
+    }
+
+    /**
+     * Whether a stroke is currently drawn
+     */
+    isStrokeVisible(stroke) {
+        return this.chunkedBezierManager.batchRenderer.isStrokeVisible(stroke);
+    }
+
+    /**
+     * Meshes that draw the strokes (shared by all strokes of a batch)
+     */
+    getRenderMeshes() {
+        return this.chunkedBezierManager.batchRenderer.getMeshes();
+    }
+
+    /**
+     * Per-frame rendering upkeep (zoom-dependent tessellation, batch layers, deferred buffer updates, culling)
+     * @param {THREE.Camera|null} camera - Camera about to render (null = no culling)
+     */
+    updateRendering(camera = null) {
+        this.chunkedBezierManager.updateTessellation(this.strokes);
+        this.chunkedBezierManager.batchRenderer.update(camera);
+    }
+
+    /**
+     * Stroke chunks drawn and culled in the last frame
+     * @returns {Object} { drawnChunks, culledChunks }
+     */
+    getRenderStats() {
+        return { ...this.chunkedBezierManager.batchRenderer.stats };
     }
     
     /**
@@ -58,6 +109,7 @@ export class StrokeManager {
         if (index > -1) {
             this.strokes.splice(index, 1);
         }
+        this.spatialIndex.remove(stroke);
     }
 
     /**
@@ -69,51 +121,76 @@ export class StrokeManager {
         });
     }
 
+    /**
+     * Re-add a previously deleted stroke (used by undo/redo)
+     * Keeps the stroke's original z-index and rebuilds its geometry from its points
+     */
+    restoreStroke(stroke) {
+        if (this.strokes.includes(stroke)) return;
+
+        this.chunkedBezierManager.restoreStroke(stroke);
+        this.updateStrokeGeometry(stroke);
+        this.strokes.push(stroke);
+        this.spatialIndex.insert(stroke, this.getStrokeBounds(stroke));
+    }
+
     /**
      * Update stroke geometry after transformation
+     * The current geometry stays visible until the rebuilt one arrives from the worker pool
+     * @returns {Promise<boolean>} Resolves when the new geometry is in place
      */
     updateStrokeGeometry(stroke) {
-        // Remove old meshes from their parent (whiteboard or scene)
-        stroke.meshes.forEach(mesh => {
-            if (mesh.parent) {
-                mesh.parent.remove(mesh);
-            }
-            if (mesh.geometry) mesh.geometry.dispose();
-        });
-        stroke.meshes = [];
-        
-        // Recreate with new positions
-        const chunks = this.chunkedBezierManager.createChunks(stroke.points);
-        
-        // Get the parent from chunkedBezierManager (whiteboard)
-        const parent = this.chunkedBezierManager.parent;
-        
-        chunks.forEach((chunk, index) => {
-            const chunkSegments = BezierConverter.createSegment(chunk.points);
-            
-            if (chunkSegments.length > 0) {
-                // Include end caps only for the first and last chunk
-                const includeStartCap = index === 0;
-                const includeEndCap = index === chunks.length - 1;
-                const startCapPosition = includeStartCap ? stroke.points[0] : null;
-                const endCapPosition = includeEndCap ? stroke.points[stroke.points.length - 1] : null;
-                
-                const chunkMesh = this.chunkedBezierManager.createChunkMesh(
-                    chunkSegments, 
-                    stroke.material,
-                    startCapPosition,
-                    endCapPosition,
-                    stroke.width
-                );
-                if (chunkMesh) {
-                    parent.add(chunkMesh);
-                    stroke.meshes.push(chunkMesh);
-                }
-            }
+        if (this.spatialIndex.has(stroke)) {
+            this.spatialIndex.update(stroke, this.getStrokeBounds(stroke));
+        }
+        return this.chunkedBezierManager.buildStrokeGeometry(stroke);
+    }
+
+    /**
+     * Bounds of a stroke for the spatial index: its points padded by the stroke's
+     * full width, which covers both the drawn edge and the click tolerance of width / 2
+     */
+    getStrokeBounds(stroke) {
+        const maxScale = stroke.widthScales ? Math.max(...stroke.widthScales) : 1;
+        const padding = stroke.width * Math.max(maxScale, 1);
+        const bounds = {
+            minX: Infinity, maxX: -Infinity,
+            minY: Infinity, maxY: -Infinity,
+            minZ: Infinity, maxZ: -Infinity
+        };
+
+        stroke.points.forEach(point => {
+            bounds.minX = Math.min(bounds.minX, point.x - padding);
+            bounds.maxX = Math.max(bounds.maxX, point.x + padding);
+            bounds.minY = Math.min(bounds.minY, point.y - padding);
+            bounds.maxY = Math.max(bounds.maxY, point.y + padding);
+            bounds.minZ = Math.min(bounds.minZ, point.z - padding);
+            bounds.maxZ = Math.max(bounds.maxZ, point.z + padding);
         });
-        
-        // Update render order for all new meshes
-        this.updateStrokeRenderOrder(stroke);
+
+        return bounds;
+    }
+
+    /**
+     * Strokes on the board plane whose bounds overlap a rectangle (candidates for exact tests), in board order
+     * Air strokes are left out: they only overlap the rectangle when seen straight on
+     */
+    getStrokesInRect(minX, maxX, minY, maxY) {
+        return this.spatialIndex.queryRect(minX, maxX, minY, maxY).filter(stroke => !stroke.isAirStroke);
+    }
+
+    /**
+     * Strokes whose bounds intersect a view frustum (in the strokes' coordinate space)
+     */
+    getStrokesInFrustum(frustum) {
+        return this.spatialIndex.queryFrustum(frustum);
+    }
+
+    /**
+     * Wait until all pending stroke geometry is on screen
+     */
+    whenGeometryReady() {
+        return this.chunkedBezierManager.whenIdle();
     }
 
     /**
@@ -123,7 +200,13 @@ export class StrokeManager {
         let closestStroke = null;
         let closestDistance = Infinity;
         
-        this.strokes.forEach(stroke => {
+        // Only strokes whose padded bounds come within the threshold can be closer than it
+        const candidates = this.getStrokesInRect(
+            worldPoint.x - clickThreshold, worldPoint.x + clickThreshold,
+            worldPoint.y - clickThreshold, worldPoint.y + clickThreshold
+        );
+        
+        candidates.forEach(stroke => {
             const distanceToStroke = this.getDistanceToStroke(worldPoint, stroke);
             const strokeRadius = stroke.width / 2;
             const effectiveDistance = distanceToStroke - strokeRadius;
@@ -141,6 +224,34 @@ export class StrokeManager {
         return null;
     }
 
+    /**
+     * Get the air stroke closest to a point in space (e.g. a VR controller tip)
+     * @param {THREE.Vector3} point - Point in stroke coordinates
+     * @param {number} threshold - Maximum distance from the stroke's edge
+     */
+    getAirStrokeAtPosition(point, threshold = 0.02) {
+        let closestStroke = null;
+        let closestDistance = threshold;
+        
+        const candidates = this.spatialIndex.queryRect(
+            point.x - threshold, point.x + threshold,
+            point.y - threshold, point.y + threshold
+        );
+        
+        candidates.forEach(stroke => {
+            if (!stroke.isAirStroke) return;
+            
+            // getDistanceToStroke measures in 3D
+            const distance = this.getDistanceToStroke(point, stroke) - stroke.width / 2;
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestStroke = stroke;
+            }
+        });
+        
+        return closestStroke;
+    }
+
     /**
      * Calculate minimum distance from a point to a stroke
      */
@@ -196,6 +307,20 @@ export class StrokeManager {
         return this.strokes;
     }
 
+    /**
+     * Get the strokes on the board plane (everything but air strokes)
+     */
+    getBoardStrokes() {
+        return this.strokes.filter(stroke => !stroke.isAirStroke);
+    }
+
+    /**
+     * Get a stroke by its ID
+     */
+    getStrokeById(id) {
+        return this.strokes.find(stroke => stroke.id === id) || null;
+    }
+
     /**
      * Get stroke count
      */
@@ -5,9 +5,10 @@ import * as THREE from 'three';
  * Handles the geometric calculations for transforms while preserving z-coordinates
  */
 export class TransformManager {
-    constructor(strokeManager, selectionManager) {
+    constructor(strokeManager, selectionManager, parent = null) {
         this.strokeManager = strokeManager;
         this.selectionManager = selectionManager;
+        this.parent = parent || strokeManager.scene; // Previews go here; points are in its coordinates
         
         // Drag state
         this.isDragging = false;
@@ -23,9 +24,18 @@ export class TransformManager {
         this.currentFlipX = false;
         this.currentFlipY = false;
         
+        // Pinch state (two-handed move and scale in VR)
+        this.isPinching = false;
+        this.pinchStart = null; // { center, distance } of the two grab points
+        this.pinchOriginals = null;
+        
         // Preview lines for transformations
         this.previewLines = [];
-        this.originalStrokesVisibility = [];
+        this.hiddenStrokes = []; // Strokes hidden while their preview stands in for them
+        
+        // Callbacks (to be set by main app)
+        this.onTransformStart = null; // Called with the selection before it is modified
+        this.onTransformEnd = null; // Called with the selection after geometry is rebuilt
     }
 
     /**
@@ -35,6 +45,10 @@ export class TransformManager {
         const selectedStrokes = this.selectionManager.getSelectedStrokes();
         if (selectedStrokes.length === 0) return false;
         
+        if (this.onTransformStart) {
+            this.onTransformStart(selectedStrokes);
+        }
+        
         this.isDragging = true;
         this.dragStartPoint = worldPoint.clone();
         
@@ -107,10 +121,9 @@ export class TransformManager {
     stopDragging() {
         if (!this.isDragging) return;
         
-        // Remove preview lines and restore original strokes
-        this.removePreviewLines();
-        
-        // Rebuild geometry once with final positions
+        // Rebuild geometry once with final positions; preview lines stay until it arrives
+        const previews = this.takePreviewLines();
+        const builds = [];
         const selectedStrokes = this.selectionManager.getSelectedStrokes();
         selectedStrokes.forEach(stroke => {
             if (stroke.type === 'image') {
@@ -121,9 +134,10 @@ export class TransformManager {
                 }
             } else {
                 // Rebuild stroke geometry
-                this.strokeManager.updateStrokeGeometry(stroke);
+                builds.push(this.strokeManager.updateStrokeGeometry(stroke));
             }
         });
+        Promise.all(builds).then(() => this.removePreviewLines(previews));
         
         // Update selection visuals
         this.selectionManager.updateSelectionVisuals();
@@ -131,6 +145,10 @@ export class TransformManager {
         this.isDragging = false;
         this.dragStartPoint = null;
         this.strokeOriginalPoints = null;
+        
+        if (this.onTransformEnd) {
+            this.onTransformEnd(selectedStrokes);
+        }
     }
 
     /**
@@ -140,6 +158,10 @@ export class TransformManager {
         const selectedStrokes = this.selectionManager.getSelectedStrokes();
         if (selectedStrokes.length === 0) return false;
         
+        if (this.onTransformStart) {
+            this.onTransformStart(selectedStrokes);
+        }
+        
         this.isScaling = true;
         this.scaleHandle = handle;
         this.scaleStartPoint = worldPoint.clone();
@@ -300,10 +322,9 @@ export class TransformManager {
     stopScaling() {
         if (!this.isScaling) return;
         
-        // Remove preview lines and restore original strokes
-        this.removePreviewLines();
-        
-        // Rebuild geometry once with final positions
+        // Rebuild geometry once with final positions; preview lines stay until it arrives
+        const previews = this.takePreviewLines();
+        const builds = [];
         const selectedContent = this.selectionManager.getSelectedStrokes();
         selectedContent.forEach(item => {
             if (item.type === 'image') {
@@ -322,9 +343,10 @@ export class TransformManager {
                 }
             } else {
                 // For strokes, rebuild bezier geometry
-                this.strokeManager.updateStrokeGeometry(item);
+                builds.push(this.strokeManager.updateStrokeGeometry(item));
             }
         });
+        Promise.all(builds).then(() => this.removePreviewLines(previews));
         
         // Update selection visuals
         this.selectionManager.updateSelectionVisuals();
@@ -336,6 +358,119 @@ export class TransformManager {
         this.strokesOriginalPointsForScale = null;
         this.currentFlipX = false;
         this.currentFlipY = false;
+        
+        if (this.onTransformEnd) {
+            this.onTransformEnd(selectedContent);
+        }
+    }
+    
+    /**
+     * Start moving and scaling the selection with two grab points (e.g. both VR controllers)
+     * A drag in progress becomes the pinch; both end up as one transform
+     * @param {THREE.Vector3} pointA - First grab point
+     * @param {THREE.Vector3} pointB - Second grab point
+     */
+    startPinch(pointA, pointB) {
+        const selectedContent = this.selectionManager.getSelectedStrokes();
+        if (selectedContent.length === 0) return false;
+        
+        if (this.isDragging) {
+            // The drag already notified the start and created the previews
+            this.isDragging = false;
+            this.dragStartPoint = null;
+            this.strokeOriginalPoints = null;
+        } else {
+            if (this.onTransformStart) {
+                this.onTransformStart(selectedContent);
+            }
+            this.bringGroupToFront(selectedContent);
+            this.createPreviewLines(selectedContent);
+        }
+        
+        this.isPinching = true;
+        this.pinchStart = {
+            center: new THREE.Vector3().addVectors(pointA, pointB).multiplyScalar(0.5),
+            distance: Math.max(pointA.distanceTo(pointB), 0.001)
+        };
+        
+        // Current positions (possibly already dragged) are the pinch's starting point
+        this.pinchOriginals = selectedContent.map(item => ({
+            item: item,
+            points: item.points.map(p => p.clone()),
+            width: item.type === 'image' ? item.width : null,
+            height: item.type === 'image' ? item.height : null,
+            position: item.type === 'image' ? item.mesh.position.clone() : null
+        }));
+        
+        return true;
+    }
+
+    /**
+     * Update the pinch: the selection follows the grab points' center and scales
+     * with their distance (in the board plane, z preserved)
+     */
+    updatePinch(pointA, pointB) {
+        if (!this.isPinching) return;
+        
+        const center = new THREE.Vector3().addVectors(pointA, pointB).multiplyScalar(0.5);
+        const scale = pointA.distanceTo(pointB) / this.pinchStart.distance;
+        
+        // Prevent zero or near-zero sizes
+        if (scale < 0.01) return;
+        
+        const transform = (original, target) => {
+            target.x = center.x + (original.x - this.pinchStart.center.x) * scale;
+            target.y = center.y + (original.y - this.pinchStart.center.y) * scale;
+            target.z = original.z;
+        };
+        
+        this.pinchOriginals.forEach(({item, points, width, height, position}) => {
+            points.forEach((original, index) => transform(original, item.points[index]));
+            
+            if (item.type === 'image') {
+                transform(position, item.mesh.position);
+                const imageManager = this.getImageManager();
+                if (imageManager) {
+                    imageManager.updateImageGeometry(item, width * scale, height * scale);
+                }
+            }
+        });
+        
+        this.updatePreviewLines();
+        this.selectionManager.updateSelectionVisuals();
+    }
+
+    /**
+     * Stop the pinch and rebuild the transformed strokes
+     */
+    stopPinch() {
+        if (!this.isPinching) return;
+        
+        const previews = this.takePreviewLines();
+        const builds = [];
+        const selectedContent = this.selectionManager.getSelectedStrokes();
+        selectedContent.forEach(item => {
+            if (item.type === 'image') {
+                // Images are already sized and positioned during the pinch
+                const imageManager = this.getImageManager();
+                if (imageManager) {
+                    imageManager.updateImagePoints(item);
+                }
+            } else {
+                builds.push(this.strokeManager.updateStrokeGeometry(item));
+            }
+        });
+        Promise.all(builds).then(() => this.removePreviewLines(previews));
+        
+        this.selectionManager.updateSelectionVisuals();
+        
+        this.isPinching = false;
+        this.pinchStart = null;
+        this.pinchOriginals = null;
+        
+        if (this.onTransformEnd) {
+            this.onTransformEnd(selectedContent);
+        }
     }
     
     /**
@@ -413,14 +548,20 @@ export class TransformManager {
         return this.isScaling;
     }
 
+    /**
+     * Check if currently pinching
+     */
+    isPinchingStrokes() {
+        return this.isPinching;
+    }
+
     /**
      * Create preview lines for selected strokes
      */
     createPreviewLines(strokes) {
-        const scene = this.strokeManager.scene;
+        const scene = this.parent;
         
-        // Store original stroke visibility and hide them
-        this.originalStrokesVisibility = [];
+        this.hiddenStrokes = [];
         
         strokes.forEach(stroke => {
             // Skip preview line creation for images
@@ -429,15 +570,8 @@ export class TransformManager {
             }
             
             // Hide original stroke completely
-            stroke.meshes.forEach(mesh => {
-                if (mesh) {
-                    this.originalStrokesVisibility.push({
-                        mesh: mesh,
-                        originalVisible: mesh.visible
-                    });
-                    mesh.visible = false;
-                }
-            });
+            this.strokeManager.setStrokeVisible(stroke, false);
+            this.hiddenStrokes.push(stroke);
             
             // Create ribbon mesh with actual width (same as StrokeRenderer)
             const points = stroke.points.map(p => p.clone());
@@ -480,7 +614,7 @@ export class TransformManager {
     }
 
     /**
-     * Update preview lines with offset (for dragging)
+     * Update preview lines to the strokes' current points (the offset is already applied to them)
      */
     updatePreviewLines(offset) {
         this.previewLines.forEach(({line, stroke, startCap, endCap}) => {
@@ -519,14 +653,29 @@ export class TransformManager {
         }
     }
 
+    /**
+     * Detach the current preview lines (and hidden strokes) from the transform
+     * so they can be removed later, once the rebuilt strokes are on screen
+     */
+    takePreviewLines() {
+        const previews = {
+            lines: this.previewLines,
+            hiddenStrokes: this.hiddenStrokes
+        };
+        this.previewLines = [];
+        this.hiddenStrokes = [];
+        return previews;
+    }
+
     /**
      * Remove preview lines and restore original stroke visibility
+     * @param {Object} previews - Preview lines from takePreviewLines (defaults to the current ones)
      */
-    removePreviewLines() {
-        const scene = this.strokeManager.scene;
+    removePreviewLines(previews = this.takePreviewLines()) {
+        const scene = this.parent;
         
         // Remove preview lines
-        this.previewLines.forEach(({line, startCap, endCap}) => {
+        previews.lines.forEach(({line, startCap, endCap}) => {
             scene.remove(line);
             line.geometry.dispose();
             line.material.dispose();
@@ -539,15 +688,11 @@ export class TransformManager {
             endCap.geometry.dispose();
             endCap.material.dispose();
         });
-        this.previewLines = [];
         
         // Restore original stroke visibility
-        this.originalStrokesVisibility.forEach(({mesh, originalVisible}) => {
-            if (mesh) {
-                mesh.visible = originalVisible;
-            }
+        previews.hiddenStrokes.forEach(stroke => {
+            this.strokeManager.setStrokeVisible(stroke, true);
         });
-        this.originalStrokesVisibility = [];
     }
 
     /**
@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 
+const VR_LOCOMOTION_STORAGE_KEY = 'whiteboardxr.vrLocomotion';
+const VR_LOCOMOTION_MODES = ['smooth', 'teleport', 'both'];
+const VR_SNAP_TURN_ANGLES = [0, 30, 45, 90];
+
 /**
  * Manages UI controls (desktop-specific interface)
  * This can be disabled/replaced when running in XR mode
@@ -9,15 +13,31 @@ export class UIController {
         this.penWidth = 0.01;
         this.penColor = new THREE.Color(0x000000);
         this.debugMode = false;
-        this.currentTool = 'pen'; // 'pen' or 'select'
+        this.currentTool = 'pen'; // 'pen', 'select' or 'eraser'
+        this.eraserSize = 0.05;
+        this.eraserMode = 'stroke'; // 'stroke' or 'precision'
+        this.vrLocomotionMode = 'smooth'; // 'smooth', 'teleport' or 'both'
+        this.vrSnapTurnAngle = 0; // Degrees per snap turn, 0 for smooth turning
         
         this.callbacks = {
             onPenWidthChange: null,
             onPenColorChange: null,
+            onEraserSizeChange: null,
+            onEraserModeChange: null,
             onDebugModeChange: null,
             onToolChange: null,
-            onImageImport: null
+            onImageImport: null,
+            onSVGImport: null,
+            onFileDrop: null,
+            onSaveBoard: null,
+            onOpenBoard: null,
+            onExport: null,
+            onCollaborationConnect: null,
+            onCollaborationDisconnect: null,
+            onCollaborationNameChange: null,
+            onVRLocomotionChange: null
         };
+        this.isCollaborating = false;
     }
 
     /**
@@ -26,9 +46,16 @@ export class UIController {
     setupControls() {
         this.setupPenWidthControl();
         this.setupColorPalette();
+        this.setupEraserControls();
         this.setupDebugButton();
         this.setupToolButtons();
         this.setupImageImport();
+        this.setupSVGImport();
+        this.setupFileDrop();
+        this.setupBoardFileControls();
+        this.setupExportControls();
+        this.setupCollaborationControls();
+        this.setupVRLocomotionControls();
     }
 
     /**
@@ -78,6 +105,39 @@ export class UIController {
         });
     }
 
+    /**
+     * Setup eraser size slider and mode selector
+     */
+    setupEraserControls() {
+        const sizeSlider = document.getElementById('eraser-size-slider');
+        const sizeValue = document.getElementById('eraser-size-value');
+        const modeSelect = document.getElementById('eraser-mode-select');
+
+        if (sizeSlider && sizeValue) {
+            sizeSlider.addEventListener('input', (e) => {
+                this.eraserSize = parseFloat(e.target.value);
+                sizeValue.textContent = this.eraserSize.toFixed(3);
+                
+                if (this.callbacks.onEraserSizeChange) {
+                    this.callbacks.onEraserSizeChange(this.eraserSize);
+                }
+            });
+        }
+
+        if (modeSelect) {
+            modeSelect.addEventListener('change', (e) => {
+                this.eraserMode = e.target.value;
+                
+                // Automatically switch to eraser mode
+                this.setTool('eraser');
+                
+                if (this.callbacks.onEraserModeChange) {
+                    this.callbacks.onEraserModeChange(this.eraserMode);
+                }
+            });
+        }
+    }
+
     /**
      * Setup debug mode button
      */
@@ -98,35 +158,29 @@ export class UIController {
     }
 
     /**
-     * Setup tool buttons (pen/select)
+     * Setup tool buttons (pen/select/eraser)
      */
     setupToolButtons() {
-        const penToolButton = document.getElementById('pen-tool');
-        const selectToolButton = document.getElementById('select-tool');
-        
-        if (!penToolButton || !selectToolButton) return;
+        Object.entries(this.getToolButtons()).forEach(([tool, button]) => {
+            if (!button) return;
 
-        penToolButton.addEventListener('click', () => {
-            this.currentTool = 'pen';
-            penToolButton.classList.add('active');
-            selectToolButton.classList.remove('active');
-            
-            if (this.callbacks.onToolChange) {
-                this.callbacks.onToolChange('pen');
-            }
-        });
-        
-        selectToolButton.addEventListener('click', () => {
-            this.currentTool = 'select';
-            selectToolButton.classList.add('active');
-            penToolButton.classList.remove('active');
-            
-            if (this.callbacks.onToolChange) {
-                this.callbacks.onToolChange('select');
-            }
+            button.addEventListener('click', () => {
+                this.setTool(tool);
+            });
         });
     }
 
+    /**
+     * Get the toolbar button for each tool
+     */
+    getToolButtons() {
+        return {
+            pen: document.getElementById('pen-tool'),
+            select: document.getElementById('select-tool'),
+            eraser: document.getElementById('eraser-tool')
+        };
+    }
+
     /**
      * Update stroke count display
      */
@@ -147,6 +201,18 @@ export class UIController {
         }
     }
 
+    /**
+     * Update stroke chunk culling display
+     */
+    updateRenderStats({ drawnChunks, culledChunks }) {
+        const drawnEl = document.getElementById('chunks-drawn');
+        const culledEl = document.getElementById('chunks-culled');
+        if (drawnEl && culledEl) {
+            drawnEl.textContent = drawnChunks;
+            culledEl.textContent = culledChunks;
+        }
+    }
+
     /**
      * Set callback for pen width changes
      */
@@ -173,33 +239,96 @@ export class UIController {
     onToolChange(callback) {
         this.callbacks.onToolChange = callback;
     }
+
+    /**
+     * Set callback for eraser size changes
+     */
+    onEraserSizeChange(callback) {
+        this.callbacks.onEraserSizeChange = callback;
+    }
+
+    /**
+     * Set callback for eraser mode changes
+     */
+    onEraserModeChange(callback) {
+        this.callbacks.onEraserModeChange = callback;
+    }
     
     /**
      * Programmatically set the current tool
      */
     setTool(tool) {
-        if (tool !== 'pen' && tool !== 'select') return;
+        const toolButtons = this.getToolButtons();
+        if (!(tool in toolButtons)) return;
         
         this.currentTool = tool;
         
-        const penToolButton = document.getElementById('pen-tool');
-        const selectToolButton = document.getElementById('select-tool');
-        
-        if (penToolButton && selectToolButton) {
-            if (tool === 'pen') {
-                penToolButton.classList.add('active');
-                selectToolButton.classList.remove('active');
-            } else {
-                selectToolButton.classList.add('active');
-                penToolButton.classList.remove('active');
+        Object.entries(toolButtons).forEach(([name, button]) => {
+            if (button) {
+                button.classList.toggle('active', name === tool);
             }
-        }
+        });
         
         if (this.callbacks.onToolChange) {
             this.callbacks.onToolChange(tool);
         }
     }
 
+    /**
+     * Colors of the palette swatches
+     * @returns {Array<string>} Hex colors ('#rrggbb')
+     */
+    getPaletteColors() {
+        return [...document.querySelectorAll('.color-swatch')].map(swatch => swatch.getAttribute('data-color'));
+    }
+
+    /**
+     * Range of the pen width slider
+     * @returns {Object} { min, max, step }
+     */
+    getPenWidthRange() {
+        const slider = document.getElementById('pen-width-slider');
+        return {
+            min: slider ? parseFloat(slider.min) : 0.002,
+            max: slider ? parseFloat(slider.max) : 0.05,
+            step: slider ? parseFloat(slider.step) : 0.001
+        };
+    }
+
+    /**
+     * Programmatically set the pen color (like clicking its swatch)
+     * @param {string} colorHex - Swatch color ('#rrggbb')
+     */
+    setPenColor(colorHex) {
+        document.querySelectorAll('.color-swatch').forEach(swatch => {
+            swatch.classList.toggle('selected', swatch.getAttribute('data-color') === colorHex);
+        });
+        this.penColor = new THREE.Color(colorHex);
+        
+        // Automatically switch to pen mode
+        this.setTool('pen');
+        
+        if (this.callbacks.onPenColorChange) {
+            this.callbacks.onPenColorChange(this.penColor);
+        }
+    }
+
+    /**
+     * Programmatically set the pen width (like moving the slider)
+     */
+    setPenWidth(width) {
+        const penWidthSlider = document.getElementById('pen-width-slider');
+        const penWidthValue = document.getElementById('pen-width-value');
+        
+        this.penWidth = width;
+        if (penWidthSlider) penWidthSlider.value = width;
+        if (penWidthValue) penWidthValue.textContent = width.toFixed(3);
+        
+        if (this.callbacks.onPenWidthChange) {
+            this.callbacks.onPenWidthChange(this.penWidth);
+        }
+    }
+
     /**
      * Setup image import button
      */
@@ -232,6 +361,364 @@ export class UIController {
         this.callbacks.onImageImport = callback;
     }
 
+    /**
+     * Setup SVG import button and file input
+     */
+    setupSVGImport() {
+        const importButton = document.getElementById('import-svg-button');
+        const fileInput = document.getElementById('svg-file-input');
+        
+        if (!importButton || !fileInput) return;
+
+        // Click button to trigger file input
+        importButton.addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        // Handle file selection
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file && this.callbacks.onSVGImport) {
+                this.callbacks.onSVGImport(file);
+            }
+            // Reset input so same file can be selected again
+            fileInput.value = '';
+        });
+    }
+
+    /**
+     * Set callback for SVG import
+     */
+    onSVGImport(callback) {
+        this.callbacks.onSVGImport = callback;
+    }
+
+    /**
+     * Accept files dragged onto the board
+     */
+    setupFileDrop() {
+        const container = document.getElementById('canvas-container');
+        
+        if (!container) return;
+
+        container.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+            }
+        });
+
+        container.addEventListener('drop', (e) => {
+            const files = e.dataTransfer ? Array.from(e.dataTransfer.files) : [];
+            if (files.length === 0) return;
+            
+            e.preventDefault();
+            if (this.callbacks.onFileDrop) {
+                files.forEach(file => this.callbacks.onFileDrop(file, e));
+            }
+        });
+    }
+
+    /**
+     * Set callback for files dropped onto the board
+     * Called with (file, dropEvent) so the drop position can be resolved
+     */
+    onFileDrop(callback) {
+        this.callbacks.onFileDrop = callback;
+    }
+
+    /**
+     * Setup save/open board buttons
+     */
+    setupBoardFileControls() {
+        const saveButton = document.getElementById('save-board-button');
+        const openButton = document.getElementById('open-board-button');
+        const fileInput = document.getElementById('board-file-input');
+        
+        if (!saveButton || !openButton || !fileInput) return;
+
+        saveButton.addEventListener('click', () => {
+            if (this.callbacks.onSaveBoard) {
+                this.callbacks.onSaveBoard();
+            }
+        });
+
+        // Click button to trigger file input
+        openButton.addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        // Handle file selection
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file && this.callbacks.onOpenBoard) {
+                this.callbacks.onOpenBoard(file);
+            }
+            // Reset input so same file can be selected again
+            fileInput.value = '';
+        });
+    }
+
+    /**
+     * Set callback for saving the board
+     */
+    onSaveBoard(callback) {
+        this.callbacks.onSaveBoard = callback;
+    }
+
+    /**
+     * Set callback for opening a board file
+     */
+    onOpenBoard(callback) {
+        this.callbacks.onOpenBoard = callback;
+    }
+
+    /**
+     * Setup export buttons (one per format) and export scope selector
+     */
+    setupExportControls() {
+        const scopeSelect = document.getElementById('export-scope-select');
+        const exportButtons = document.querySelectorAll('.export-button');
+        
+        exportButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const format = button.getAttribute('data-format');
+                const scope = scopeSelect ? scopeSelect.value : 'all';
+                
+                if (this.callbacks.onExport) {
+                    this.callbacks.onExport(format, scope);
+                }
+            });
+        });
+    }
+
+    /**
+     * Set callback for exports
+     * Called with (format, scope) where scope is 'all' or 'selection'
+     */
+    onExport(callback) {
+        this.callbacks.onExport = callback;
+    }
+
+    /**
+     * Get PDF page layout options from the export controls
+     */
+    getPDFOptions() {
+        const pageSizeSelect = document.getElementById('pdf-page-size-select');
+        const orientationSelect = document.getElementById('pdf-orientation-select');
+        const scaleSelect = document.getElementById('pdf-scale-select');
+        const marginInput = document.getElementById('pdf-margin-input');
+        const margin = marginInput ? parseFloat(marginInput.value) : NaN;
+
+        return {
+            pageSize: pageSizeSelect ? pageSizeSelect.value : 'a4',
+            orientation: orientationSelect ? orientationSelect.value : 'auto',
+            scaleMode: scaleSelect ? scaleSelect.value : 'fit',
+            margin: Number.isFinite(margin) && margin >= 0 ? margin : 10
+        };
+    }
+
+    /**
+     * Get PNG/JPEG resolution and background options from the export controls
+     */
+    getRasterOptions() {
+        const sizeModeSelect = document.getElementById('raster-size-mode-select');
+        const sizeInput = document.getElementById('raster-size-input');
+        const backgroundSelect = document.getElementById('raster-background-select');
+        const size = sizeInput ? parseFloat(sizeInput.value) : NaN;
+        const validSize = Number.isFinite(size) && size > 0 ? size : null;
+        const byPixels = sizeModeSelect && sizeModeSelect.value === 'pixels';
+
+        return {
+            dpi: !byPixels && validSize ? validSize : 150,
+            pixelWidth: byPixels && validSize ? Math.round(validSize) : null,
+            background: backgroundSelect ? backgroundSelect.value : 'white'
+        };
+    }
+
+    /**
+     * Setup relay server/room inputs and the connect button
+     */
+    setupCollaborationControls() {
+        const serverInput = document.getElementById('collab-server-input');
+        const roomInput = document.getElementById('collab-room-input');
+        const connectButton = document.getElementById('collab-connect-button');
+        const nameInput = document.getElementById('collab-name-input');
+
+        if (!serverInput || !roomInput || !connectButton) return;
+
+        if (nameInput) {
+            nameInput.addEventListener('input', () => {
+                if (this.callbacks.onCollaborationNameChange) {
+                    this.callbacks.onCollaborationNameChange(nameInput.value.trim());
+                }
+            });
+        }
+
+        // The relay runs next to the dev server by default
+        const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        serverInput.value = `${protocol}://${window.location.hostname || 'localhost'}:8787`;
+
+        connectButton.addEventListener('click', () => {
+            if (this.isCollaborating) {
+                if (this.callbacks.onCollaborationDisconnect) {
+                    this.callbacks.onCollaborationDisconnect();
+                }
+                return;
+            }
+
+            const url = serverInput.value.trim();
+            const room = roomInput.value.trim() || 'default';
+            if (url && this.callbacks.onCollaborationConnect) {
+                this.callbacks.onCollaborationConnect(url, room);
+            }
+        });
+    }
+
+    /**
+     * Set callback for connecting to a collaboration room
+     * Called with (serverUrl, room)
+     */
+    onCollaborationConnect(callback) {
+        this.callbacks.onCollaborationConnect = callback;
+    }
+
+    /**
+     * Set callback for leaving the collaboration room
+     */
+    onCollaborationDisconnect(callback) {
+        this.callbacks.onCollaborationDisconnect = callback;
+    }
+
+    /**
+     * Set callback for changes to the name shown to collaborators
+     * Called with (name), empty when cleared
+     */
+    onCollaborationNameChange(callback) {
+        this.callbacks.onCollaborationNameChange = callback;
+    }
+
+    /**
+     * Setup the VR locomotion and turning selectors (remembered across sessions)
+     */
+    setupVRLocomotionControls() {
+        const modeSelect = document.getElementById('vr-locomotion-select');
+        const turnSelect = document.getElementById('vr-turn-select');
+
+        this.loadVRLocomotionSettings();
+
+        const onChange = () => {
+            this.saveVRLocomotionSettings();
+            if (this.callbacks.onVRLocomotionChange) {
+                this.callbacks.onVRLocomotionChange(this.getVRLocomotionSettings());
+            }
+        };
+
+        if (modeSelect) {
+            modeSelect.value = this.vrLocomotionMode;
+            modeSelect.addEventListener('change', (e) => {
+                this.vrLocomotionMode = e.target.value;
+                onChange();
+            });
+        }
+
+        if (turnSelect) {
+            turnSelect.value = String(this.vrSnapTurnAngle);
+            turnSelect.addEventListener('change', (e) => {
+                this.vrSnapTurnAngle = parseInt(e.target.value, 10);
+                onChange();
+            });
+        }
+    }
+
+    /**
+     * Restore the VR locomotion settings saved by a previous session
+     */
+    loadVRLocomotionSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(VR_LOCOMOTION_STORAGE_KEY));
+            if (!saved) return;
+
+            if (VR_LOCOMOTION_MODES.includes(saved.mode)) {
+                this.vrLocomotionMode = saved.mode;
+            }
+            if (VR_SNAP_TURN_ANGLES.includes(saved.snapTurnAngle)) {
+                this.vrSnapTurnAngle = saved.snapTurnAngle;
+            }
+        } catch (error) {
+            console.warn('Could not load VR locomotion settings:', error.message);
+        }
+    }
+
+    /**
+     * Remember the VR locomotion settings for the next session
+     */
+    saveVRLocomotionSettings() {
+        try {
+            localStorage.setItem(VR_LOCOMOTION_STORAGE_KEY, JSON.stringify(this.getVRLocomotionSettings()));
+        } catch (error) {
+            console.warn('Could not save VR locomotion settings:', error.message);
+        }
+    }
+
+    /**
+     * Get the VR locomotion settings
+     * @returns {Object} { mode: 'smooth'|'teleport'|'both', snapTurnAngle (degrees, 0 for smooth turning) }
+     */
+    getVRLocomotionSettings() {
+        return {
+            mode: this.vrLocomotionMode,
+            snapTurnAngle: this.vrSnapTurnAngle
+        };
+    }
+
+    /**
+     * Set callback for VR locomotion setting changes
+     * Called with the new settings (see getVRLocomotionSettings)
+     */
+    onVRLocomotionChange(callback) {
+        this.callbacks.onVRLocomotionChange = callback;
+    }
+
+    /**
+     * Update collaboration status display
+     * @param {string} status - 'disconnected', 'connecting' or 'connected'
+     */
+    setCollaborationStatus(status) {
+        const statusEl = document.getElementById('collab-status');
+        const connectButton = document.getElementById('collab-connect-button');
+        const labels = {
+            disconnected: 'Offline',
+            connecting: 'Connecting...',
+            connected: 'Online'
+        };
+
+        this.isCollaborating = status !== 'disconnected';
+
+        if (statusEl) {
+            statusEl.textContent = labels[status] || status;
+        }
+        if (connectButton) {
+            connectButton.textContent = this.isCollaborating ? 'Disconnect' : 'Connect';
+        }
+    }
+
+    /**
+     * Offer a blob to the user as a file download
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     /**
      * Get current pen settings
      */
@@ -243,6 +730,16 @@ export class UIController {
         };
     }
 
+    /**
+     * Get current eraser settings
+     */
+    getEraserSettings() {
+        return {
+            size: this.eraserSize,
+            mode: this.eraserMode
+        };
+    }
+
     /**
      * Get current tool
      */
@@ -0,0 +1,471 @@
+import * as THREE from 'three';
+
+/**
+ * Draws on the whiteboard and in mid-air with the dominant-hand VR controller
+ * The controller's ray is intersected with the whiteboard: pulling the trigger
+ * starts a stroke, moving adds points and releasing finishes it. Pulling the
+ * trigger while the ray misses the board draws an air stroke from the pen tip
+ * in front of the controller instead. Points are reported in whiteboard
+ * coordinates, like strokes are stored.
+ *
+ * With the eraser tool the trigger erases where the ray meets the board and
+ * air strokes touched by the tip. With the select tool the trigger selects on
+ * the board like the mouse does on the desktop (click, box or drag). Air strokes
+ * can be selected by touching them with the tip and pressing A (or the trigger
+ * with the select tool), and the selection is deleted with B.
+ */
+export class VRDrawingManager {
+    constructor(scene, whiteboard, vrManager, vrInputManager, strokeManager) {
+        this.scene = scene;
+        this.whiteboard = whiteboard;
+        this.vrManager = vrManager;
+        this.vrInputManager = vrInputManager;
+        this.strokeManager = strokeManager;
+
+        this.hand = 'right'; // Dominant hand
+        this.selectButton = 'a';
+        this.deleteButton = 'b';
+        this.enabled = true;
+        this.tool = 'pen'; // 'pen', 'select' or 'eraser' (as in UIController)
+        this.isDrawing = false;
+        this.isAirStroke = false; // The current stroke is drawn in mid-air
+        this.isErasing = false;
+        this.isSelecting = false; // A select gesture on the board is in progress
+        this.eraserRadius = 0.05; // Meters
+        this.isTriggerDown = false;
+        this.isTriggerCaptured = false; // The trigger was pulled on a menu and does nothing here until released
+        this.previousButtons = {};
+        this.raycaster = new THREE.Raycaster();
+
+        // Trigger thresholds (hysteresis so a half-pulled trigger does not flicker)
+        this.triggerPressThreshold = 0.5;
+        this.triggerReleaseThreshold = 0.3;
+
+        // Pointer ray from the controller and a reticle where it meets the board
+        this.maxRayLength = 5; // Meters
+        this.pointer = this.createPointer();
+        this.reticle = this.createReticle();
+
+        // Pen tip for air strokes, ahead of the controller along its ray
+        this.tipOffset = 0.05; // Meters
+        this.tip = this.createTip();
+        this.tipColor = new THREE.Color(0x2196F3);
+        this.tipHoverColor = new THREE.Color(0xFF9800);
+
+        // Air stroke selection
+        this.selectRadius = 0.02; // Meters from the stroke's edge
+        this.hoveredStroke = null;
+        this.selectedStrokes = [];
+        this.selectionBoxes = new Map(); // stroke -> THREE.Box3Helper
+
+        // Callbacks (to be set by main app), called with points in whiteboard coordinates
+        this.onDrawStart = null; // (point, isAirStroke)
+        this.onDrawMove = null;
+        this.onDrawEnd = null; // Called with true when the ray left the board mid-stroke
+        this.onDeleteStrokes = null; // (strokes) to delete the selected air strokes
+        this.onEraseStart = null;
+        this.onEraseAt = null; // (point) where the ray meets the board
+        this.onEraseStroke = null; // (stroke) an air stroke touched by the tip
+        this.onEraseEnd = null;
+        this.onSelectStart = null; // (point) the trigger was pulled on the board with the select tool
+        this.onSelectMove = null; // (point)
+        this.onSelectEnd = null;
+    }
+
+    /**
+     * Create the pointer line (in controller space, pointing down -Z)
+     */
+    createPointer() {
+        const geometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, 0, 0),
+            new THREE.Vector3(0, 0, -1)
+        ]);
+        const material = new THREE.LineBasicMaterial({ color: 0x2196F3, transparent: true, opacity: 0.6 });
+        const pointer = new THREE.Line(geometry, material);
+        pointer.visible = false;
+        return pointer;
+    }
+
+    /**
+     * Create the reticle ring (in whiteboard space)
+     */
+    createReticle() {
+        this.reticleRadius = 0.012;
+        const geometry = new THREE.RingGeometry(0.008, this.reticleRadius, 24);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x2196F3,
+            side: THREE.DoubleSide,
+            transparent: true,
+            depthTest: false
+        });
+        const reticle = new THREE.Mesh(geometry, material);
+        reticle.renderOrder = 1001;
+        reticle.visible = false;
+        this.whiteboard.add(reticle);
+        return reticle;
+    }
+
+    /**
+     * Create the pen tip marker (in controller space)
+     */
+    createTip() {
+        const geometry = new THREE.SphereGeometry(0.006, 12, 8);
+        const material = new THREE.MeshBasicMaterial({ color: 0x2196F3 });
+        const tip = new THREE.Mesh(geometry, material);
+        tip.position.set(0, 0, -this.tipOffset);
+        tip.visible = false;
+        return tip;
+    }
+
+    /**
+     * Pen tip position of a controller in whiteboard coordinates
+     */
+    getTipPosition(controller) {
+        const tip = new THREE.Vector3(0, 0, -this.tipOffset);
+        controller.localToWorld(tip);
+        return this.whiteboard.worldToLocal(tip);
+    }
+
+    /**
+     * Get the target ray space of the dominant-hand controller
+     */
+    getController() {
+        const index = this.vrInputManager.getControllerIndexByHand(this.hand);
+        return index !== undefined ? this.vrManager.getController(index) : null;
+    }
+
+    /**
+     * Enable or disable drawing (an unfinished stroke is finished)
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.finishStroke(false);
+            this.finishErase();
+            this.finishSelect();
+            this.hidePointer();
+            this.clearSelection();
+        }
+    }
+
+    /**
+     * Switch tools (an unfinished stroke or erase gesture is finished)
+     * @param {string} tool - 'pen', 'select' or 'eraser'
+     */
+    setTool(tool) {
+        this.finishStroke(false);
+        this.finishErase();
+        this.finishSelect();
+        this.tool = tool;
+    }
+
+    /**
+     * Set the eraser radius (shown by the reticle)
+     */
+    setEraserRadius(radius) {
+        this.eraserRadius = radius;
+    }
+
+    /**
+     * Intersect the controller's ray with the whiteboard
+     * @returns {Object|null} { point (whiteboard coordinates), distance } or null
+     */
+    getBoardIntersection(controller) {
+        this.raycaster.setFromXRController(controller);
+        this.raycaster.far = this.maxRayLength;
+
+        const intersects = this.raycaster.intersectObject(this.whiteboard, false);
+        if (intersects.length === 0) return null;
+
+        return {
+            point: this.whiteboard.worldToLocal(intersects[0].point.clone()),
+            distance: intersects[0].distance
+        };
+    }
+
+    /**
+     * Read the trigger, buttons and controller pose (call every frame after VRInputManager.update)
+     * @param {Object|null} menuHit - { distance } when the ray points at a menu, which then gets the trigger
+     */
+    update(menuHit = null) {
+        const controller = this.getController();
+        if (!this.enabled || !controller) {
+            this.finishStroke(false);
+            this.finishErase();
+            this.finishSelect();
+            this.hidePointer();
+            return;
+        }
+
+        const hit = menuHit ? null : this.getBoardIntersection(controller);
+        const tip = this.getTipPosition(controller);
+        const input = this.vrInputManager.getControllerInput(this.hand);
+
+        const wasTriggerDown = this.isTriggerDown;
+        this.isTriggerDown = input.trigger >= (wasTriggerDown ? this.triggerReleaseThreshold : this.triggerPressThreshold);
+        const isNewPull = this.isTriggerDown && !wasTriggerDown;
+
+        if (menuHit && isNewPull) {
+            this.isTriggerCaptured = true;
+        } else if (!this.isTriggerDown) {
+            this.isTriggerCaptured = false;
+        }
+        const canStart = !menuHit && !this.isTriggerCaptured;
+
+        this.updateSelection(tip, input.buttons);
+
+        if (this.tool === 'eraser') {
+            this.updateErasing(hit, canStart);
+        } else if (this.tool === 'select') {
+            this.updateSelecting(hit, isNewPull, canStart);
+        } else {
+            this.updateDrawing(hit, tip, isNewPull, canStart);
+        }
+
+        this.updatePointer(controller, hit, menuHit);
+    }
+
+    /**
+     * Start, continue or finish a stroke from the trigger
+     */
+    updateDrawing(hit, tip, isNewPull, canStart) {
+        if (!this.isDrawing) {
+            if (!canStart) return;
+
+            if (this.isTriggerDown && hit) {
+                this.startStroke(hit.point, false);
+            } else if (isNewPull) {
+                // Only a fresh pull draws in the air, not a board stroke that ran off the board
+                this.startStroke(tip, true);
+            }
+        } else if (!this.isTriggerDown) {
+            this.finishStroke(false);
+        } else if (this.isAirStroke) {
+            if (this.onDrawMove) this.onDrawMove(tip);
+        } else if (!hit) {
+            // Same as the desktop pointer leaving the board
+            this.finishStroke(true);
+        } else if (this.onDrawMove) {
+            this.onDrawMove(hit.point);
+        }
+    }
+
+    /**
+     * Erase on the board and air strokes at the tip while the trigger is held
+     */
+    updateErasing(hit, canStart) {
+        if (!this.isErasing) {
+            if (!canStart || !this.isTriggerDown) return;
+
+            this.isErasing = true;
+            if (this.onEraseStart) this.onEraseStart();
+        }
+
+        if (!this.isTriggerDown) {
+            this.finishErase();
+            return;
+        }
+
+        if (hit && this.onEraseAt) this.onEraseAt(hit.point);
+        if (this.hoveredStroke && this.onEraseStroke) this.onEraseStroke(this.hoveredStroke);
+    }
+
+    /**
+     * Select on the board while the trigger is held, or pick air strokes with a pull off the board
+     */
+    updateSelecting(hit, isNewPull, canStart) {
+        if (!this.isSelecting) {
+            if (!canStart || !isNewPull) return;
+
+            if (!hit) {
+                this.toggleStrokeSelection(this.hoveredStroke);
+                return;
+            }
+            this.isSelecting = true;
+            if (this.onSelectStart) this.onSelectStart(hit.point);
+        }
+
+        if (!this.isTriggerDown) {
+            this.finishSelect();
+        } else if (hit && this.onSelectMove) {
+            this.onSelectMove(hit.point);
+        }
+    }
+
+    /**
+     * End the current select gesture, if any
+     */
+    finishSelect() {
+        if (!this.isSelecting) return;
+
+        this.isSelecting = false;
+        if (this.onSelectEnd) this.onSelectEnd();
+    }
+
+    /**
+     * End the current erase gesture, if any
+     */
+    finishErase() {
+        if (!this.isErasing) return;
+
+        this.isErasing = false;
+        if (this.onEraseEnd) this.onEraseEnd();
+    }
+
+    /**
+     * Begin a stroke on the board or in the air
+     */
+    startStroke(point, isAirStroke) {
+        this.isDrawing = true;
+        this.isAirStroke = isAirStroke;
+        if (this.onDrawStart) this.onDrawStart(point, isAirStroke);
+    }
+
+    /**
+     * Hover air strokes with the tip, select them with the select button and
+     * delete the selection with the delete button
+     */
+    updateSelection(tip, buttons) {
+        // Strokes removed elsewhere (undo, other collaborators) leave the selection
+        const strokes = this.strokeManager.getStrokes();
+        this.selectedStrokes.filter(stroke => !strokes.includes(stroke)).forEach(stroke => this.deselectStroke(stroke));
+
+        this.hoveredStroke = this.isDrawing ? null : this.strokeManager.getAirStrokeAtPosition(tip, this.selectRadius);
+
+        const isPressed = (button) => buttons[button] && !this.previousButtons[button];
+        if (isPressed(this.selectButton) && !this.isDrawing) {
+            this.toggleStrokeSelection(this.hoveredStroke);
+        }
+        if (isPressed(this.deleteButton) && this.selectedStrokes.length > 0) {
+            const strokes = [...this.selectedStrokes];
+            this.clearSelection();
+            if (this.onDeleteStrokes) this.onDeleteStrokes(strokes);
+        }
+        this.previousButtons = { ...buttons };
+
+        // Boxes follow strokes that were moved or rebuilt
+        this.selectionBoxes.forEach((helper, stroke) => this.getStrokeBox(stroke, helper.box));
+    }
+
+    /**
+     * Select an air stroke or deselect it if it was selected (no stroke clears the selection)
+     */
+    toggleStrokeSelection(stroke) {
+        if (!stroke) {
+            this.clearSelection();
+        } else if (this.selectedStrokes.includes(stroke)) {
+            this.deselectStroke(stroke);
+        } else {
+            this.selectStroke(stroke);
+        }
+    }
+
+    /**
+     * Add an air stroke to the selection and outline it
+     */
+    selectStroke(stroke) {
+        if (this.selectedStrokes.includes(stroke)) return;
+
+        this.selectedStrokes.push(stroke);
+        const helper = new THREE.Box3Helper(this.getStrokeBox(stroke, new THREE.Box3()), 0xFF9800);
+        this.whiteboard.add(helper);
+        this.selectionBoxes.set(stroke, helper);
+    }
+
+    /**
+     * Remove a stroke from the selection
+     */
+    deselectStroke(stroke) {
+        this.selectedStrokes = this.selectedStrokes.filter(selected => selected !== stroke);
+
+        const helper = this.selectionBoxes.get(stroke);
+        if (helper) {
+            this.whiteboard.remove(helper);
+            helper.geometry.dispose();
+            helper.material.dispose();
+            this.selectionBoxes.delete(stroke);
+        }
+    }
+
+    /**
+     * Deselect every air stroke
+     */
+    clearSelection() {
+        [...this.selectedStrokes].forEach(stroke => this.deselectStroke(stroke));
+    }
+
+    /**
+     * Get the selected air strokes
+     */
+    getSelectedStrokes() {
+        return this.selectedStrokes;
+    }
+
+    /**
+     * Box around a stroke including its width (in whiteboard coordinates)
+     */
+    getStrokeBox(stroke, target) {
+        const maxScale = stroke.widthScales ? Math.max(...stroke.widthScales) : 1;
+        return target.setFromPoints(stroke.points).expandByScalar(stroke.width * maxScale);
+    }
+
+    /**
+     * End the current stroke, if any
+     * @param {boolean} leftBoard - The ray left the board
+     */
+    finishStroke(leftBoard) {
+        if (!this.isDrawing) return;
+
+        this.isDrawing = false;
+        this.isAirStroke = false;
+        if (this.onDrawEnd) this.onDrawEnd(leftBoard);
+    }
+
+    /**
+     * Show the pointer up to the board or menu (or at full length) and the reticle
+     * on the board (sized like the eraser with the eraser tool), or the pen tip
+     * when not pointing at anything
+     */
+    updatePointer(controller, hit, menuHit = null) {
+        if (this.pointer.parent !== controller) {
+            controller.add(this.pointer);
+            controller.add(this.tip);
+        }
+        const isOnBoard = hit && !this.isAirStroke;
+        const target = menuHit || hit;
+
+        this.pointer.visible = !this.isAirStroke;
+        this.pointer.scale.z = target ? target.distance : this.maxRayLength;
+
+        this.reticle.visible = isOnBoard;
+        if (isOnBoard) {
+            this.reticle.position.copy(hit.point);
+            this.reticle.scale.setScalar(this.tool === 'eraser' ? this.eraserRadius / this.reticleRadius : 1);
+        }
+
+        this.tip.visible = !isOnBoard && !menuHit;
+        this.tip.material.color.copy(this.hoveredStroke ? this.tipHoverColor : this.tipColor);
+    }
+
+    /**
+     * Hide the pointer, reticle and pen tip
+     */
+    hidePointer() {
+        this.pointer.visible = false;
+        this.reticle.visible = false;
+        this.tip.visible = false;
+    }
+
+    /**
+     * Remove the pointer, reticle and pen tip
+     */
+    dispose() {
+        this.setEnabled(false);
+
+        [this.pointer, this.reticle, this.tip].forEach(object => {
+            if (object.parent) object.parent.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+    }
+}
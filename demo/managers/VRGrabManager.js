@@ -0,0 +1,179 @@
+import * as THREE from 'three';
+
+/**
+ * Grabs board content with the VR controllers' grip buttons
+ * Squeezing a grip while that controller's ray points at content on the board
+ * grabs it, and moving the ray drags it along the board. Squeezing the other
+ * grip while its ray is on the board turns the grab into a two-handed pinch
+ * that also scales with the distance between the two rays. Letting go of either
+ * grip drops the content. Points are reported in whiteboard coordinates.
+ */
+export class VRGrabManager {
+    constructor(whiteboard, vrManager, vrInputManager) {
+        this.whiteboard = whiteboard;
+        this.vrManager = vrManager;
+        this.vrInputManager = vrInputManager;
+
+        this.hands = ['right', 'left'];
+        this.maxRayLength = 5; // Meters
+        this.raycaster = new THREE.Raycaster();
+
+        this.grabHand = null; // Hand holding the grab
+        this.pinchHand = null; // Second hand, while pinching
+        this.wasGripDown = { right: false, left: false };
+        this.lastPoints = { right: null, left: null }; // Last board point of each ray (kept while it is off the board)
+
+        // The right controller already shows the drawing pointer
+        this.pointerHands = ['left'];
+        this.pointers = { left: this.createPointer() };
+
+        // Callbacks (to be set by main app), called with points in whiteboard coordinates
+        this.onGrabStart = null; // (point) returns true when there is content to grab
+        this.onGrabMove = null; // (point)
+        this.onPinchStart = null; // (pointA, pointB)
+        this.onPinchMove = null; // (pointA, pointB)
+        this.onGrabEnd = null;
+    }
+
+    /**
+     * Create a pointer line (in controller space, pointing down -Z)
+     */
+    createPointer() {
+        const geometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, 0, 0),
+            new THREE.Vector3(0, 0, -1)
+        ]);
+        const material = new THREE.LineBasicMaterial({ color: 0xFF9800, transparent: true, opacity: 0.6 });
+        const pointer = new THREE.Line(geometry, material);
+        pointer.visible = false;
+        return pointer;
+    }
+
+    /**
+     * Get the target ray space of a hand's controller
+     */
+    getController(hand) {
+        const index = this.vrInputManager.getControllerIndexByHand(hand);
+        return index !== undefined ? this.vrManager.getController(index) : null;
+    }
+
+    /**
+     * Intersect a controller's ray with the whiteboard
+     * @returns {Object|null} { point (whiteboard coordinates), distance } or null
+     */
+    getBoardIntersection(controller) {
+        this.raycaster.setFromXRController(controller);
+        this.raycaster.far = this.maxRayLength;
+
+        const intersects = this.raycaster.intersectObject(this.whiteboard, false);
+        if (intersects.length === 0) return null;
+
+        return {
+            point: this.whiteboard.worldToLocal(intersects[0].point.clone()),
+            distance: intersects[0].distance
+        };
+    }
+
+    /**
+     * Whether content is held
+     */
+    isGrabbing() {
+        return this.grabHand !== null;
+    }
+
+    /**
+     * Read the grips and controller poses (call every frame after VRInputManager.update)
+     * @param {boolean} canStart - Whether a new grab may start (false while drawing, for example)
+     */
+    update(canStart = true) {
+        const hits = {};
+        const newGrips = {};
+
+        this.hands.forEach(hand => {
+            const controller = this.getController(hand);
+            const isGripDown = !!controller && this.vrInputManager.getControllerInput(hand).grip;
+            newGrips[hand] = isGripDown && !this.wasGripDown[hand];
+            this.wasGripDown[hand] = isGripDown;
+
+            hits[hand] = controller ? this.getBoardIntersection(controller) : null;
+            if (hits[hand]) this.lastPoints[hand] = hits[hand].point;
+
+            this.updatePointer(hand, controller, isGripDown, hits[hand]);
+        });
+
+        // Letting go of either hand drops the content
+        if (this.grabHand && (!this.wasGripDown[this.grabHand] ||
+            (this.pinchHand && !this.wasGripDown[this.pinchHand]))) {
+            this.release();
+        }
+
+        if (!this.grabHand) {
+            if (!canStart) return;
+
+            const hand = this.hands.find(h => newGrips[h] && hits[h]);
+            if (hand && this.onGrabStart && this.onGrabStart(hits[hand].point)) {
+                this.grabHand = hand;
+            }
+            return;
+        }
+
+        const otherHand = this.hands.find(h => h !== this.grabHand);
+        if (!this.pinchHand && newGrips[otherHand] && hits[otherHand]) {
+            if (this.onPinchStart && this.onPinchStart(this.lastPoints[this.grabHand], hits[otherHand].point)) {
+                this.pinchHand = otherHand;
+            }
+            return;
+        }
+
+        if (this.pinchHand) {
+            if ((hits[this.grabHand] || hits[this.pinchHand]) && this.onPinchMove) {
+                this.onPinchMove(this.lastPoints[this.grabHand], this.lastPoints[this.pinchHand]);
+            }
+        } else if (hits[this.grabHand] && this.onGrabMove) {
+            this.onGrabMove(hits[this.grabHand].point);
+        }
+    }
+
+    /**
+     * Show a hand's pointer while its grip is held, ending at the board
+     */
+    updatePointer(hand, controller, isGripDown, hit) {
+        const pointer = this.pointers[hand];
+        if (!pointer) return;
+
+        if (!controller || !isGripDown) {
+            pointer.visible = false;
+            return;
+        }
+
+        if (pointer.parent !== controller) {
+            controller.add(pointer);
+        }
+        pointer.scale.z = hit ? hit.distance : this.maxRayLength;
+        pointer.visible = true;
+    }
+
+    /**
+     * Drop the held content, if any
+     */
+    release() {
+        if (!this.grabHand) return;
+
+        this.grabHand = null;
+        this.pinchHand = null;
+        if (this.onGrabEnd) this.onGrabEnd();
+    }
+
+    /**
+     * Drop any held content and remove the pointers
+     */
+    dispose() {
+        this.release();
+        this.pointerHands.forEach(hand => {
+            const pointer = this.pointers[hand];
+            if (pointer.parent) pointer.parent.remove(pointer);
+            pointer.geometry.dispose();
+            pointer.material.dispose();
+        });
+    }
+}
@@ -1,13 +1,39 @@
 import * as THREE from 'three';
 
 /**
- * Manages smooth locomotion (movement and rotation) in VR
+ * Manages locomotion (movement and rotation) in VR
+ * Smooth mode moves with the right thumbstick. Teleport mode is the comfort
+ * option: pushing the left thumbstick forward aims a parabolic arc from the left
+ * controller and letting go moves the user to where it lands on the floor.
+ * 'both' offers the two. The left thumbstick turns, smoothly or in snap turns.
  */
 export class VRLocomotionManager {
-    constructor(dolly, scene, camera) {
+    constructor(dolly, scene, camera, floor = null) {
         this.dolly = dolly;
         this.scene = scene;
         this.camera = camera;
+        this.floor = floor; // Teleport targets land on this mesh
+        
+        this.mode = 'smooth'; // 'smooth', 'teleport' or 'both'
+        this.snapTurnAngle = 0; // Radians per snap turn, 0 for smooth turning
+        this.isSnapTurnArmed = true; // The stick has to return to center between snap turns
+        
+        // Thumbstick thresholds (hysteresis so a resting stick does not retrigger)
+        this.stickPressThreshold = 0.7;
+        this.stickReleaseThreshold = 0.3;
+        
+        // Teleport arc: a projectile thrown along the controller's ray
+        this.isAimingTeleport = false;
+        this.teleportTarget = null; // Floor point the arc lands on, null when it misses
+        this.arcSpeed = 7; // Meters per second
+        this.arcGravity = 9.8;
+        this.arcTimeStep = 0.03; // Seconds per segment
+        this.arcMaxSegments = 60;
+        this.raycaster = new THREE.Raycaster();
+        this.arc = this.createArc();
+        this.reticle = this.createReticle();
+        this.validColor = new THREE.Color(0x00BCD4);
+        this.invalidColor = new THREE.Color(0xF44336);
         
         // Movement parameters
         this.moveSpeed = 2.0; // meters per second
@@ -24,20 +50,34 @@ export class VRLocomotionManager {
      * @param {number} deltaTime - Time since last frame in seconds
      * @param {Object} rightInput - Right controller input state
      * @param {Object} leftInput - Left controller input state
+     * @param {THREE.Object3D|null} aimController - Target ray space the teleport arc is thrown from
      */
-    update(deltaTime, rightInput, leftInput) {
+    update(deltaTime, rightInput, leftInput, aimController = null) {
         if (!deltaTime || deltaTime <= 0) return;
         
         // Get input values
         const rightStick = rightInput.thumbstick;
         const leftStick = leftInput.thumbstick;
+        const allowsSmooth = this.mode !== 'teleport';
         
         // Right stick: movement only (forward/backward on Y, strafe left/right on X)
-        const forwardInput = rightStick.y; // Don't invert - positive = forward
-        const strafeInput = rightStick.x;
+        const forwardInput = allowsSmooth ? rightStick.y : 0; // Don't invert - positive = forward
+        const strafeInput = allowsSmooth ? rightStick.x : 0;
         
-        // Left stick: rotation only (left/right on X)
-        const rotationInput = leftStick.x; // Positive = turn right, negative = turn left
+        // Left stick forward: aim and teleport
+        if (this.mode !== 'smooth') {
+            this.updateTeleport(leftStick, aimController);
+        }
+        
+        // Left stick: rotation (left/right on X), not while aiming
+        let rotationInput = 0;
+        if (!this.isAimingTeleport) {
+            if (this.snapTurnAngle > 0) {
+                this.updateSnapTurn(leftStick.x);
+            } else {
+                rotationInput = leftStick.x; // Positive = turn right, negative = turn left
+            }
+        }
         
         // Calculate target velocities
         const targetForward = forwardInput * this.moveSpeed;
@@ -108,6 +148,195 @@ export class VRLocomotionManager {
         }
     }
 
+    /**
+     * Create the teleport arc line (in world space)
+     */
+    createArc() {
+        const positions = new Float32Array((this.arcMaxSegments + 1) * 3);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        
+        const material = new THREE.LineBasicMaterial({ color: 0x00BCD4 });
+        const arc = new THREE.Line(geometry, material);
+        arc.frustumCulled = false; // The geometry changes every frame
+        arc.visible = false;
+        this.scene.add(arc);
+        return arc;
+    }
+    
+    /**
+     * Create the target reticle shown where the arc lands
+     */
+    createReticle() {
+        const geometry = new THREE.RingGeometry(0.2, 0.25, 32);
+        const material = new THREE.MeshBasicMaterial({ color: 0x00BCD4, side: THREE.DoubleSide });
+        const reticle = new THREE.Mesh(geometry, material);
+        
+        const dot = new THREE.Mesh(new THREE.CircleGeometry(0.05, 16), material);
+        reticle.add(dot);
+        
+        reticle.rotation.x = -Math.PI / 2;
+        reticle.visible = false;
+        this.scene.add(reticle);
+        return reticle;
+    }
+    
+    /**
+     * Aim while the left stick is pushed forward and teleport when it is let go
+     */
+    updateTeleport(stick, aimController) {
+        if (!this.isAimingTeleport) {
+            if (stick.y > this.stickPressThreshold && aimController) {
+                this.isAimingTeleport = true;
+            } else {
+                return;
+            }
+        }
+        
+        if (!aimController) {
+            this.cancelTeleport();
+            return;
+        }
+        
+        this.updateArc(aimController);
+        
+        if (Math.hypot(stick.x, stick.y) < this.stickReleaseThreshold) {
+            const target = this.teleportTarget;
+            this.cancelTeleport();
+            if (target) this.teleportHeadTo(target);
+        }
+    }
+    
+    /**
+     * Trace the arc from the controller until it lands on the floor
+     */
+    updateArc(controller) {
+        const origin = new THREE.Vector3();
+        controller.getWorldPosition(origin);
+        const velocity = new THREE.Vector3(0, 0, -1)
+            .transformDirection(controller.matrixWorld)
+            .multiplyScalar(this.arcSpeed);
+        
+        const positions = this.arc.geometry.attributes.position;
+        const previous = origin.clone();
+        const current = new THREE.Vector3();
+        const segment = new THREE.Vector3();
+        positions.setXYZ(0, origin.x, origin.y, origin.z);
+        
+        this.teleportTarget = null;
+        let count = 1;
+        
+        for (let i = 1; i <= this.arcMaxSegments; i++) {
+            const t = i * this.arcTimeStep;
+            current.copy(origin).addScaledVector(velocity, t);
+            current.y -= 0.5 * this.arcGravity * t * t;
+            
+            // Does this segment cross the floor?
+            if (this.floor) {
+                segment.subVectors(current, previous);
+                const length = segment.length();
+                this.raycaster.set(previous, segment.divideScalar(length));
+                this.raycaster.far = length;
+                
+                const intersects = this.raycaster.intersectObject(this.floor, false);
+                if (intersects.length > 0) {
+                    this.teleportTarget = intersects[0].point.clone();
+                    current.copy(this.teleportTarget);
+                }
+            }
+            
+            positions.setXYZ(i, current.x, current.y, current.z);
+            count++;
+            previous.copy(current);
+            if (this.teleportTarget) break;
+        }
+        
+        positions.needsUpdate = true;
+        this.arc.geometry.setDrawRange(0, count);
+        this.arc.material.color.copy(this.teleportTarget ? this.validColor : this.invalidColor);
+        this.arc.visible = true;
+        
+        if (this.teleportTarget) {
+            this.reticle.position.copy(this.teleportTarget);
+            this.reticle.position.y += 0.005; // Above the floor to avoid z-fighting
+            this.reticle.visible = true;
+        } else {
+            this.reticle.visible = false;
+        }
+    }
+    
+    /**
+     * Stop aiming without teleporting
+     */
+    cancelTeleport() {
+        this.isAimingTeleport = false;
+        this.teleportTarget = null;
+        this.arc.visible = false;
+        this.reticle.visible = false;
+    }
+    
+    /**
+     * Move the dolly so the user's head is above a floor point
+     */
+    teleportHeadTo(target) {
+        const head = new THREE.Vector3();
+        this.camera.getWorldPosition(head);
+        
+        const position = this.dolly.position.clone();
+        position.x += target.x - head.x;
+        position.z += target.z - head.z;
+        this.teleportTo(position);
+    }
+    
+    /**
+     * Turn by one snap step when the stick is pushed sideways
+     */
+    updateSnapTurn(stickX) {
+        if (Math.abs(stickX) < this.stickReleaseThreshold) {
+            this.isSnapTurnArmed = true;
+            return;
+        }
+        if (!this.isSnapTurnArmed || Math.abs(stickX) < this.stickPressThreshold) return;
+        
+        this.isSnapTurnArmed = false;
+        this.rotateAroundHead(Math.sign(stickX) * this.snapTurnAngle);
+    }
+    
+    /**
+     * Rotate the dolly around the Y axis through the user's head, so they turn in place
+     */
+    rotateAroundHead(angle) {
+        const head = new THREE.Vector3();
+        this.camera.getWorldPosition(head);
+        
+        const offset = this.dolly.position.clone().sub(head);
+        offset.applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+        
+        this.dolly.position.set(head.x + offset.x, this.dolly.position.y, head.z + offset.z);
+        this.dolly.rotation.y += angle;
+        this.currentRotationVelocity = 0;
+    }
+    
+    /**
+     * Set the locomotion mode
+     * @param {string} mode - 'smooth', 'teleport' or 'both'
+     */
+    setMode(mode) {
+        this.mode = mode;
+        if (mode === 'smooth') {
+            this.cancelTeleport();
+        }
+    }
+    
+    /**
+     * Set the snap turn increment
+     * @param {number} degrees - Degrees per turn, 0 for smooth turning
+     */
+    setSnapTurnAngle(degrees) {
+        this.snapTurnAngle = THREE.MathUtils.degToRad(Math.max(0, degrees));
+        this.isSnapTurnArmed = true;
+    }
+    
     /**
      * Set movement speed (meters per second)
      */
@@ -153,5 +382,20 @@ export class VRLocomotionManager {
         this.dolly.rotation.set(0, 0, 0);
         this.currentVelocity.set(0, 0, 0);
         this.currentRotationVelocity = 0;
+        this.cancelTeleport();
+    }
+
+    /**
+     * Remove the teleport arc and reticle
+     */
+    dispose() {
+        this.cancelTeleport();
+        this.scene.remove(this.arc);
+        this.scene.remove(this.reticle);
+        this.arc.geometry.dispose();
+        this.arc.material.dispose();
+        this.reticle.children.forEach(child => child.geometry.dispose());
+        this.reticle.geometry.dispose();
+        this.reticle.material.dispose();
     }
 }
@@ -0,0 +1,411 @@
+import * as THREE from 'three';
+
+/**
+ * Panel colors
+ */
+const PANEL_COLOR = 0x263238;
+const BUTTON_COLOR = 0x455A64;
+const ACTIVE_COLOR = 0x2196F3;
+
+/**
+ * Tool palette worn on the off-hand wrist in VR
+ * A panel attached to the left controller grip offers the tools, the pen colors
+ * of the desktop palette, a pen width slider and recently imported images. It is
+ * operated with the drawing hand's ray: pointing highlights an item and pulling
+ * the trigger picks it (or drags the slider while held).
+ */
+export class VRPaletteManager {
+    /**
+     * @param {Object} options - { colors: hex colors of the swatches, widthRange: { min, max, step } }
+     */
+    constructor(vrManager, vrInputManager, options = {}) {
+        this.vrManager = vrManager;
+        this.vrInputManager = vrInputManager;
+
+        this.hand = 'left'; // Wrist the palette is worn on
+        this.pointerHand = 'right'; // Hand whose ray operates it
+        this.colors = options.colors || [];
+        this.widthRange = options.widthRange || { min: 0.002, max: 0.05, step: 0.001 };
+
+        this.raycaster = new THREE.Raycaster();
+        this.maxRayLength = 1; // Meters
+
+        // Trigger thresholds (same hysteresis as drawing)
+        this.triggerPressThreshold = 0.5;
+        this.triggerReleaseThreshold = 0.3;
+        this.isTriggerDown = false;
+        this.isDraggingWidth = false;
+
+        // Current settings shown on the panel
+        this.tool = 'pen';
+        this.colorHex = null;
+        this.width = this.widthRange.min;
+
+        this.items = []; // Meshes that react to the ray; userData.action says what they do
+        this.hoveredItem = null;
+        this.toolButtons = new Map(); // tool -> button mesh
+        this.swatches = new Map(); // '#rrggbb' (lower case) -> swatch mesh
+        this.imageItems = []; // Thumbnails of recent images
+
+        this.trackLength = 0.14; // Width slider track
+        this.panel = this.createPanel();
+
+        // Callbacks (to be set by main app)
+        this.onToolSelect = null; // (tool)
+        this.onColorSelect = null; // (colorHex)
+        this.onWidthChange = null; // (width)
+        this.onImageSelect = null; // (file)
+    }
+
+    /**
+     * Build the panel (in grip space, above the wrist and tilted toward the face)
+     */
+    createPanel() {
+        const panel = new THREE.Group();
+        panel.position.set(0, 0.06, 0.08);
+        panel.rotation.x = -Math.PI / 4;
+        panel.visible = false;
+
+        // Backing plate; also catches the ray between items
+        this.background = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.18, 0.18),
+            new THREE.MeshBasicMaterial({ color: PANEL_COLOR, side: THREE.DoubleSide, transparent: true, opacity: 0.9 })
+        );
+        panel.add(this.background);
+
+        // Tools
+        [['pen', 'Pen'], ['select', 'Select'], ['eraser', 'Eraser']].forEach(([tool, label], i) => {
+            const button = this.createButton(label, 0.05, 0.022, { type: 'tool', tool });
+            button.position.set((i - 1) * 0.056, 0.068, 0.001);
+            panel.add(button);
+            this.toolButtons.set(tool, button);
+        });
+
+        // Pen colors, five per row
+        const swatchGeometry = new THREE.CircleGeometry(0.01, 24);
+        this.colors.forEach((colorHex, i) => {
+            const swatch = new THREE.Mesh(swatchGeometry, new THREE.MeshBasicMaterial({ color: new THREE.Color(colorHex) }));
+            swatch.position.set(((i % 5) - 2) * 0.03, 0.036 - Math.floor(i / 5) * 0.026, 0.001);
+            swatch.userData.action = { type: 'color', colorHex };
+            panel.add(swatch);
+            this.items.push(swatch);
+            this.swatches.set(colorHex.toLowerCase(), swatch);
+        });
+
+        // Ring around the current color
+        this.colorRing = new THREE.Mesh(
+            new THREE.RingGeometry(0.011, 0.0135, 24),
+            new THREE.MeshBasicMaterial({ color: 0xffffff })
+        );
+        this.colorRing.visible = false;
+        panel.add(this.colorRing);
+
+        // Pen width slider
+        this.widthTrack = new THREE.Mesh(
+            new THREE.PlaneGeometry(this.trackLength, 0.012),
+            new THREE.MeshBasicMaterial({ color: BUTTON_COLOR })
+        );
+        this.widthTrack.position.set(0, -0.024, 0.001);
+        this.widthTrack.userData.action = { type: 'width' };
+        panel.add(this.widthTrack);
+        this.items.push(this.widthTrack);
+
+        this.widthKnob = new THREE.Mesh(
+            new THREE.CircleGeometry(0.008, 24),
+            new THREE.MeshBasicMaterial({ color: ACTIVE_COLOR })
+        );
+        this.widthKnob.position.z = 0.001;
+        this.widthTrack.add(this.widthKnob);
+
+        this.widthLabel = this.createLabel('', 0.1, 0.014);
+        this.widthLabel.position.set(0, -0.042, 0.001);
+        panel.add(this.widthLabel);
+
+        // Recent images (filled by setRecentImages)
+        this.imagesLabel = this.createLabel('No recent images', 0.14, 0.014);
+        this.imagesLabel.position.set(0, -0.066, 0.001);
+        panel.add(this.imagesLabel);
+
+        this.setTool(this.tool);
+        this.setWidth(this.width);
+        return panel;
+    }
+
+    /**
+     * Create a labeled button
+     */
+    createButton(text, width, height, action) {
+        const button = new THREE.Mesh(
+            new THREE.PlaneGeometry(width, height),
+            new THREE.MeshBasicMaterial({ color: BUTTON_COLOR })
+        );
+        button.userData.action = action;
+
+        const label = this.createLabel(text, width, height);
+        label.position.z = 0.0005;
+        button.add(label);
+
+        this.items.push(button);
+        return button;
+    }
+
+    /**
+     * Create a text plane (transparent background)
+     */
+    createLabel(text, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = Math.round(256 * height / width);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.minFilter = THREE.LinearFilter;
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        const label = new THREE.Mesh(
+            new THREE.PlaneGeometry(width, height),
+            new THREE.MeshBasicMaterial({ map: texture, transparent: true })
+        );
+        label.userData.canvas = canvas;
+        this.setLabelText(label, text);
+        return label;
+    }
+
+    /**
+     * Redraw a label's text
+     */
+    setLabelText(label, text) {
+        const canvas = label.userData.canvas;
+        const ctx = canvas.getContext('2d');
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(canvas.height * 0.6)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+        label.material.map.needsUpdate = true;
+    }
+
+    /**
+     * Get the grip space of the wrist the palette is worn on
+     */
+    getGrip() {
+        const index = this.vrInputManager.getControllerIndexByHand(this.hand);
+        return index !== undefined ? this.vrManager.getControllerGrip(index) : null;
+    }
+
+    /**
+     * Get the target ray space of the controller operating the palette
+     */
+    getPointerController() {
+        const index = this.vrInputManager.getControllerIndexByHand(this.pointerHand);
+        return index !== undefined ? this.vrManager.getController(index) : null;
+    }
+
+    /**
+     * Follow the wrist and handle the pointing controller (call every frame after VRInputManager.update)
+     * @param {boolean} isInteractive - The ray may pick items (false e.g. while a stroke is drawn)
+     * @returns {Object|null} { distance } of the ray to the panel, or null when it misses
+     */
+    update(isInteractive = true) {
+        const grip = this.getGrip();
+        if (!grip) {
+            this.panel.visible = false;
+            this.setHoveredItem(null);
+            return null;
+        }
+
+        if (this.panel.parent !== grip) {
+            grip.add(this.panel);
+        }
+        this.panel.visible = true;
+
+        const controller = this.getPointerController();
+        const trigger = controller ? this.vrInputManager.getControllerInput(this.pointerHand).trigger : 0;
+
+        const wasTriggerDown = this.isTriggerDown;
+        this.isTriggerDown = trigger >= (wasTriggerDown ? this.triggerReleaseThreshold : this.triggerPressThreshold);
+        if (!this.isTriggerDown) {
+            this.isDraggingWidth = false;
+        }
+
+        const hit = controller && (isInteractive || this.isDraggingWidth) ? this.getIntersection(controller) : null;
+        this.setHoveredItem(hit ? hit.item : null);
+
+        if (this.isDraggingWidth) {
+            if (hit) this.setWidthFromPoint(hit.point);
+        } else if (hit && hit.item && this.isTriggerDown && !wasTriggerDown) {
+            this.activate(hit.item, hit.point);
+        }
+
+        return hit ? { distance: hit.distance } : null;
+    }
+
+    /**
+     * Intersect the controller's ray with the panel
+     * @returns {Object|null} { distance, point (world), item (or null over the backing) }
+     */
+    getIntersection(controller) {
+        this.raycaster.setFromXRController(controller);
+        this.raycaster.far = this.maxRayLength;
+
+        const intersects = this.raycaster.intersectObjects([...this.items, this.background], false);
+        if (intersects.length === 0) return null;
+
+        const { object, point, distance } = intersects[0];
+        return { distance, point, item: object === this.background ? null : object };
+    }
+
+    /**
+     * Enlarge the item under the ray
+     */
+    setHoveredItem(item) {
+        if (item === this.hoveredItem) return;
+
+        if (this.hoveredItem && this.hoveredItem !== this.widthTrack) {
+            this.hoveredItem.scale.setScalar(1);
+        }
+        this.hoveredItem = item;
+        if (item && item !== this.widthTrack) {
+            item.scale.setScalar(1.15);
+        }
+    }
+
+    /**
+     * Run an item's action
+     */
+    activate(item, point) {
+        const action = item.userData.action;
+
+        switch (action.type) {
+            case 'tool':
+                if (this.onToolSelect) this.onToolSelect(action.tool);
+                break;
+            case 'color':
+                if (this.onColorSelect) this.onColorSelect(action.colorHex);
+                break;
+            case 'width':
+                this.isDraggingWidth = true;
+                this.setWidthFromPoint(point);
+                break;
+            case 'image':
+                if (this.onImageSelect) this.onImageSelect(action.file);
+                break;
+        }
+    }
+
+    /**
+     * Set the pen width from where the ray meets the slider
+     */
+    setWidthFromPoint(worldPoint) {
+        const local = this.widthTrack.worldToLocal(worldPoint.clone());
+        const t = THREE.MathUtils.clamp(local.x / this.trackLength + 0.5, 0, 1);
+
+        const { min, max, step } = this.widthRange;
+        const steps = Math.round(t * (max - min) / step);
+        const width = parseFloat(Math.min(max, min + steps * step).toFixed(6));
+        if (width === this.width) return;
+
+        this.setWidth(width);
+        if (this.onWidthChange) this.onWidthChange(width);
+    }
+
+    /**
+     * Show the current tool
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.toolButtons.forEach((button, name) => {
+            button.material.color.set(name === tool ? ACTIVE_COLOR : BUTTON_COLOR);
+        });
+    }
+
+    /**
+     * Show the current pen color (ringed when it is one of the swatches)
+     * @param {THREE.Color} color - Pen color
+     */
+    setColor(color) {
+        this.colorHex = '#' + color.getHexString();
+
+        const swatch = this.swatches.get(this.colorHex);
+        this.colorRing.visible = !!swatch;
+        if (swatch) {
+            this.colorRing.position.set(swatch.position.x, swatch.position.y, 0.0005);
+        }
+    }
+
+    /**
+     * Show the current pen width
+     */
+    setWidth(width) {
+        this.width = width;
+
+        const { min, max } = this.widthRange;
+        const t = THREE.MathUtils.clamp((width - min) / (max - min), 0, 1);
+        this.widthKnob.position.x = (t - 0.5) * this.trackLength;
+        this.setLabelText(this.widthLabel, `Width ${width.toFixed(3)}`);
+    }
+
+    /**
+     * Show thumbnails of recently imported images, most recent first
+     * @param {Array<File>} files - Image files
+     */
+    setRecentImages(files) {
+        this.imageItems.forEach(item => {
+            this.items.splice(this.items.indexOf(item), 1);
+            this.panel.remove(item);
+            this.disposeObject(item);
+        });
+        this.imageItems = [];
+
+        const thumbnailSize = 0.032;
+        const loader = new THREE.TextureLoader();
+        files.slice(0, 4).forEach((file, i) => {
+            const material = new THREE.MeshBasicMaterial({ color: BUTTON_COLOR });
+            const item = new THREE.Mesh(new THREE.PlaneGeometry(thumbnailSize, thumbnailSize), material);
+            item.position.set((i - 1.5) * 0.04, -0.066, 0.001);
+            item.userData.action = { type: 'image', file };
+
+            const url = URL.createObjectURL(file);
+            loader.load(url, texture => {
+                URL.revokeObjectURL(url);
+                texture.colorSpace = THREE.SRGBColorSpace;
+                material.map = texture;
+                material.color.set(0xffffff);
+                material.needsUpdate = true;
+            }, undefined, () => URL.revokeObjectURL(url));
+
+            this.panel.add(item);
+            this.items.push(item);
+            this.imageItems.push(item);
+        });
+
+        this.imagesLabel.visible = this.imageItems.length === 0;
+    }
+
+    /**
+     * Free an object's geometry, materials and textures (including its children)
+     */
+    disposeObject(object) {
+        object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+        });
+    }
+
+    /**
+     * Remove the palette
+     */
+    dispose() {
+        if (this.panel.parent) {
+            this.panel.parent.remove(this.panel);
+        }
+        this.disposeObject(this.panel);
+        this.items = [];
+        this.hoveredItem = null;
+    }
+}
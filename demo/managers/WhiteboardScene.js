@@ -104,6 +104,10 @@ export class WhiteboardScene {
     getWhiteboard() {
         return this.whiteboard;
     }
+
+    getFloor() {
+        return this.floor;
+    }
     
     /**
      * Create floor plane with grid texture
@@ -0,0 +1,140 @@
+/**
+ * WebSocket relay for board collaboration (see managers/CollaborationManager.js)
+ *
+ * Clients connect to wss://host:port/?room=<name>&client=<id>. The relay uses
+ * the same certificate as the dev server (../certs, see vite.config.js), since
+ * pages served over HTTPS cannot open plain ws:// connections. Without the
+ * certificate it falls back to ws://.
+ *
+ * Each room keeps a merged copy of the board document (managers/BoardDocument.js)
+ * in memory while someone is connected, so clients joining later receive the
+ * whole board; operations that change the room's document are forwarded to the
+ * other clients in the room. A room is dropped when its last client leaves.
+ *
+ * Presence (cursors, in-progress strokes, selections, VR avatars) is not part of
+ * the document: the latest state of each client is kept only while it is
+ * connected, forwarded as { type: 'presence', clientId, state } and dropped with
+ * { type: 'leave', clientId } when the client disconnects.
+ *
+ * Usage: npm run relay  (PORT defaults to 8787)
+ */
+import fs from 'fs';
+import https from 'https';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocketServer, WebSocket } from 'ws';
+import { BoardDocument } from '../managers/BoardDocument.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PORT = Number(process.env.PORT) || 8787;
+const CERT_DIR = path.resolve(__dirname, '../../certs');
+const MAX_MESSAGE_SIZE = 64 * 1024 * 1024; // Image data is sent as DataURLs
+
+/**
+ * room name -> { clients: Set<WebSocket>, document: BoardDocument, presence: Map<clientId, state> }
+ */
+const rooms = new Map();
+
+/**
+ * Send a message to everyone in a room except the sender
+ */
+function broadcast(room, sender, message) {
+    const data = JSON.stringify(message);
+    room.clients.forEach(client => {
+        if (client !== sender && client.readyState === WebSocket.OPEN) {
+            client.send(data);
+        }
+    });
+}
+
+function getRoom(name) {
+    let room = rooms.get(name);
+    if (!room) {
+        room = { clients: new Set(), document: new BoardDocument(`relay:${name}`), presence: new Map() };
+        rooms.set(name, room);
+    }
+    return room;
+}
+
+/**
+ * Read the dev server's certificate, or null when there is none
+ */
+function loadCertificate() {
+    try {
+        return {
+            key: fs.readFileSync(path.join(CERT_DIR, 'key.pem')),
+            cert: fs.readFileSync(path.join(CERT_DIR, 'cert.pem'))
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+const certificate = loadCertificate();
+let server;
+let protocol;
+
+if (certificate) {
+    const httpsServer = https.createServer(certificate);
+    server = new WebSocketServer({ server: httpsServer, maxPayload: MAX_MESSAGE_SIZE });
+    httpsServer.listen(PORT); // The WebSocketServer forwards 'listening'
+    protocol = 'wss';
+} else {
+    console.warn(`No certificate in ${CERT_DIR}, serving plain ws:// (HTTPS pages cannot connect)`);
+    server = new WebSocketServer({ port: PORT, maxPayload: MAX_MESSAGE_SIZE });
+    protocol = 'ws';
+}
+
+server.on('connection', (socket, request) => {
+    const url = new URL(request.url, 'ws://localhost');
+    const roomName = url.searchParams.get('room') || 'default';
+    const clientId = url.searchParams.get('client') || 'anonymous';
+    const room = getRoom(roomName);
+
+    room.clients.add(socket);
+    console.log(`Client ${clientId} joined room "${roomName}" (${room.clients.size} connected)`);
+
+    socket.send(JSON.stringify({ type: 'ops', ops: room.document.getOps() }));
+    room.presence.forEach((state, id) => {
+        socket.send(JSON.stringify({ type: 'presence', clientId: id, state: state }));
+    });
+
+    socket.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            return;
+        }
+        if (!message) return;
+
+        if (message.type === 'presence' && message.state && typeof message.state === 'object') {
+            room.presence.set(clientId, message.state);
+            broadcast(room, socket, { type: 'presence', clientId: clientId, state: message.state });
+            return;
+        }
+        if (message.type !== 'ops' || !Array.isArray(message.ops)) return;
+
+        // Only forward what others have not seen yet
+        const changed = message.ops.filter(op => room.document.apply(op));
+        if (changed.length === 0) return;
+
+        broadcast(room, socket, { type: 'ops', ops: changed });
+    });
+
+    socket.on('close', () => {
+        room.clients.delete(socket);
+        if (room.presence.delete(clientId)) {
+            broadcast(room, socket, { type: 'leave', clientId: clientId });
+        }
+        console.log(`Client ${clientId} left room "${roomName}" (${room.clients.size} connected)`);
+
+        if (room.clients.size === 0 && rooms.get(roomName) === room) {
+            rooms.delete(roomName);
+        }
+    });
+});
+
+server.on('listening', () => {
+    console.log(`Whiteboard relay listening on ${protocol}://0.0.0.0:${PORT}`);
+});
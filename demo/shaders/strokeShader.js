@@ -2,6 +2,13 @@
  * Stroke shader for rendering Bezier curves with GPU-based evaluation
  * This shader evaluates cubic Bezier curves on the GPU for smooth, efficient rendering
  * Includes end cap rendering in the same shader for consistent z-ordering
+ *
+ * Strokes are drawn in batches (StrokeBatchRenderer): every vertex carries the
+ * slot of its stroke, and per-stroke color, width and visibility are read from
+ * the strokeData texture, two texels per slot: (r, g, b, visible), (width, isAirStroke, 0, 0)
+ *
+ * Strokes on the board are flat ribbons in its plane. Air strokes (drawn in mid-air
+ * in VR) have no plane to lie in, so their ribbons and end caps face the camera.
  */
 
 export const strokeVertexShader = `
@@ -11,10 +18,18 @@ export const strokeVertexShader = `
     attribute vec3 endPoint;
     attribute float segmentT; // 0 to 1 along the curve
     attribute float isEndCap; // 1.0 for end cap vertices, 0.0 for stroke body
+    attribute float widthScale; // Per-vertex width multiplier (pen pressure), 1.0 for uniform strokes
+    attribute float strokeSlot; // Slot of the stroke in strokeData
     
     varying vec2 vUv;
     varying float vIsEndCap;
-    uniform float strokeWidth;
+    varying vec3 vColor;
+    uniform sampler2D strokeData;
+    
+    vec4 getStrokeTexel(int index) {
+        int textureWidth = textureSize(strokeData, 0).x;
+        return texelFetch(strokeData, ivec2(index % textureWidth, index / textureWidth), 0);
+    }
     
     // Cubic bezier curve evaluation
     vec3 cubicBezier(vec3 p0, vec3 p1, vec3 p2, vec3 p3, float t) {
@@ -27,6 +42,22 @@ export const strokeVertexShader = `
         return uuu * p0 + 3.0 * uu * t * p1 + 3.0 * u * tt * p2 + ttt * p3;
     }
     
+    // Offset across the curve in view space, facing the camera (for air strokes)
+    vec4 cameraFacingOffset(vec3 curvePos, vec3 tangent, float offset) {
+        vec4 viewPos = modelViewMatrix * vec4(curvePos, 1.0);
+        vec3 viewTangent = (modelViewMatrix * vec4(tangent, 0.0)).xyz;
+        
+        // Orthographic cameras look straight down -z; perspective ones from the eye
+        vec3 toCamera = projectionMatrix[3][3] == 1.0 ? vec3(0.0, 0.0, 1.0) : -viewPos.xyz;
+        vec3 side = cross(viewTangent, toCamera);
+        
+        // The curve heading straight at the camera has no side to extend to
+        if (length(side) > 1e-8) {
+            viewPos.xyz += normalize(side) * offset;
+        }
+        return viewPos;
+    }
+    
     // Derivative for tangent calculation
     vec3 cubicBezierDerivative(vec3 p0, vec3 p1, vec3 p2, vec3 p3, float t) {
         float u = 1.0 - t;
@@ -39,13 +70,34 @@ export const strokeVertexShader = `
         vIsEndCap = isEndCap;
         vUv = uv;
         
+        vec4 style = getStrokeTexel(int(strokeSlot) * 2);
+        vec4 shape = getStrokeTexel(int(strokeSlot) * 2 + 1);
+        float strokeWidth = shape.x;
+        bool isAirStroke = shape.y > 0.5;
+        vColor = style.rgb;
+        
+        // Hidden strokes: place every vertex outside the clip volume
+        if (style.a < 0.5) {
+            gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+            return;
+        }
+        
         if (isEndCap > 0.5) {
             // End cap vertex - position is already the cap center in 'position'
             // UV contains offset from center (ranging -1 to 1)
             vec3 capCenter = position;
-            vec3 offset = vec3((uv.x - 0.5) * 2.0 * strokeWidth, (uv.y - 0.5) * 2.0 * strokeWidth, 0.0);
-            vec3 finalPos = capCenter + offset;
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(finalPos, 1.0);
+            float capRadius = strokeWidth * widthScale;
+            vec3 offset = vec3((uv.x - 0.5) * 2.0 * capRadius, (uv.y - 0.5) * 2.0 * capRadius, 0.0);
+            
+            if (isAirStroke) {
+                // Billboard: the cap's square lies in the view plane
+                vec4 viewPos = modelViewMatrix * vec4(capCenter, 1.0);
+                viewPos.xy += offset.xy;
+                gl_Position = projectionMatrix * viewPos;
+            } else {
+                vec3 finalPos = capCenter + offset;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(finalPos, 1.0);
+            }
         } else {
             // Regular stroke body vertex
             // Evaluate bezier curve at this point's t value
@@ -54,21 +106,26 @@ export const strokeVertexShader = `
             // Calculate tangent for proper ribbon orientation
             vec3 tangent = normalize(cubicBezierDerivative(position, controlPoint1, controlPoint2, endPoint, segmentT));
             
-            // Create normal perpendicular to tangent (for 2D, use z-axis)
-            vec3 up = vec3(0.0, 0.0, 1.0);
-            vec3 strokeNormal = normalize(cross(tangent, up));
-            
             // Offset position based on UV to create width
             float widthOffset = (uv.x - 0.5) * 2.0; // -1 to 1
-            vec3 finalPos = curvePos + strokeNormal * strokeWidth * widthOffset;
+            float offset = strokeWidth * widthScale * widthOffset;
             
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(finalPos, 1.0);
+            if (isAirStroke) {
+                gl_Position = projectionMatrix * cameraFacingOffset(curvePos, tangent, offset);
+            } else {
+                // Create normal perpendicular to tangent (for 2D, use z-axis)
+                vec3 up = vec3(0.0, 0.0, 1.0);
+                vec3 strokeNormal = normalize(cross(tangent, up));
+                vec3 finalPos = curvePos + strokeNormal * offset;
+                
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(finalPos, 1.0);
+            }
         }
     }
 `;
 
 export const strokeFragmentShader = `
-    uniform vec3 strokeColor;
+    varying vec3 vColor;
     varying vec2 vUv;
     varying float vIsEndCap;
     
@@ -85,6 +142,6 @@ export const strokeFragmentShader = `
         }
         
         // Solid color for both stroke body and end caps
-        gl_FragColor = vec4(strokeColor, 1.0);
+        gl_FragColor = vec4(vColor, 1.0);
     }
 `;